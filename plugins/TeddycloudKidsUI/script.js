@@ -4,133 +4,112 @@
   "use strict";
 
   const PLUGIN_NAME = "Tonie Auswahl";
-  const PLUGIN_VERSION = "0.1.0";
+  const PLUGIN_VERSION = "0.13.1";
 
   // ============================================
   // Internationalization (i18n)
   // ============================================
-  const i18n = {
-    de: {
-      // Splash Screen
-      splash_title: "Lust auf eine neue Geschichte?",
-      splash_button: "Los geht's!",
-
-      // Box Selection
-      box_title: "Welche Box gehört dir?",
-      box_back: "Zurück",
-
-      // Tag Placement
-      tag_instruction: "Leg deinen Tonie auf die Box und warte...",
-      tag_searching: "Suche...",
-      tag_detected: "Tonie erkannt!",
-      tag_current: "Aktuell:",
-      tag_no_audio: "Noch keine Musik zugewiesen",
-      tag_choose_other: "Musik wählen",
-      tag_switch: "Anderen Tonie wählen",
-      tag_back: "Andere Box wählen",
-      tag_timeout: "Kein Tonie gefunden. Nochmal versuchen?",
-
-      // Audio Selection
-      audio_title: "Was soll der Tonie spielen?",
-      audio_back: "Zurück",
-      audio_page: "Seite {current} / {total}",
-      audio_loading: "Lade Musik...",
-
-      // Confirmation
-      confirm_question: "Soll das dein Tonie abspielen?",
-      confirm_yes: "Ja",
-      confirm_no: "Nein",
-
-      // Success
-      success_title: "Super!",
-      success_message: "Dein Tonie spielt jetzt {title}!",
-      success_again: "Weiteren Tonie bespielen",
-
-      // Errors
-      error_generic: "Etwas ist schief gelaufen",
-      error_no_boxes: "Keine Tonieboxen gefunden",
-      error_no_audio: "Keine Musik gefunden",
-      error_link_failed: "Zuweisen fehlgeschlagen",
-      error_retry: "Nochmal versuchen",
-
-      // Fullscreen
-      fullscreen_enter: "Vollbild",
-      fullscreen_exit: "Vollbild beenden"
-    },
-    en: {
-      // Splash Screen
-      splash_title: "Ready for a new story?",
-      splash_button: "Let's go!",
-
-      // Box Selection
-      box_title: "Which box is yours?",
-      box_back: "Back",
-
-      // Tag Placement
-      tag_instruction: "Place your Tonie on the box and wait...",
-      tag_searching: "Searching...",
-      tag_detected: "Tonie detected!",
-      tag_current: "Currently:",
-      tag_no_audio: "No audio assigned yet",
-      tag_choose_other: "Choose audio",
-      tag_switch: "Choose different Tonie",
-      tag_back: "Choose another box",
-      tag_timeout: "No Tonie found. Try again?",
-
-      // Audio Selection
-      audio_title: "What should the Tonie play?",
-      audio_back: "Back",
-      audio_page: "Page {current} / {total}",
-      audio_loading: "Loading audio...",
-
-      // Confirmation
-      confirm_question: "Should your Tonie play this?",
-      confirm_yes: "Yes",
-      confirm_no: "No",
-
-      // Success
-      success_title: "Awesome!",
-      success_message: "Your Tonie now plays {title}!",
-      success_again: "Set up another Tonie",
-
-      // Errors
-      error_generic: "Something went wrong",
-      error_no_boxes: "No Tonieboxes found",
-      error_no_audio: "No audio found",
-      error_link_failed: "Linking failed",
-      error_retry: "Try again",
-
-      // Fullscreen
-      fullscreen_enter: "Fullscreen",
-      fullscreen_exit: "Exit Fullscreen"
-    }
-  };
+  // Strings live in locales/<code>.json, locales/index.json lists the
+  // available languages. A value is either a string or an object of plural
+  // forms ("one", "few", "other", ... or an exact "=0"), picked by {count}.
+  // Missing keys fall back to the base language, then English, then German.
+  const DEFAULT_LANGUAGE = "de";
+  const FALLBACK_LANGUAGES = ["en", DEFAULT_LANGUAGE];
+
+  const I18n = {
+    languages: {},   // code -> native name
+    catalogs: {},    // code -> strings
+    chain: [DEFAULT_LANGUAGE],
+    current: DEFAULT_LANGUAGE,
+
+    async init(override) {
+      try {
+        this.languages = await this.fetchJson("index.json");
+      } catch (e) {
+        console.error("Error loading language list:", e);
+        this.languages = { [DEFAULT_LANGUAGE]: DEFAULT_LANGUAGE };
+      }
+      await this.setLanguage(this.detect(override));
+    },
 
-  // Detect language from URL param (?lang=en), browser, or default to German
-  function detectLanguage() {
-    const urlParams = new URLSearchParams(window.location.search);
-    const urlLang = urlParams.get("lang");
-    if (urlLang && i18n[urlLang]) return urlLang;
+    async fetchJson(file) {
+      const res = await fetch(`./locales/${file}`);
+      if (!res.ok) throw new Error(`Failed to load locales/${file}`);
+      return res.json();
+    },
 
-    const browserLang = (navigator.language || navigator.userLanguage || "de").split("-")[0];
-    return i18n[browserLang] ? browserLang : "de";
-  }
+    // Parent override, then URL param (?lang=en), then the browser languages
+    detect(override) {
+      const urlLang = new URLSearchParams(window.location.search).get("lang");
+      const browserLangs = navigator.languages || [navigator.language || navigator.userLanguage];
+      const candidates = [override, urlLang, ...browserLangs];
+      for (const candidate of candidates) {
+        const code = this.resolve(candidate);
+        if (code) return code;
+      }
+      return DEFAULT_LANGUAGE;
+    },
+
+    // "de-AT" -> "de-AT" if there is such a file, otherwise "de"
+    resolve(tag) {
+      if (!tag) return null;
+      const code = String(tag).toLowerCase();
+      if (this.languages[code]) return code;
+      const base = code.split("-")[0];
+      return this.languages[base] ? base : null;
+    },
 
-  let currentLang = detectLanguage();
+    async setLanguage(code) {
+      const chain = [code, code.split("-")[0], ...FALLBACK_LANGUAGES]
+        .filter((lang, i, all) => this.languages[lang] && all.indexOf(lang) === i);
+      await Promise.all(chain.map(async (lang) => {
+        if (this.catalogs[lang]) return;
+        try {
+          this.catalogs[lang] = await this.fetchJson(`${lang}.json`);
+        } catch (e) {
+          console.error(`Error loading language ${lang}:`, e);
+        }
+      }));
+      this.current = code;
+      this.chain = chain;
+      console.log(`Language: ${code} (fallbacks: ${chain.slice(1).join(", ") || "none"})`);
+    },
+
+    // The value for a key and the language it came from
+    lookup(key) {
+      for (const lang of this.chain) {
+        const catalog = this.catalogs[lang];
+        if (catalog && catalog[key] !== undefined) return { value: catalog[key], lang };
+      }
+      return null;
+    }
+  };
 
   function t(key, params = {}) {
-    let text = (i18n[currentLang] && i18n[currentLang][key]) || key;
-    Object.entries(params).forEach(([k, v]) => {
-      text = text.replace(`{${k}}`, v);
+    const found = I18n.lookup(key);
+    if (!found) return key;
+
+    let text = found.value;
+    if (typeof text === "object") {
+      const count = Number(params.count);
+      text = text[`=${count}`] || text[new Intl.PluralRules(found.lang).select(count)] || text.other || "";
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return typeof value === "number" ? new Intl.NumberFormat(found.lang).format(value) : String(value);
     });
-    return text;
   }
 
   function applyI18n() {
+    document.documentElement.lang = I18n.current;
     document.querySelectorAll("[data-i18n]").forEach((el) => {
       const key = el.getAttribute("data-i18n");
       el.textContent = t(key);
     });
+    document.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
+      el.placeholder = t(el.getAttribute("data-i18n-placeholder"));
+    });
   }
 
   // ============================================
@@ -143,7 +122,11 @@
     SELECT_AUDIO: "select_audio",
     CONFIRM: "confirm",
     SUCCESS: "success",
-    ERROR: "error"
+    ERROR: "error",
+    PARENT_PIN: "parent_pin",
+    PARENT: "parent",
+    DASHBOARD: "dashboard",
+    RECONNECT: "reconnect"
   };
 
   const state = {
@@ -151,10 +134,14 @@
     selectedBox: null,      // { ID, boxName, boxModel, imageUrl }
     detectedTag: null,      // { ruid, currentAudio }
     selectedAudio: null,    // { source, title, series, pic }
+    lastAssignment: null,   // history entry of the last link, for undo
     availableBoxes: [],
     availableAudio: [],
+    audioBoxId: null,       // box the availableAudio was filtered for
     filteredAudio: [],
     searchQuery: "",
+    audioSeries: null,      // series opened in the audio selection
+    audioHomePage: 0,       // series page to return to
     audioPage: 0,
     audioPerPage: 30,
     error: null
@@ -165,6 +152,13 @@
   }
 
   function navigateTo(screen, options = {}) {
+    // A lost connection gets the reconnecting screen instead of an error
+    if (screen === SCREENS.ERROR && options.cause instanceof ConnectionError) {
+      options = { returnTo: state.currentScreen };
+      screen = SCREENS.RECONNECT;
+    }
+    stopReconnect();
+
     // Hide all screens
     document.querySelectorAll(".screen").forEach((s) => {
       s.classList.add("hidden");
@@ -177,6 +171,16 @@
     }
 
     state.currentScreen = screen;
+    Preview.stop();
+    if (screen !== SCREENS.DASHBOARD) stopDashboard();
+
+    // The parent button stays hidden while a parent screen is open, and
+    // until a PIN exists (the PIN is chosen on first start)
+    const parentBtn = document.getElementById("btn-parent");
+    if (parentBtn) {
+      parentBtn.classList.toggle("hidden", !ParentSettings.hasPin() ||
+        [SCREENS.PARENT_PIN, SCREENS.PARENT, SCREENS.DASHBOARD].includes(screen));
+    }
 
     // Trigger screen-specific setup
     switch (screen) {
@@ -184,7 +188,7 @@
         onSplashEnter();
         break;
       case SCREENS.SELECT_BOX:
-        onSelectBoxEnter();
+        onSelectBoxEnter(options.choose);
         break;
       case SCREENS.PLACE_TAG:
         onPlaceTagEnter();
@@ -201,28 +205,592 @@
       case SCREENS.ERROR:
         onErrorEnter(options.error);
         break;
+      case SCREENS.PARENT_PIN:
+        onParentPinEnter(options.pinMode);
+        break;
+      case SCREENS.PARENT:
+        onParentEnter();
+        break;
+      case SCREENS.DASHBOARD:
+        onDashboardEnter();
+        break;
+      case SCREENS.RECONNECT:
+        onReconnectEnter(options.returnTo);
+        break;
+    }
+
+    announceScreen(screen, options);
+  }
+
+  // ============================================
+  // Parent Settings
+  // ============================================
+  // Stored per device. The PIN keeps children out of the parent area, it is
+  // not meant to protect against adults with access to the browser.
+  const SETTINGS_KEY = "kidsui.parent";
+  const PIN_MAX_ATTEMPTS = 5;         // wrong tries before the keypad locks
+  const PIN_LOCK_MS = 60 * 1000;      // first lock, doubled for every further wrong try
+  const PIN_LOCK_MAX_MS = 60 * 60 * 1000;
+
+  // SHA-256 as hex. TeddyCloud is mostly opened over plain HTTP, where
+  // crypto.subtle is not available, so the hash is computed here.
+  function sha256Hex(text) {
+    const bytes = new TextEncoder().encode(text);
+    const primes = [];
+    for (let n = 2; primes.length < 64; n++) {
+      if (primes.every((p) => n % p !== 0)) primes.push(n);
+    }
+    const fraction = (x) => ((x - Math.floor(x)) * 0x100000000) >>> 0;
+    const K = primes.map((p) => fraction(Math.cbrt(p)));
+    let H = primes.slice(0, 8).map((p) => fraction(Math.sqrt(p)));
+
+    const length = Math.ceil((bytes.length + 9) / 64) * 64;
+    const data = new Uint8Array(length);
+    data.set(bytes);
+    data[bytes.length] = 0x80;
+    const view = new DataView(data.buffer);
+    view.setUint32(length - 4, bytes.length * 8);
+
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    const w = new Array(64);
+    for (let offset = 0; offset < length; offset += 64) {
+      for (let i = 0; i < 64; i++) {
+        if (i < 16) {
+          w[i] = view.getUint32(offset + i * 4);
+        } else {
+          const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+          const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+          w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+      }
+      let [a, b, c, d, e, f, g, h] = H;
+      for (let i = 0; i < 64; i++) {
+        const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+        const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        h = g;
+        g = f;
+        f = e;
+        e = (d + t1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) | 0;
+      }
+      H = [a, b, c, d, e, f, g, h].map((v, i) => (H[i] + v) | 0);
+    }
+    return H.map((v) => (v >>> 0).toString(16).padStart(8, "0")).join("");
+  }
+
+  // Only a salted hash of the PIN is stored, so it cannot simply be read from
+  // localStorage. The lockout is what stops guessing.
+  function hashPin(pin, salt) {
+    return sha256Hex(`${salt}:${pin}`);
+  }
+
+  function createSalt() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  const ParentSettings = {
+    data: null,
+
+    load() {
+      let stored = {};
+      try {
+        stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+      } catch (e) {
+        console.error("Error reading parent settings:", e);
+      }
+      this.data = {
+        pinHash: stored.pinHash || null,
+        pinSalt: stored.pinSalt || null,
+        pinFailures: stored.pinFailures || 0,   // wrong tries since the last correct one
+        pinLockedUntil: stored.pinLockedUntil || 0,
+        boxes: stored.boxes || {},           // boxId -> { folders: [], series: [] }
+        hidden: stored.hidden || [],         // lib:// sources hidden on every box
+        favorites: stored.favorites || [],   // lib:// sources shown in the favorites row
+        lockedTags: stored.lockedTags || [], // RUIDs that cannot be reassigned
+        language: stored.language || null,   // language override, null = automatic
+        muted: !!stored.muted,               // no voice prompts or sound effects
+        deviceBox: stored.deviceBox || null  // null = remember the child's choice, "ask", or a box ID
+      };
+      // Versions before 0.13.1 kept the PIN in plain text
+      if (stored.pin && !stored.pinHash) this.setPin(stored.pin);
+      return this.data;
+    },
+
+    save() {
+      try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.data));
+      } catch (e) {
+        console.error("Error saving parent settings:", e);
+      }
+    },
+
+    hasPin() {
+      return !!this.data.pinHash;
+    },
+
+    // Milliseconds until the keypad accepts a PIN again, 0 when not locked
+    getPinLockRemaining() {
+      return Math.max(0, this.data.pinLockedUntil - Date.now());
+    },
+
+    checkPin(pin) {
+      if (this.getPinLockRemaining() > 0) return false;
+      const correct = hashPin(pin, this.data.pinSalt) === this.data.pinHash;
+      if (correct) {
+        this.data.pinFailures = 0;
+        this.data.pinLockedUntil = 0;
+      } else {
+        this.data.pinFailures++;
+        const extra = this.data.pinFailures - PIN_MAX_ATTEMPTS;
+        if (extra >= 0) {
+          this.data.pinLockedUntil = Date.now() + Math.min(PIN_LOCK_MS * Math.pow(2, extra), PIN_LOCK_MAX_MS);
+        }
+      }
+      this.save();
+      return correct;
+    },
+
+    setPin(pin) {
+      this.data.pinSalt = createSalt();
+      this.data.pinHash = hashPin(pin, this.data.pinSalt);
+      this.data.pinFailures = 0;
+      this.data.pinLockedUntil = 0;
+      this.save();
+    },
+
+    setLanguage(code) {
+      this.data.language = code || null;
+      this.save();
+    },
+
+    setMuted(muted) {
+      this.data.muted = muted;
+      this.save();
+    },
+
+    setDeviceBox(value) {
+      this.data.deviceBox = value || null;
+      this.save();
+    },
+
+    // A box chosen by the parents, the child cannot switch away from it
+    getFixedBox() {
+      const value = this.data.deviceBox;
+      return value && value !== "ask" ? value : null;
+    },
+
+    getBoxRules(boxId) {
+      const rules = this.data.boxes[boxId] || {};
+      return { folders: rules.folders || [], series: rules.series || [] };
+    },
+
+    toggleBoxRule(boxId, kind, value, enabled) {
+      const rules = this.getBoxRules(boxId);
+      rules[kind] = rules[kind].filter((v) => v !== value);
+      if (enabled) rules[kind].push(value);
+      this.data.boxes[boxId] = rules;
+      this.save();
+    },
+
+    isHidden(source) {
+      return this.data.hidden.includes(source);
+    },
+
+    setHidden(source, hidden) {
+      this.data.hidden = this.data.hidden.filter((s) => s !== source);
+      if (hidden) this.data.hidden.push(source);
+      this.save();
+    },
+
+    isFavorite(source) {
+      return this.data.favorites.includes(source);
+    },
+
+    setFavorite(source, favorite) {
+      this.data.favorites = this.data.favorites.filter((s) => s !== source);
+      if (favorite) this.data.favorites.push(source);
+      this.save();
+    },
+
+    isTagLocked(ruid) {
+      return this.data.lockedTags.includes(String(ruid).toLowerCase());
+    },
+
+    setTagLocked(ruid, locked) {
+      const id = String(ruid).toLowerCase();
+      this.data.lockedTags = this.data.lockedTags.filter((r) => r !== id);
+      if (locked) this.data.lockedTags.push(id);
+      this.save();
+    },
+
+    // Hidden items never show up; with folders or series selected for the box,
+    // an item has to be in one of the folders or belong to one of the series
+    isAudioAllowed(item, boxId) {
+      if (this.isHidden(item.source)) return false;
+      const rules = this.getBoxRules(boxId);
+      if (rules.folders.length === 0 && rules.series.length === 0) return true;
+      const path = item.source.replace(/^lib:\/\//, "");
+      return rules.folders.some((folder) => path.startsWith(folder + "/")) ||
+        (!!item.tonieSeries && rules.series.includes(item.tonieSeries));
+    }
+  };
+
+  // The box the child picked last on this device
+  const BOX_KEY = "kidsui.box";
+
+  function getRememberedBox() {
+    try {
+      return localStorage.getItem(BOX_KEY);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function rememberBox(boxId) {
+    try {
+      localStorage.setItem(BOX_KEY, boxId);
+    } catch (e) {
+      console.error("Error saving box choice:", e);
     }
   }
 
+  // The box to use without asking, if any. A child switching boxes on
+  // purpose (choosing) gets the grid, unless the parents fixed the box.
+  function getPreferredBox(choosing) {
+    const fixed = ParentSettings.getFixedBox();
+    if (fixed) return fixed;
+    if (ParentSettings.data.deviceBox === "ask" || choosing) return null;
+    return getRememberedBox();
+  }
+
+  // ============================================
+  // Assignment History
+  // ============================================
+  // Every link is recorded with the content it replaced, so a wrong pick can
+  // be undone and parents can go back to any earlier content of a tag.
+  const HISTORY_KEY = "kidsui.history";
+  const HISTORY_LIMIT = 200;
+
+  const AssignmentHistory = {
+    entries: [],   // { ruid, boxId, boxName, time, previous, current }
+
+    load() {
+      try {
+        this.entries = JSON.parse(localStorage.getItem(HISTORY_KEY)) || [];
+      } catch (e) {
+        console.error("Error reading assignment history:", e);
+        this.entries = [];
+      }
+      return this.entries;
+    },
+
+    save() {
+      try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(this.entries));
+      } catch (e) {
+        console.error("Error saving assignment history:", e);
+      }
+    },
+
+    record(ruid, box, previous, current) {
+      const entry = {
+        ruid: ruid,
+        boxId: box ? box.ID : null,
+        boxName: box ? box.boxName || box.commonName || box.ID : null,
+        time: Date.now(),
+        previous: previous,
+        current: current
+      };
+      this.entries.push(entry);
+      if (this.entries.length > HISTORY_LIMIT) {
+        this.entries = this.entries.slice(-HISTORY_LIMIT);
+      }
+      this.save();
+      return entry;
+    },
+
+    // Oldest first
+    forTag(ruid) {
+      return this.entries.filter((entry) => entry.ruid === ruid);
+    },
+
+    // RUIDs with history, most recently changed first
+    tags() {
+      const ruids = [];
+      for (let i = this.entries.length - 1; i >= 0; i--) {
+        if (!ruids.includes(this.entries[i].ruid)) ruids.push(this.entries[i].ruid);
+      }
+      return ruids;
+    }
+  };
+
+  // ============================================
+  // Library Index
+  // ============================================
+  // The library listing is kept in IndexedDB so the audio grid can render
+  // right away; a background refresh only re-lists directories whose mtime
+  // changed. A directory's mtime only changes for entries directly inside it,
+  // so deeper changes below an unchanged directory are picked up by the
+  // periodic full scan.
+  const INDEX_DB_NAME = "kidsui";
+  const INDEX_STORE = "library";
+  const INDEX_KEY = "index";
+  const INDEX_VERSION = 1;
+  const FULL_SCAN_INTERVAL = 24 * 60 * 60 * 1000;
+
+  const LibraryIndex = {
+    dbPromise: null,
+    record: null,        // { version, scannedAt, fullScanAt, custom, dirs }
+    refreshing: null,
+    onUpdate: null,      // called with the new record after a background refresh
+
+    openDb() {
+      if (this.dbPromise) return this.dbPromise;
+      this.dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === "undefined") {
+          resolve(null);
+          return;
+        }
+        const req = indexedDB.open(INDEX_DB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(INDEX_STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+          console.error("Error opening library cache:", req.error);
+          resolve(null);
+        };
+      });
+      return this.dbPromise;
+    },
+
+    async load() {
+      if (this.record) return this.record;
+      const db = await this.openDb();
+      if (!db) return null;
+      const record = await new Promise((resolve) => {
+        const req = db.transaction(INDEX_STORE).objectStore(INDEX_STORE).get(INDEX_KEY);
+        req.onsuccess = () => resolve(req.result || null);
+        req.onerror = () => resolve(null);
+      });
+      if (record && record.version === INDEX_VERSION) this.record = record;
+      return this.record;
+    },
+
+    async store(record) {
+      this.record = record;
+      const db = await this.openDb();
+      if (!db) return;
+      await new Promise((resolve) => {
+        const tx = db.transaction(INDEX_STORE, "readwrite");
+        tx.objectStore(INDEX_STORE).put(record, INDEX_KEY);
+        tx.oncomplete = resolve;
+        tx.onerror = () => {
+          console.error("Error writing library cache:", tx.error);
+          resolve();
+        };
+      });
+    },
+
+    async clear() {
+      this.record = null;
+      const db = await this.openDb();
+      if (!db) return;
+      await new Promise((resolve) => {
+        const tx = db.transaction(INDEX_STORE, "readwrite");
+        tx.objectStore(INDEX_STORE).delete(INDEX_KEY);
+        tx.oncomplete = resolve;
+        tx.onerror = resolve;
+      });
+    },
+
+    // Rescan the library, reusing unchanged directories of the previous record
+    async scan(previous, force = false) {
+      const now = Date.now();
+      const full = force || !previous || now - (previous.fullScanAt || 0) > FULL_SCAN_INTERVAL;
+      const oldDirs = previous ? previous.dirs : {};
+      const dirs = {};
+
+      const copySubtree = (path) => {
+        Object.keys(oldDirs).forEach((key) => {
+          if (key === path || key.startsWith(path + "/")) dirs[key] = oldDirs[key];
+        });
+      };
+
+      const scanDir = async (path, mtime) => {
+        let files;
+        try {
+          files = await API.listLibraryDir(path);
+        } catch (e) {
+          // Without the root listing there is nothing to refresh
+          if (!path) throw e;
+          // Keep what we knew about this directory instead of dropping it
+          console.error(`Error scanning library dir "${path}":`, e);
+          copySubtree(path);
+          return;
+        }
+
+        dirs[path] = {
+          mtime: mtime,
+          files: files
+            .filter((file) => !file.isDir && file.name.toLowerCase().endsWith(".taf"))
+            .filter((file) => file.tonieInfo && file.tonieInfo.picture)
+            .map((file) => ({
+              name: file.name,
+              audioId: file.tafHeader && file.tafHeader.audioId ? String(file.tafHeader.audioId) : null,
+              tonieInfo: {
+                picture: file.tonieInfo.picture,
+                series: file.tonieInfo.series || "",
+                episode: file.tonieInfo.episode || "",
+                model: file.tonieInfo.model
+              }
+            }))
+        };
+
+        const subdirs = files.filter(f => f.isDir && f.name !== ".." && !f.name.startsWith("."));
+        for (const dir of subdirs) {
+          const subPath = path ? `${path}/${dir.name}` : dir.name;
+          const cached = oldDirs[subPath];
+          if (!full && cached && cached.mtime === dir.date) {
+            copySubtree(subPath);
+          } else {
+            await scanDir(subPath, dir.date);
+          }
+        }
+      };
+
+      let custom = previous ? previous.custom : [];
+      try {
+        custom = (await API.getCustomTonies()).map((item) => ({
+          audio_id: item.audio_id,
+          title: item.title,
+          episodes: item.episodes
+        }));
+      } catch (e) {
+        console.error("Error loading custom tonie metadata:", e);
+      }
+
+      await scanDir("", null);
+
+      return {
+        version: INDEX_VERSION,
+        scannedAt: now,
+        fullScanAt: full ? now : previous.fullScanAt,
+        custom: custom,
+        dirs: dirs
+      };
+    },
+
+    // Refresh in the background; concurrent callers share one scan. A full
+    // refresh is needed when metadata changed without touching the files.
+    refresh(full = false) {
+      if (this.refreshing) {
+        if (!full) return this.refreshing;
+        return this.refreshing.catch(() => null).then(() => this.refresh(true));
+      }
+      const previous = this.record;
+      this.refreshing = this.scan(previous, full)
+        .then(async (record) => {
+          const changed = !previous ||
+            JSON.stringify([previous.custom, previous.dirs]) !== JSON.stringify([record.custom, record.dirs]);
+          await this.store(record);
+          console.log(`Library index refreshed (${changed ? "changed" : "unchanged"})`);
+          if (changed && previous && this.onUpdate) this.onUpdate(record);
+          return record;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+      return this.refreshing;
+    },
+
+    // Turn a record into the audio items shown in the grid
+    buildItems(record) {
+      // Custom tonie metadata is only used for titles (audio_id != file path)
+      const customMetadataMap = new Map();
+      record.custom.forEach((item) => {
+        if (item.audio_id && item.audio_id.length > 0) {
+          customMetadataMap.set(String(item.audio_id[0]), item);
+        }
+      });
+
+      const items = [];
+      Object.keys(record.dirs).sort().forEach((path) => {
+        record.dirs[path].files.forEach((file) => {
+          const fullPath = path ? `${path}/${file.name}` : file.name;
+          const customMeta = file.audioId ? customMetadataMap.get(file.audioId) : null;
+
+          // Build title and series from available metadata
+          let title, series;
+          if (customMeta) {
+            // Custom tonie: use title, and episodes as additional info
+            title = customMeta.title || file.tonieInfo.series || file.name.replace(".taf", "");
+            series = customMeta.episodes || "";
+          } else {
+            // Regular tonie: use episode as title, series as subtitle
+            title = file.tonieInfo.episode || file.tonieInfo.series || file.name.replace(".taf", "");
+            series = file.tonieInfo.series || "";
+          }
+
+          items.push({
+            source: `lib://${fullPath}`,
+            title: title,
+            series: series,
+            pic: file.tonieInfo.picture,
+            model: file.tonieInfo.model,
+            tonieSeries: file.tonieInfo.series
+          });
+        });
+      });
+      return items;
+    }
+  };
+
   // ============================================
   // API Module
   // ============================================
+  // TeddyCloud not reachable: network error, or the proxy reporting that
+  // the upstream is down
+  class ConnectionError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = "ConnectionError";
+    }
+  }
+
+  const GATEWAY_ERRORS = [502, 503, 504];
+
+  async function request(url, options) {
+    let res;
+    try {
+      res = await fetch(url, options);
+    } catch (e) {
+      throw new ConnectionError(e.message);
+    }
+    if (GATEWAY_ERRORS.includes(res.status)) {
+      throw new ConnectionError(`TeddyCloud unavailable (HTTP ${res.status})`);
+    }
+    return res;
+  }
+
   const API = {
     async getBoxes() {
-      const res = await fetch("/api/getBoxes");
+      const res = await request("/api/getBoxes");
       if (!res.ok) throw new Error("Failed to fetch boxes");
       const data = await res.json();
       return data.boxes || [];
     },
 
     async getBoxModels() {
-      const res = await fetch("/api/tonieboxesJson");
+      const res = await request("/api/tonieboxesJson");
       if (!res.ok) throw new Error("Failed to fetch box models");
       return res.json();
     },
 
     async getLastRuid(boxId) {
-      const res = await fetch(
+      const res = await request(
         `/api/settings/get/internal.last_ruid?overlay=${boxId}`
       );
       if (!res.ok) throw new Error("Failed to get RUID");
@@ -230,132 +798,85 @@
       return ruid.replace(/"/g, "").trim();
     },
 
+    // Changes with every placement, also when the same tag is put back
+    async getLastRuidTime(boxId) {
+      const res = await request(
+        `/api/settings/get/internal.last_ruid_time?overlay=${boxId}`
+      );
+      if (!res.ok) throw new Error("Failed to get RUID time");
+      const time = await res.text();
+      return time.replace(/"/g, "").trim();
+    },
+
     async getTagInfo(ruid) {
-      // Add cache-busting to get fresh data
-      const res = await fetch("/api/getTagIndex?_t=" + Date.now());
-      if (!res.ok) throw new Error("Failed to fetch tag index");
-      const data = await res.json();
-      const tags = data.tags || [];
+      const tags = await this.getTags();
       console.log("Tag index fetched, looking for ruid:", ruid);
       const found = tags.find((tag) => tag.ruid === ruid);
       console.log("Found tag info:", found);
       return found || null;
     },
 
-    async getAudioContent() {
-      // Fetch available audio from the actual library (fileIndexV2 API)
-      // This returns TAF files that are physically present on the server
-      const allAudio = [];
-
-      // Fetch custom tonie metadata for enrichment (has better title info)
-      // Note: We only use this for metadata, NOT for file paths (audio_id != file path)
-      let customMetadataMap = new Map();
-      try {
-        const customRes = await fetch("/api/toniesCustomJson");
-        if (customRes.ok) {
-          const customData = await customRes.json();
-          (Array.isArray(customData) ? customData : []).forEach((item) => {
-            if (item.audio_id && item.audio_id.length > 0) {
-              // Map by audio_id for lookup during library scan
-              customMetadataMap.set(String(item.audio_id[0]), item);
-            }
-          });
-          console.log(`Loaded ${customMetadataMap.size} custom tonie metadata entries`);
-        }
-      } catch (e) {
-        console.error("Error loading custom tonie metadata:", e);
-      }
-
-      // Helper to recursively scan library directories
-      async function scanLibraryDir(path = "") {
-        const url = path
-          ? `/api/fileIndexV2?special=library&path=${encodeURIComponent(path)}`
-          : "/api/fileIndexV2?special=library";
-
-        const res = await fetch(url);
-        if (!res.ok) return [];
-
-        const data = await res.json();
-        const files = data.files || [];
-        const results = [];
-
-        // Process files in this directory
-        for (const file of files) {
-          // Skip parent directory entry and non-TAF files
-          if (file.name === ".." || file.isDir) continue;
-          if (!file.name.toLowerCase().endsWith(".taf")) continue;
-
-          // Only include files with valid tonieInfo (linked files)
-          if (file.tonieInfo && file.tonieInfo.picture) {
-            const fullPath = path ? `${path}/${file.name}` : file.name;
-
-            // Check if we have enriched metadata from custom JSON (by audio_id)
-            const audioId = file.tafHeader && file.tafHeader.audioId;
-            const customMeta = audioId ? customMetadataMap.get(String(audioId)) : null;
-
-            // Build title and series from available metadata
-            let title, series;
-            if (customMeta) {
-              // Custom tonie: use title, and episodes as additional info
-              title = customMeta.title || file.tonieInfo.series || file.name.replace(".taf", "");
-              series = customMeta.episodes || "";
-            } else {
-              // Regular tonie: use episode as title, series as subtitle
-              title = file.tonieInfo.episode || file.tonieInfo.series || file.name.replace(".taf", "");
-              series = file.tonieInfo.series || "";
-            }
-
-            results.push({
-              source: `lib://${fullPath}`,
-              title: title,
-              series: series,
-              pic: file.tonieInfo.picture,
-              model: file.tonieInfo.model
-            });
-          }
-        }
-
-        // Recursively scan subdirectories
-        const subdirs = files.filter(f => f.isDir && f.name !== ".." && !f.name.startsWith("."));
-        for (const dir of subdirs) {
-          const subPath = path ? `${path}/${dir.name}` : dir.name;
-          const subResults = await scanLibraryDir(subPath);
-          results.push(...subResults);
-        }
+    async getTags() {
+      // Add cache-busting to get fresh data
+      const res = await request("/api/getTagIndex?_t=" + Date.now());
+      if (!res.ok) throw new Error("Failed to fetch tag index");
+      const data = await res.json();
+      return data.tags || [];
+    },
 
-        return results;
-      }
+    // Audio a child may pick on the given box (parent lists applied)
+    async getAudioContent(boxId) {
+      const audio = await this.getLibraryAudio();
+      const allowed = audio.filter((item) => ParentSettings.isAudioAllowed(item, boxId));
+      console.log(`${allowed.length} of ${audio.length} audio items allowed on box ${boxId}`);
+      return allowed;
+    },
 
-      try {
-        const libraryAudio = await scanLibraryDir();
-        allAudio.push(...libraryAudio);
-        console.log(`Loaded ${libraryAudio.length} audio files from library`);
-      } catch (e) {
-        console.error("Error scanning library:", e);
+    // Everything in the library, without the parent lists. Served from the
+    // cached index when there is one, which is then refreshed in the background.
+    async getLibraryAudio() {
+      const cached = await LibraryIndex.load();
+      let record = cached;
+      if (cached) {
+        LibraryIndex.refresh().catch((e) => console.error("Error refreshing library index:", e));
+      } else {
+        record = await LibraryIndex.refresh();
       }
+      const items = LibraryIndex.buildItems(record);
+      console.log(`Loaded ${items.length} audio files from library${cached ? " (cached)" : ""}`);
+      return items;
+    },
 
-      // Deduplicate by source path
-      const seen = new Set();
-      const merged = [];
+    async listLibraryDir(path) {
+      const url = path
+        ? `/api/fileIndexV2?special=library&path=${encodeURIComponent(path)}`
+        : "/api/fileIndexV2?special=library";
+      const res = await request(url);
+      if (!res.ok) throw new Error("Failed to list library directory");
+      const data = await res.json();
+      return data.files || [];
+    },
 
-      allAudio.forEach((item) => {
-        if (item.source && !seen.has(item.source)) {
-          seen.add(item.source);
-          merged.push(item);
-        }
-      });
+    async getCustomTonies() {
+      const res = await request("/api/toniesCustomJson");
+      if (!res.ok) throw new Error("Failed to fetch custom tonies");
+      const data = await res.json();
+      return Array.isArray(data) ? data : [];
+    },
 
-      console.log(`Total unique audio items: ${merged.length}`);
-      return merged;
+    // TeddyCloud transcodes library TAFs to ogg on the fly
+    getPreviewUrl(source) {
+      const path = source.replace(/^lib:\/\//, "").split("/").map(encodeURIComponent).join("/");
+      return `/content/${path}?ogg=true&special=library`;
     },
 
-    async linkAudioToTag(ruid, sourcePath) {
+    async linkAudioToTag(ruid, sourcePath, nocloud = true) {
       const body = new URLSearchParams({
         source: sourcePath,
-        nocloud: "true"
+        nocloud: String(nocloud)
       });
 
-      const res = await fetch(`/content/json/set/${ruid}`, {
+      const res = await request(`/content/json/set/${ruid}`, {
         method: "POST",
         headers: { "Content-Type": "application/x-www-form-urlencoded" },
         body: body.toString()
@@ -367,87 +888,562 @@
   };
 
   // ============================================
-  // Tag Polling
+  // Tag Detection
   // ============================================
-  class TagPoller {
+  // The box state is always read from internal.last_ruid (plus its timestamp,
+  // so a tag that is lifted and put back between two reads still counts as
+  // placed again). How often that happens is up to the detector: a push
+  // channel that has delivered tag events triggers a read right away and
+  // keeps polling slow; otherwise polling speeds up after changes and backs
+  // off while nothing happens.
+  const DETECTION = {
+    fastInterval: 1000,      // right after a change or push event
+    slowInterval: 5000,      // upper bound while idle
+    idleFactor: 1.5,         // interval growth per unchanged read
+    errorInterval: 30000,    // upper bound while the server errors
+    pushInterval: 15000,     // safety read while a push channel delivers tag events
+    timeout: 60000,          // give up waiting for a tag
+    connectionFailures: 2    // failed reads in a row before reporting a lost connection
+  };
+
+  // Push channel over TeddyCloud's server-sent events. TeddyCloud sends
+  // every event as `{ "type": ..., "data": ... }`; the filter targets the
+  // events it derives from a box's RTNL log when a tag is read or its
+  // content changes (types like "TagValid" or "ContentAudioId"). Which of
+  // them a server forwards depends on its version and settings, so a channel
+  // only counts as delivering once such an event arrived - until then, and
+  // after the connection drops, detection polls as without a channel.
+  // Events are only used as a trigger to read the box state; anything
+  // explicitly addressed to a different box is ignored. All channels share
+  // one connection, so watching several boxes does not use up the browser's
+  // connections per server.
+  class SseChannel {
+    constructor(boxId, onEvent, onStateChange) {
+      this.boxId = boxId;
+      this.onEvent = onEvent;
+      this.onStateChange = onStateChange;
+      this.connected = false;
+      this.delivering = false;
+    }
+
+    static isSupported() {
+      return typeof EventSource !== "undefined";
+    }
+
+    static connect() {
+      const source = new EventSource("/api/sse");
+      source.onopen = () => {
+        console.log("Push channel connected");
+        SseChannel.channels.forEach((channel) => channel.setConnected(true));
+      };
+      source.onerror = () => {
+        // EventSource reconnects by itself; poll normally in the meantime
+        SseChannel.channels.forEach((channel) => channel.setConnected(false));
+      };
+      source.onmessage = (e) => {
+        let event = null;
+        try {
+          event = JSON.parse(e.data);
+        } catch (err) {
+          return;
+        }
+        if (!event || !/tag|ruid|content/i.test(event.type || "")) return;
+        SseChannel.channels.forEach((channel) => channel.receive(event));
+      };
+      SseChannel.source = source;
+    }
+
+    open() {
+      SseChannel.channels.add(this);
+      if (!SseChannel.source) {
+        SseChannel.connect();
+      } else if (SseChannel.source.readyState === 1) {
+        this.setConnected(true);
+      }
+    }
+
+    close() {
+      SseChannel.channels.delete(this);
+      this.connected = false;
+      if (SseChannel.channels.size === 0 && SseChannel.source) {
+        SseChannel.source.close();
+        SseChannel.source = null;
+      }
+    }
+
+    setConnected(connected) {
+      if (this.connected && !connected) console.log("Push channel lost");
+      this.connected = connected;
+      if (!connected) this.delivering = false;
+      this.onStateChange(connected);
+    }
+
+    // A tag event for any box shows that the stream carries them
+    receive(event) {
+      const first = !this.delivering;
+      if (first) console.log("Push channel delivers tag events");
+      this.delivering = true;
+      const target = event.box || event.boxId || event.overlay;
+      if (target && target !== this.boxId) {
+        if (first) this.onStateChange(this.connected);
+        return;
+      }
+      this.onEvent(event);
+    }
+  }
+
+  SseChannel.source = null;
+  SseChannel.channels = new Set();
+
+  // Push channels tried in order; the first supported one is used
+  const PUSH_CHANNELS = [SseChannel];
+
+  class TagDetector {
     constructor(boxId, options = {}) {
       this.boxId = boxId;
       this.onTagDetected = options.onTagDetected || null;
       this.onTagRemoved = options.onTagRemoved || null;
       this.onTimeout = options.onTimeout || null;
-      this.interval = options.interval || 1500;
-      this.timeout = options.timeout || 60000;
+      this.onConnectionLost = options.onConnectionLost || null;
+      this.timeout = options.timeout !== undefined ? options.timeout : DETECTION.timeout; // 0 = wait forever
+      this.failures = 0;
       this.lastRuid = null;
+      this.lastTime = null;
       this.hasTag = false;
+      this.interval = DETECTION.fastInterval;
+      this.channel = null;
       this.timerId = null;
-      this.startTime = null;
-      this.stopped = false;
+      this.timeoutId = null;
+      this.checking = false;
+      this.recheck = false;
+      this.stopped = true;
     }
 
     start() {
-      this.startTime = Date.now();
       this.stopped = false;
-      this.poll();
+      const Channel = PUSH_CHANNELS.find((channel) => channel.isSupported());
+      if (Channel) {
+        this.channel = new Channel(this.boxId, () => this.checkNow(), () => this.schedule());
+        this.channel.open();
+      }
+      this.armTimeout();
+      this.checkNow();
     }
 
     stop() {
       this.stopped = true;
-      if (this.timerId) {
-        clearTimeout(this.timerId);
-        this.timerId = null;
-      }
+      clearTimeout(this.timerId);
+      clearTimeout(this.timeoutId);
+      this.timerId = null;
+      this.timeoutId = null;
+      if (this.channel) this.channel.close();
+      this.channel = null;
     }
 
-    resetTimeout() {
-      this.startTime = Date.now();
+    // Forget the current tag so it is reported again on the next read
+    reset() {
+      this.hasTag = false;
+      this.lastRuid = null;
+      this.lastTime = null;
+      this.armTimeout();
+      this.checkNow();
+    }
+
+    // Only time out while no tag is on the box
+    armTimeout() {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+      if (this.stopped || this.hasTag || !this.timeout) return;
+      this.timeoutId = setTimeout(() => {
+        if (this.stopped || this.hasTag) return;
+        this.stop();
+        if (this.onTimeout) this.onTimeout();
+      }, this.timeout);
+    }
+
+    checkNow() {
+      this.interval = DETECTION.fastInterval;
+      this.check();
     }
 
-    async poll() {
+    schedule() {
+      clearTimeout(this.timerId);
       if (this.stopped) return;
+      const delay = this.channel && this.channel.connected && this.channel.delivering
+        ? Math.max(this.interval, DETECTION.pushInterval)
+        : this.interval;
+      this.timerId = setTimeout(() => this.check(), delay);
+    }
 
-      // Only timeout if no tag is currently detected
-      if (!this.hasTag && Date.now() - this.startTime > this.timeout) {
-        if (this.onTimeout) this.onTimeout();
+    async check() {
+      if (this.stopped) return;
+      if (this.checking) {
+        this.recheck = true;
         return;
       }
+      this.checking = true;
+      clearTimeout(this.timerId);
 
       try {
-        const ruid = await API.getLastRuid(this.boxId);
-        const isValid =
-          /^[0-9a-f]{16}$/i.test(ruid) && ruid !== "ffffffffffffffff" && ruid !== "0000000000000000";
-
-        console.log("Poll result:", { ruid, isValid, hasTag: this.hasTag, lastRuid: this.lastRuid });
-
-        if (isValid) {
-          // Tag is present
-          if (!this.hasTag || ruid !== this.lastRuid) {
-            // New tag detected or tag changed
-            this.lastRuid = ruid;
-            this.hasTag = true;
-            if (this.onTagDetected) this.onTagDetected(ruid);
+        const [ruid, time] = await Promise.all([
+          API.getLastRuid(this.boxId),
+          API.getLastRuidTime(this.boxId).catch(() => null)
+        ]);
+        if (this.stopped) return;
+        this.failures = 0;
+        const changed = this.update(ruid, time);
+        this.interval = changed
+          ? DETECTION.fastInterval
+          : Math.min(DETECTION.slowInterval, Math.round(this.interval * DETECTION.idleFactor));
+      } catch (e) {
+        console.error("Tag detection error:", e);
+        if (e instanceof ConnectionError && this.onConnectionLost) {
+          if (++this.failures >= DETECTION.connectionFailures) {
+            this.stop();
+            this.onConnectionLost();
+            return;
           }
+          // Confirm quickly before showing the reconnecting screen
+          this.interval = DETECTION.fastInterval;
         } else {
-          // No tag present (invalid RUID)
-          if (this.hasTag) {
-            // Tag was removed
-            console.log("Tag removal detected, ruid was:", this.lastRuid, "now:", ruid);
-            this.hasTag = false;
-            this.lastRuid = null;
-            this.resetTimeout(); // Reset timeout when tag is removed
-            if (this.onTagRemoved) this.onTagRemoved();
-          }
+          this.interval = Math.min(DETECTION.errorInterval, Math.max(this.interval, DETECTION.slowInterval) * 2);
+        }
+      } finally {
+        this.checking = false;
+      }
+
+      if (this.recheck) {
+        this.recheck = false;
+        this.check();
+      } else {
+        this.schedule();
+      }
+    }
+
+    // Returns true when a placement or removal was reported
+    update(ruid, time) {
+      const isValid =
+        /^[0-9a-f]{16}$/i.test(ruid) && ruid !== "ffffffffffffffff" && ruid !== "0000000000000000";
+
+      console.log("Tag state:", { ruid, time, isValid, hasTag: this.hasTag, lastRuid: this.lastRuid });
+
+      if (isValid) {
+        const replaced = this.hasTag && time !== null && this.lastTime !== null && time !== this.lastTime;
+        if (this.hasTag && ruid === this.lastRuid && !replaced) {
+          this.lastTime = time;
+          return false;
+        }
+        // A different tag, or the same one put back, without a removal in between
+        if (this.hasTag) this.reportRemoved();
+        this.lastRuid = ruid;
+        this.lastTime = time;
+        this.hasTag = true;
+        this.armTimeout();
+        if (this.onTagDetected) this.onTagDetected(ruid);
+        return true;
+      }
+
+      this.lastTime = time;
+      if (!this.hasTag) return false;
+      console.log("Tag removal detected, ruid was:", this.lastRuid, "now:", ruid);
+      this.reportRemoved();
+      this.armTimeout();
+      return true;
+    }
+
+    reportRemoved() {
+      this.hasTag = false;
+      this.lastRuid = null;
+      if (this.onTagRemoved) this.onTagRemoved();
+    }
+  }
+
+  let currentDetector = null;
+
+  // ============================================
+  // Audio Preview
+  // ============================================
+  const PREVIEW_SECONDS = 30;
+
+  const Preview = {
+    audio: null,
+    source: null,
+    onChange: null,
+
+    init() {
+      this.audio = new Audio();
+      this.audio.preload = "none";
+      this.audio.addEventListener("timeupdate", () => {
+        if (this.audio.currentTime >= PREVIEW_SECONDS) {
+          this.stop();
+        } else {
+          this.notify();
+        }
+      });
+      this.audio.addEventListener("play", () => this.notify());
+      this.audio.addEventListener("pause", () => this.notify());
+      this.audio.addEventListener("ended", () => this.stop());
+      this.audio.addEventListener("error", () => {
+        if (!this.source) return;
+        console.error("Error playing preview:", this.source);
+        this.stop();
+      });
+    },
+
+    // Play, pause or resume the given source; another source replaces the current one
+    toggle(source) {
+      if (this.source === source) {
+        if (this.audio.paused) {
+          this.play();
+        } else {
+          this.audio.pause();
         }
+        return;
+      }
+      this.stop();
+      this.source = source;
+      this.audio.src = API.getPreviewUrl(source);
+      this.play();
+    },
+
+    play() {
+      Voice.stop();
+      const playing = this.audio.play();
+      if (playing && playing.catch) {
+        playing.catch((e) => {
+          console.error("Error starting preview:", e);
+          this.stop();
+        });
+      }
+      this.notify();
+    },
+
+    stop() {
+      if (!this.source) return;
+      this.source = null;
+      this.audio.pause();
+      this.audio.removeAttribute("src");
+      this.audio.load();
+      this.notify();
+    },
+
+    isPlaying(source) {
+      return this.source === source && !this.audio.paused;
+    },
+
+    // 0..1 of the preview time limit for the given source
+    progress(source) {
+      if (this.source !== source) return 0;
+      return Math.min(1, this.audio.currentTime / PREVIEW_SECONDS);
+    },
+
+    notify() {
+      if (this.onChange) this.onChange();
+    }
+  };
+
+  // Buttons carry their source in data-preview-source; the large one on the
+  // confirm screen also shows a label
+  function updatePreviewButtons() {
+    document.querySelectorAll("[data-preview-source]").forEach((button) => {
+      const playing = Preview.isPlaying(button.dataset.previewSource);
+      const icon = playing ? "\u23F8" : "\u25B6";
+      const label = t(playing ? "preview_pause" : "preview_listen");
+      button.classList.toggle("playing", playing);
+      button.textContent = button.classList.contains("btn-large") ? `${icon} ${label}` : icon;
+      button.title = label;
+    });
+
+    const source = state.selectedAudio ? state.selectedAudio.source : null;
+    document.getElementById("preview-progress-bar").style.width = `${Preview.progress(source) * 100}%`;
+  }
+
+  // ============================================
+  // Voice and Sounds
+  // ============================================
+  // Screens are read aloud for children who cannot read yet. A fixed text can
+  // be replaced by a recorded clip listed in voice/index.json, everything else
+  // goes through the browser's speech synthesis. Sound effects are generated
+  // with Web Audio, so no audio files are needed for them.
+  const VOICE_RATE = 0.9;
+
+  // [frequency in Hz, start in s, duration in s]
+  const SOUND_EFFECTS = {
+    success: [[523, 0, 0.15], [659, 0.12, 0.15], [784, 0.24, 0.3]],
+    error: [[392, 0, 0.2], [311, 0.2, 0.35]],
+    detected: [[880, 0, 0.12], [1175, 0.1, 0.2]]
+  };
+
+  const Voice = {
+    clips: null,     // language -> { i18n key -> file below voice/ }
+    audio: null,     // clip currently playing
+    context: null,   // AudioContext, created on first use
+    token: 0,        // bumped by stop(), ends running sequences
+
+    isEnabled() {
+      return !ParentSettings.data.muted;
+    },
+
+    async loadClips() {
+      if (this.clips) return this.clips;
+      try {
+        const res = await fetch("./voice/index.json");
+        this.clips = res.ok ? await res.json() : {};
       } catch (e) {
-        console.error("Poll error:", e);
+        this.clips = {};
       }
+      return this.clips;
+    },
+
+    clipFor(key) {
+      const clips = this.clips && this.clips[I18n.current];
+      return clips && clips[key] ? `./voice/${clips[key]}` : null;
+    },
 
-      if (!this.stopped) {
-        this.timerId = setTimeout(() => this.poll(), this.interval);
+    // Parts are spoken one after the other: { key, params } for translated
+    // texts, { text } for titles. An effect is played before the first part.
+    async say(parts, effect) {
+      this.stop();
+      if (!this.isEnabled()) return;
+      const token = this.token;
+
+      if (effect) await this.effect(effect);
+      await this.loadClips();
+      for (const part of parts) {
+        if (token !== this.token) return;
+        // Clips only stand in for texts without placeholders
+        const clip = part.key && !part.params ? this.clipFor(part.key) : null;
+        try {
+          if (clip) {
+            await this.playClip(clip);
+          } else {
+            await this.speak(part.key ? t(part.key, part.params) : part.text);
+          }
+        } catch (e) {
+          console.error("Voice prompt failed:", e);
+        }
+      }
+    },
+
+    stop() {
+      this.token++;
+      if (window.speechSynthesis) window.speechSynthesis.cancel();
+      if (this.audio) {
+        this.audio.pause();
+        this.audio = null;
       }
+    },
+
+    speak(text) {
+      return new Promise((resolve) => {
+        if (!text || !window.speechSynthesis) {
+          resolve();
+          return;
+        }
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = I18n.current;
+        utterance.rate = VOICE_RATE;
+        const voice = window.speechSynthesis.getVoices()
+          .find((v) => v.lang.toLowerCase().split(/[-_]/)[0] === I18n.current);
+        if (voice) utterance.voice = voice;
+        utterance.onend = resolve;
+        utterance.onerror = resolve;
+        window.speechSynthesis.speak(utterance);
+      });
+    },
+
+    playClip(src) {
+      return new Promise((resolve) => {
+        const audio = new Audio(src);
+        this.audio = audio;
+        audio.addEventListener("ended", resolve);
+        audio.addEventListener("pause", resolve);
+        audio.addEventListener("error", resolve);
+        const playing = audio.play();
+        if (playing && playing.catch) playing.catch(resolve);
+      });
+    },
+
+    // Resolves when the effect has finished playing
+    effect(name) {
+      const notes = SOUND_EFFECTS[name];
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!notes || !AudioContext || !this.isEnabled()) return Promise.resolve();
+
+      try {
+        if (!this.context) this.context = new AudioContext();
+        if (this.context.state === "suspended") this.context.resume();
+        const now = this.context.currentTime;
+        let end = 0;
+        notes.forEach(([frequency, start, duration]) => {
+          const oscillator = this.context.createOscillator();
+          const gain = this.context.createGain();
+          oscillator.type = "sine";
+          oscillator.frequency.value = frequency;
+          gain.gain.setValueAtTime(0.25, now + start);
+          gain.gain.exponentialRampToValueAtTime(0.001, now + start + duration);
+          oscillator.connect(gain);
+          gain.connect(this.context.destination);
+          oscillator.start(now + start);
+          oscillator.stop(now + start + duration);
+          end = Math.max(end, start + duration);
+        });
+        return new Promise((resolve) => setTimeout(resolve, end * 1000));
+      } catch (e) {
+        console.error("Sound effect failed:", e);
+        return Promise.resolve();
+      }
+    }
+  };
+
+  // What is read aloud when a screen opens; parent screens stay silent
+  function announceScreen(screen, options) {
+    switch (screen) {
+      case SCREENS.SPLASH:
+        Voice.say([{ key: "splash_title" }]);
+        break;
+      case SCREENS.SELECT_BOX:
+        Voice.say([{ key: "box_title" }]);
+        break;
+      case SCREENS.PLACE_TAG:
+        Voice.say([{ key: "tag_instruction" }]);
+        break;
+      case SCREENS.SELECT_AUDIO:
+        Voice.say([{ key: "audio_title" }]);
+        break;
+      case SCREENS.CONFIRM:
+        if (!state.selectedAudio) break;
+        Voice.say([{ text: state.selectedAudio.title }, { key: "confirm_question" }]);
+        break;
+      case SCREENS.SUCCESS:
+        Voice.say([
+          { key: "success_title" },
+          { key: "success_message", params: { title: state.selectedAudio.title } }
+        ], "success");
+        break;
+      case SCREENS.ERROR:
+        Voice.say([{ text: options.error || t("error_generic") }], "error");
+        break;
+      case SCREENS.RECONNECT:
+        Voice.say([{ key: "reconnect_title" }, { key: "reconnect_message" }]);
+        break;
+      default:
+        Voice.stop();
     }
   }
 
-  let currentPoller = null;
+  // The detected tonie is announced with what it currently plays
+  function announceTag(contentInfo, locked) {
+    const title = contentInfo ? [contentInfo.series, contentInfo.episode].filter(Boolean).join(", ") : "";
+    const parts = [{ key: "tag_detected" }];
+    if (title) {
+      parts.push({ key: "tag_current" }, { text: title });
+    } else {
+      parts.push({ key: "tag_no_audio" });
+    }
+    if (locked) parts.push({ key: "tag_locked" });
+    Voice.say(parts, "detected");
+  }
 
   // ============================================
   // Screen Handlers
@@ -462,38 +1458,46 @@
     });
   }
 
-  async function onSelectBoxEnter() {
+  // Boxes with the picture and name of their model
+  async function getBoxesWithImages() {
+    const [boxes, models] = await Promise.all([
+      API.getBoxes(),
+      API.getBoxModels()
+    ]);
+
+    const modelMap = new Map();
+    (models || []).forEach((m) => modelMap.set(m.id, m));
+
+    return (boxes || []).map((box) => {
+      const model = modelMap.get(box.boxModel);
+      return {
+        ...box,
+        imageUrl: model ? model.img_src : null,
+        modelName: model ? model.name : box.boxModel
+      };
+    });
+  }
+
+  async function onSelectBoxEnter(choosing) {
     showLoading(true);
 
     try {
-      const [boxes, models] = await Promise.all([
-        API.getBoxes(),
-        API.getBoxModels()
-      ]);
+      const boxesWithImages = await getBoxesWithImages();
 
-      if (!boxes || boxes.length === 0) {
+      if (boxesWithImages.length === 0) {
         navigateTo(SCREENS.ERROR, { error: t("error_no_boxes") });
         return;
       }
 
-      // Map model images to boxes
-      const modelMap = new Map();
-      (models || []).forEach((m) => modelMap.set(m.id, m));
-
-      const boxesWithImages = boxes.map((box) => {
-        const model = modelMap.get(box.boxModel);
-        return {
-          ...box,
-          imageUrl: model ? model.img_src : null,
-          modelName: model ? model.name : box.boxModel
-        };
-      });
-
       setState({ availableBoxes: boxesWithImages });
 
-      // Auto-select if only one box is registered
-      if (boxesWithImages.length === 1) {
-        setState({ selectedBox: boxesWithImages[0] });
+      // Auto-select if only one box is registered, or this device has its box
+      const preferred = getPreferredBox(choosing);
+      const box = boxesWithImages.length === 1
+        ? boxesWithImages[0]
+        : boxesWithImages.find((b) => b.ID === preferred);
+      if (box) {
+        setState({ selectedBox: box });
         showLoading(false);
         navigateTo(SCREENS.PLACE_TAG);
         return;
@@ -502,7 +1506,7 @@
       renderBoxGrid();
     } catch (e) {
       console.error("Error loading boxes:", e);
-      navigateTo(SCREENS.ERROR, { error: t("error_generic") });
+      navigateTo(SCREENS.ERROR, { error: t("error_generic"), cause: e });
     } finally {
       showLoading(false);
     }
@@ -533,7 +1537,31 @@
     if (ruid && ruid.length >= 8) {
       return ruid.substring(0, 4).toUpperCase() + "..." + ruid.substring(ruid.length - 4).toUpperCase();
     }
-    return ruid ? ruid.toUpperCase() : "";
+    return ruid ? ruid.toUpperCase() : "";
+  }
+
+  // What a tag plays, in the form the assignment history keeps it
+  function contentSnapshot(tagInfo) {
+    if (!tagInfo) return null;
+    const info = getContentInfo(tagInfo);
+    return {
+      source: tagInfo.source || "",
+      nocloud: typeof tagInfo.nocloud === "boolean" ? tagInfo.nocloud : true,
+      title: info ? [info.series, info.episode].filter(Boolean).join(" - ") : "",
+      pic: info && info.picture ? info.picture : ""
+    };
+  }
+
+  // Link content to a tag and record what it replaced
+  async function assignContent(ruid, content, box) {
+    let previous = null;
+    try {
+      previous = contentSnapshot(await API.getTagInfo(ruid));
+    } catch (e) {
+      console.error("Error reading tag before assignment:", e);
+    }
+    await API.linkAudioToTag(ruid, content.source, content.nocloud);
+    return AssignmentHistory.record(ruid, box, previous, content);
   }
 
   function onPlaceTagEnter() {
@@ -542,10 +1570,14 @@
     document.getElementById("tag-detected").classList.add("hidden");
     document.getElementById("tag-id").textContent = "";
 
+    // No switching away from a box the parents chose for this device
+    document.getElementById("btn-tag-back").classList.toggle("hidden",
+      ParentSettings.getFixedBox() === state.selectedBox.ID);
+
     // Start polling
-    if (currentPoller) currentPoller.stop();
+    if (currentDetector) currentDetector.stop();
 
-    currentPoller = new TagPoller(state.selectedBox.ID, {
+    currentDetector = new TagDetector(state.selectedBox.ID, {
       onTagDetected: async (ruid) => {
         console.log("Tag detected:", ruid);
 
@@ -563,6 +1595,11 @@
         document.getElementById("tag-detected").classList.remove("hidden");
         document.getElementById("tag-id").textContent = "(" + ruid.toUpperCase() + ")";
 
+        // Locked tags show what they play, but cannot be reassigned
+        const locked = ParentSettings.isTagLocked(ruid);
+        document.getElementById("tag-locked").classList.toggle("hidden", !locked);
+        document.getElementById("btn-choose-audio").classList.toggle("hidden", locked);
+
         // Fetch current audio info (always refresh to get latest data)
         try {
           const tagInfo = await API.getTagInfo(ruid);
@@ -588,7 +1625,7 @@
             document.getElementById("current-audio-img").src = contentInfo.picture;
             // Title should be the series/main name, episode info goes below
             document.getElementById("current-audio-title").textContent =
-              contentInfo.series || contentInfo.episode || "Unbekannt";
+              contentInfo.series || contentInfo.episode || t("tag_unknown");
             document.getElementById("current-audio-series").textContent =
               contentInfo.episode || "";
             currentContainer.classList.remove("hidden");
@@ -597,16 +1634,20 @@
             currentContainer.classList.add("hidden");
             noAudioContainer.classList.remove("hidden");
           }
+          if (state.currentScreen === SCREENS.PLACE_TAG) announceTag(contentInfo, locked);
         } catch (e) {
           console.error("Error fetching tag info:", e);
           setState({ detectedTag: { ruid, currentAudio: null } });
           noAudioContainer.classList.remove("hidden");
+          if (state.currentScreen === SCREENS.PLACE_TAG) announceTag(null, locked);
         }
       },
 
       onTagRemoved: () => {
         console.log("Tag removed");
         // Tag removed - show waiting state again
+        document.getElementById("tag-locked").classList.add("hidden");
+        document.getElementById("btn-choose-audio").classList.remove("hidden");
         document.getElementById("tag-waiting").classList.remove("hidden");
         document.getElementById("tag-detected").classList.add("hidden");
         document.getElementById("tag-id").textContent = "";
@@ -615,30 +1656,35 @@
 
       onTimeout: () => {
         navigateTo(SCREENS.ERROR, { error: t("tag_timeout") });
+      },
+
+      onConnectionLost: () => {
+        navigateTo(SCREENS.RECONNECT, { returnTo: SCREENS.PLACE_TAG });
       }
     });
 
-    currentPoller.start();
+    currentDetector.start();
   }
 
   async function onSelectAudioEnter() {
-    if (state.availableAudio.length === 0) {
-      // First time loading - reset search state
-      setState({ searchQuery: "", audioPage: 0 });
+    const boxId = state.selectedBox.ID;
+    if (state.availableAudio.length === 0 || state.audioBoxId !== boxId) {
+      // First time loading - reset search and series state
+      setState({ searchQuery: "", audioSeries: null, audioHomePage: 0, audioPage: 0 });
       document.getElementById("audio-search").value = "";
       document.getElementById("btn-search-clear").classList.add("hidden");
 
       showLoading(true);
       try {
-        const audio = await API.getAudioContent();
+        const audio = await API.getAudioContent(boxId);
         if (!audio || audio.length === 0) {
           navigateTo(SCREENS.ERROR, { error: t("error_no_audio") });
           return;
         }
-        setState({ availableAudio: audio, filteredAudio: audio, audioPage: 0 });
+        setState({ availableAudio: audio, audioBoxId: boxId, filteredAudio: audio, audioPage: 0 });
       } catch (e) {
         console.error("Error loading audio:", e);
-        navigateTo(SCREENS.ERROR, { error: t("error_generic") });
+        navigateTo(SCREENS.ERROR, { error: t("error_generic"), cause: e });
         return;
       } finally {
         showLoading(false);
@@ -655,20 +1701,33 @@
 
   function filterAudio(query) {
     const q = query.toLowerCase().trim();
-    setState({ searchQuery: q, audioPage: 0 });
+    setState({ searchQuery: q, audioPage: 0, filteredAudio: matchAudio(q) });
+    renderAudioGrid();
+  }
 
-    if (!q) {
-      setState({ filteredAudio: state.availableAudio });
-    } else {
-      const filtered = state.availableAudio.filter((item) => {
-        const title = (item.title || "").toLowerCase();
-        const series = (item.series || "").toLowerCase();
-        return title.includes(q) || series.includes(q);
-      });
-      setState({ filteredAudio: filtered });
-    }
+  function matchAudio(q) {
+    if (!q) return state.availableAudio;
+    return state.availableAudio.filter((item) => {
+      const title = (item.title || "").toLowerCase();
+      const series = (item.series || "").toLowerCase();
+      return title.includes(q) || series.includes(q);
+    });
+  }
 
-    renderAudioGrid();
+  // The background refresh found library changes: update the loaded audio
+  // in place, keeping search and page where possible
+  function onLibraryUpdated(record) {
+    if (state.availableAudio.length === 0 || !state.audioBoxId) return;
+    const boxId = state.audioBoxId;
+    const audio = LibraryIndex.buildItems(record)
+      .filter((item) => ParentSettings.isAudioAllowed(item, boxId));
+    setState({ availableAudio: audio, filteredAudio: matchAudio(state.searchQuery) });
+    if (state.audioSeries && !audio.some((item) => seriesKey(item) === state.audioSeries)) {
+      setState({ audioSeries: null });
+    }
+    const lastPage = Math.max(0, Math.ceil(getAudioList().length / state.audioPerPage) - 1);
+    setState({ audioPage: Math.min(state.audioPage, lastPage) });
+    if (state.currentScreen === SCREENS.SELECT_AUDIO) renderAudioGrid();
   }
 
   function onConfirmEnter() {
@@ -677,11 +1736,14 @@
     document.getElementById("confirm-img").src = state.selectedAudio.pic;
     document.getElementById("confirm-title").textContent = state.selectedAudio.title;
     document.getElementById("confirm-series").textContent = state.selectedAudio.series;
+    document.getElementById("btn-confirm-listen").dataset.previewSource = state.selectedAudio.source;
+    updatePreviewButtons();
   }
 
   function onSuccessEnter() {
     const message = t("success_message", { title: state.selectedAudio.title });
     document.getElementById("success-message").textContent = message;
+    document.getElementById("btn-undo").classList.toggle("hidden", !(state.lastAssignment && state.lastAssignment.previous));
   }
 
   function onErrorEnter(errorMessage) {
@@ -689,27 +1751,668 @@
   }
 
   // ============================================
-  // Render Functions
+  // Parent Area
   // ============================================
-  function renderBoxGrid() {
-    const grid = document.getElementById("box-grid");
+  const PIN_MIN_LENGTH = 4;
+  const PIN_MAX_LENGTH = 8;
+
+  // mode: "enter" (check the PIN), "set" (choose a new one), "repeat" (confirm it)
+  const pinEntry = { mode: "enter", value: "", first: "", timerId: null };
+
+  // Without a PIN (first start) the PIN has to be chosen before the app can
+  // be used, there is no way back to the child screens
+  function onParentPinEnter(pinMode) {
+    // Leaving the tag screen for the parent area ends the polling
+    if (currentDetector) currentDetector.stop();
+
+    const setup = !ParentSettings.hasPin();
+    pinEntry.mode = setup ? "set" : (pinMode || "enter");
+    pinEntry.value = "";
+    pinEntry.first = "";
+    document.getElementById("btn-pin-back").classList.toggle("hidden", setup);
+    renderPinEntry(setup ? t("pin_setup_hint") : "");
+  }
+
+  function renderPinEntry(message) {
+    const titles = { enter: "pin_enter", set: "pin_new", repeat: "pin_repeat" };
+    document.getElementById("pin-title").textContent = t(titles[pinEntry.mode]);
+
+    // While locked the message counts down and the keypad ignores digits
+    clearTimeout(pinEntry.timerId);
+    const locked = pinEntry.mode === "enter" ? ParentSettings.getPinLockRemaining() : 0;
+    if (locked > 0) {
+      message = t("pin_locked", { count: Math.ceil(locked / 60000) });
+      pinEntry.timerId = setTimeout(() => {
+        if (state.currentScreen === SCREENS.PARENT_PIN) renderPinEntry("");
+      }, Math.min(locked, 1000));
+    }
+    document.getElementById("pin-message").textContent = message;
+    const dots = document.getElementById("pin-dots");
+    dots.innerHTML = "";
+    for (let i = 0; i < Math.max(PIN_MIN_LENGTH, pinEntry.value.length); i++) {
+      const dot = document.createElement("span");
+      dot.className = i < pinEntry.value.length ? "pin-dot filled" : "pin-dot";
+      dots.appendChild(dot);
+    }
+  }
+
+  function onPinKey(key) {
+    if (key === "clear") {
+      pinEntry.value = pinEntry.value.slice(0, -1);
+      renderPinEntry("");
+      return;
+    }
+    if (pinEntry.mode === "enter" && ParentSettings.getPinLockRemaining() > 0) {
+      pinEntry.value = "";
+      renderPinEntry("");
+      return;
+    }
+    if (key !== "ok") {
+      if (pinEntry.value.length < PIN_MAX_LENGTH) pinEntry.value += key;
+      renderPinEntry("");
+      return;
+    }
+
+    const pin = pinEntry.value;
+    pinEntry.value = "";
+    if (pinEntry.mode === "enter") {
+      if (ParentSettings.checkPin(pin)) {
+        navigateTo(SCREENS.PARENT);
+      } else {
+        renderPinEntry(t("pin_wrong"));
+      }
+    } else if (pinEntry.mode === "set") {
+      if (pin.length < PIN_MIN_LENGTH) {
+        renderPinEntry(t("pin_too_short", { count: PIN_MIN_LENGTH }));
+        return;
+      }
+      pinEntry.first = pin;
+      pinEntry.mode = "repeat";
+      renderPinEntry("");
+    } else if (pin === pinEntry.first) {
+      ParentSettings.setPin(pin);
+      navigateTo(SCREENS.PARENT);
+    } else {
+      pinEntry.mode = "set";
+      renderPinEntry(t("pin_mismatch"));
+    }
+  }
+
+  // Data for the parent lists, loaded when the parent area opens
+  const parentData = { boxes: [], audio: [], tags: [] };
+
+  async function onParentEnter() {
+    showLoading(true);
+    try {
+      const [boxes, audio, tags] = await Promise.all([
+        API.getBoxes(),
+        API.getLibraryAudio(),
+        API.getTags()
+      ]);
+      Object.assign(parentData, { boxes, audio, tags });
+    } catch (e) {
+      console.error("Error loading parent data:", e);
+    } finally {
+      showLoading(false);
+    }
+
+    const boxSelect = document.getElementById("parent-box");
+    boxSelect.innerHTML = "";
+    parentData.boxes.forEach((box) => {
+      const option = document.createElement("option");
+      option.value = box.ID;
+      option.textContent = box.boxName || box.commonName || box.ID;
+      boxSelect.appendChild(option);
+    });
+    if (state.selectedBox) boxSelect.value = state.selectedBox.ID;
+
+    document.getElementById("parent-favorites-search").value = "";
+    document.getElementById("parent-hidden-search").value = "";
+    document.getElementById("parent-library-message").textContent = "";
+    renderParentRules();
+    renderParentFavorites();
+    renderParentHidden();
+    renderParentLocked();
+    renderParentHistory();
+    renderParentLanguage();
+    renderParentSound();
+    renderParentDevice();
+  }
+
+  // Changes deep below an unchanged folder are only picked up by the daily
+  // full scan, parents can start one right away
+  async function onParentLibraryRefresh() {
+    const button = document.getElementById("btn-parent-library");
+    const message = document.getElementById("parent-library-message");
+    button.disabled = true;
+    message.textContent = "";
+    showLoading(true);
+    try {
+      const record = await LibraryIndex.refresh(true);
+      parentData.audio = LibraryIndex.buildItems(record);
+      renderParentRules();
+      renderParentFavorites();
+      renderParentHidden();
+      message.textContent = t("parent_library_done", { count: parentData.audio.length });
+    } catch (e) {
+      console.error("Error refreshing library index:", e);
+      message.textContent = t("parent_library_failed");
+    } finally {
+      button.disabled = false;
+      showLoading(false);
+    }
+  }
+
+  function renderParentDevice() {
+    const select = document.getElementById("parent-device-box");
+    select.innerHTML = "";
+    const options = [
+      ["", t("parent_device_remember")],
+      ["ask", t("parent_device_ask")],
+      ...parentData.boxes.map((box) => [box.ID, t("parent_device_fixed", { name: box.boxName || box.commonName || box.ID })])
+    ];
+    options.forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = ParentSettings.data.deviceBox || "";
+  }
+
+  function renderParentSound() {
+    const list = document.getElementById("parent-sound");
+    list.innerHTML = "";
+    list.appendChild(createCheckItem(t("parent_sound_enabled"), null, Voice.isEnabled(), (enabled) => {
+      ParentSettings.setMuted(!enabled);
+      if (!enabled) Voice.stop();
+    }));
+  }
+
+  function renderParentLanguage() {
+    const select = document.getElementById("parent-language");
+    select.innerHTML = "";
+    const auto = document.createElement("option");
+    auto.value = "";
+    auto.textContent = t("parent_language_auto");
+    select.appendChild(auto);
+    Object.entries(I18n.languages).forEach(([code, name]) => {
+      const option = document.createElement("option");
+      option.value = code;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    select.value = ParentSettings.data.language || "";
+  }
+
+  async function onParentLanguageChange(code) {
+    ParentSettings.setLanguage(code);
+    await I18n.setLanguage(I18n.detect(code));
+    applyI18n();
+    renderParentLanguage();
+    renderParentSound();
+    renderParentDevice();
+    renderParentHistory();
+  }
+
+  function createCheckItem(label, detail, checked, onChange) {
+    const item = document.createElement("label");
+    item.className = "parent-item";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = checked;
+    checkbox.addEventListener("change", () => onChange(checkbox.checked));
+    const text = document.createElement("span");
+    text.textContent = label;
+    item.appendChild(checkbox);
+    item.appendChild(text);
+    if (detail) {
+      const small = document.createElement("span");
+      small.className = "parent-item-detail";
+      small.textContent = detail;
+      item.appendChild(small);
+    }
+    return item;
+  }
+
+  // Every folder (and parent folder) that holds library audio
+  function getLibraryFolders(audio) {
+    const folders = new Set();
+    audio.forEach((item) => {
+      const parts = item.source.replace(/^lib:\/\//, "").split("/").slice(0, -1);
+      for (let i = 1; i <= parts.length; i++) {
+        folders.add(parts.slice(0, i).join("/"));
+      }
+    });
+    return Array.from(folders).sort();
+  }
+
+  function renderParentRules() {
+    const boxId = document.getElementById("parent-box").value;
+    const rules = ParentSettings.getBoxRules(boxId);
+
+    const folderList = document.getElementById("parent-folders");
+    folderList.innerHTML = "";
+    getLibraryFolders(parentData.audio).forEach((folder) => {
+      folderList.appendChild(createCheckItem(folder, "", rules.folders.includes(folder), (checked) => {
+        ParentSettings.toggleBoxRule(boxId, "folders", folder, checked);
+      }));
+    });
+
+    const seriesList = document.getElementById("parent-series");
+    seriesList.innerHTML = "";
+    const series = Array.from(new Set(parentData.audio.map((item) => item.tonieSeries).filter((s) => s))).sort();
+    series.forEach((name) => {
+      seriesList.appendChild(createCheckItem(name, "", rules.series.includes(name), (checked) => {
+        ParentSettings.toggleBoxRule(boxId, "series", name, checked);
+      }));
+    });
+  }
+
+  function renderParentAudioList(listId, searchId, isChecked, setChecked) {
+    const query = document.getElementById(searchId).value.toLowerCase().trim();
+    const list = document.getElementById(listId);
+    list.innerHTML = "";
+    parentData.audio
+      .filter((item) => !query || (item.title + " " + item.series).toLowerCase().includes(query))
+      .forEach((item) => {
+        list.appendChild(createCheckItem(item.title, item.series, isChecked(item.source), (checked) => {
+          setChecked(item.source, checked);
+        }));
+      });
+  }
+
+  function renderParentFavorites() {
+    renderParentAudioList("parent-favorites", "parent-favorites-search",
+      (source) => ParentSettings.isFavorite(source),
+      (source, checked) => ParentSettings.setFavorite(source, checked));
+  }
+
+  function renderParentHidden() {
+    renderParentAudioList("parent-hidden", "parent-hidden-search",
+      (source) => ParentSettings.isHidden(source),
+      (source, checked) => ParentSettings.setHidden(source, checked));
+  }
+
+
+  function renderParentLocked() {
+    const list = document.getElementById("parent-locked");
+    list.innerHTML = "";
+    parentData.tags.forEach((tag) => {
+      const info = getContentInfo(tag);
+      const detail = [info && info.episode, tag.ruid.toUpperCase()].filter(Boolean).join(" · ");
+      list.appendChild(createCheckItem(formatTagId(tag.ruid, tag), detail, ParentSettings.isTagLocked(tag.ruid), (checked) => {
+        ParentSettings.setTagLocked(tag.ruid, checked);
+      }));
+    });
+  }
+
+  // Per tag: what it played before the first recorded change, then every
+  // assignment since. Anything but the current content can be restored.
+  function renderParentHistory() {
+    const container = document.getElementById("parent-history");
+    container.innerHTML = "";
+
+    const ruids = AssignmentHistory.tags();
+    if (ruids.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "text-muted";
+      empty.textContent = t("parent_history_empty");
+      container.appendChild(empty);
+      return;
+    }
+
+    ruids.forEach((ruid) => {
+      const tag = parentData.tags.find((item) => item.ruid === ruid);
+      const entries = AssignmentHistory.forTag(ruid);
+      const rows = entries.slice().reverse().map((entry) => ({
+        content: entry.current,
+        detail: `${new Date(entry.time).toLocaleString(I18n.current)} · ${entry.boxName || t("history_parent")}`
+      }));
+      if (entries[0].previous) {
+        rows.push({ content: entries[0].previous, detail: t("history_before") });
+      }
+
+      const title = document.createElement("h4");
+      title.className = "parent-list-title";
+      title.textContent = formatTagId(ruid, tag || null);
+      const list = document.createElement("div");
+      list.className = "parent-list";
+
+      // Rows are newest first, so the first match is what the tag plays now
+      let currentSource = tag ? tag.source || "" : null;
+      rows.forEach((row) => {
+        const item = document.createElement("div");
+        item.className = "parent-item";
+        const text = document.createElement("span");
+        text.textContent = row.content.title || row.content.source || t("history_no_content");
+        const detail = document.createElement("span");
+        detail.className = "parent-item-detail";
+        detail.textContent = row.detail;
+        item.appendChild(text);
+        item.appendChild(detail);
+
+        if (row.content.source === currentSource) {
+          currentSource = null;
+          const current = document.createElement("span");
+          current.className = "parent-item-detail";
+          current.textContent = t("history_current");
+          item.appendChild(current);
+        } else {
+          const restore = document.createElement("button");
+          restore.className = "btn btn-secondary btn-small";
+          restore.textContent = t("history_restore");
+          restore.addEventListener("click", () => restoreAssignment(ruid, row.content));
+          item.appendChild(restore);
+        }
+        list.appendChild(item);
+      });
+
+      container.appendChild(title);
+      container.appendChild(list);
+    });
+  }
+
+  async function restoreAssignment(ruid, content) {
+    showLoading(true);
+    try {
+      await assignContent(ruid, content, null);
+      parentData.tags = await API.getTags();
+    } catch (e) {
+      console.error("Error restoring assignment:", e);
+      navigateTo(SCREENS.ERROR, { error: t("error_link_failed"), cause: e });
+      return;
+    } finally {
+      showLoading(false);
+    }
+    renderParentHistory();
+  }
+
+  // ============================================
+  // Box Dashboard
+  // ============================================
+  // Live overview for households with several boxes: which tonie sits on
+  // which box and what it plays. One detector per box, all sharing the push
+  // channel; none of them time out.
+  const dashboardDetectors = [];
+
+  async function onDashboardEnter() {
+    stopDashboard();
+    showLoading(true);
+    let boxes;
+    try {
+      boxes = await getBoxesWithImages();
+    } catch (e) {
+      console.error("Error loading boxes:", e);
+      navigateTo(SCREENS.ERROR, { error: t("error_generic"), cause: e });
+      return;
+    } finally {
+      showLoading(false);
+    }
+    if (state.currentScreen !== SCREENS.DASHBOARD) return;
+
+    renderDashboard(boxes);
+    boxes.forEach((box) => {
+      const detector = new TagDetector(box.ID, {
+        timeout: 0,
+        onTagDetected: (ruid) => updateDashboardBox(box.ID, ruid),
+        onTagRemoved: () => updateDashboardBox(box.ID, null),
+        onConnectionLost: () => {
+          navigateTo(SCREENS.RECONNECT, { returnTo: SCREENS.DASHBOARD });
+        }
+      });
+      dashboardDetectors.push(detector);
+      detector.start();
+    });
+  }
+
+  function stopDashboard() {
+    dashboardDetectors.forEach((detector) => detector.stop());
+    dashboardDetectors.length = 0;
+  }
+
+  function renderDashboard(boxes) {
+    const grid = document.getElementById("dashboard-grid");
     grid.innerHTML = "";
 
-    state.availableBoxes.forEach((box) => {
+    boxes.forEach((box) => {
       const card = document.createElement("div");
-      card.className = "box-card";
+      card.className = "dashboard-card";
+      card.dataset.boxId = box.ID;
       card.innerHTML = `
-        <div class="box-card-image">
-          ${box.imageUrl
-            ? `<img src="${box.imageUrl}" alt="${box.modelName}" />`
-            : `<div class="box-placeholder"></div>`
-          }
+        <div class="dashboard-box">
+          <div class="box-card-name"></div>
+        </div>
+        <div class="dashboard-tonie">
+          <img class="dashboard-tonie-img hidden" alt="" />
+          <div class="dashboard-tonie-text">
+            <div class="dashboard-tonie-title"></div>
+            <div class="dashboard-tonie-detail"></div>
+          </div>
         </div>
-        <div class="box-card-name">${box.boxName || box.commonName || box.ID}</div>
-        <div class="box-card-model">${box.modelName || ""}</div>
       `;
+      card.querySelector(".dashboard-box").prepend(createBoxImage(box));
+      card.querySelector(".box-card-name").textContent = box.boxName || box.commonName || box.ID;
+      showDashboardTonie(card, null);
+      grid.appendChild(card);
+    });
+  }
+
+  async function updateDashboardBox(boxId, ruid) {
+    const card = document.querySelector(`.dashboard-card[data-box-id="${boxId}"]`);
+    if (!card) return;
+    card.dataset.ruid = ruid || "";
+    if (!ruid) {
+      showDashboardTonie(card, null);
+      return;
+    }
+
+    showDashboardTonie(card, { title: ruid.toUpperCase(), detail: "" });
+    let tagInfo = null;
+    try {
+      tagInfo = await API.getTagInfo(ruid);
+    } catch (e) {
+      console.error("Error fetching tag info:", e);
+    }
+    // Another tag may have been placed in the meantime
+    if (card.dataset.ruid !== ruid) return;
+
+    const contentInfo = getContentInfo(tagInfo);
+    const hasContent = contentInfo && contentInfo.picture && !contentInfo.picture.includes("unknown");
+    showDashboardTonie(card, {
+      picture: hasContent ? contentInfo.picture : null,
+      title: hasContent ? (contentInfo.series || contentInfo.episode || t("tag_unknown")) : t("tag_no_audio"),
+      detail: [hasContent ? contentInfo.episode : "", formatTagId(ruid, null)].filter(Boolean).join(" · ")
+    });
+  }
+
+  // tonie: { picture, title, detail }, or null while the box is empty
+  function showDashboardTonie(card, tonie) {
+    const img = card.querySelector(".dashboard-tonie-img");
+    card.classList.toggle("has-tonie", !!tonie);
+    img.classList.toggle("hidden", !(tonie && tonie.picture));
+    if (tonie && tonie.picture) {
+      img.src = tonie.picture;
+    } else {
+      img.removeAttribute("src");
+    }
+    card.querySelector(".dashboard-tonie-title").textContent = tonie ? tonie.title : t("dashboard_empty");
+    card.querySelector(".dashboard-tonie-detail").textContent = tonie ? tonie.detail : "";
+  }
+
+  // ============================================
+  // Reconnect
+  // ============================================
+  // Shown while TeddyCloud is unreachable. Retries with growing delays and
+  // returns to the screen that failed once the server answers again.
+  const RECONNECT_DELAYS = [2000, 4000, 8000, 15000, 30000];
+  const reconnect = { returnTo: null, attempt: 0, timerId: null };
+
+  function onReconnectEnter(returnTo) {
+    reconnect.returnTo = returnTo || SCREENS.SPLASH;
+    reconnect.attempt = 0;
+    scheduleReconnect();
+  }
+
+  function scheduleReconnect() {
+    clearTimeout(reconnect.timerId);
+    const delay = RECONNECT_DELAYS[Math.min(reconnect.attempt, RECONNECT_DELAYS.length - 1)];
+    document.getElementById("reconnect-status").textContent =
+      reconnect.attempt > 0 ? t("reconnect_attempt", { count: reconnect.attempt }) : "";
+    reconnect.timerId = setTimeout(tryReconnect, delay);
+  }
+
+  function stopReconnect() {
+    clearTimeout(reconnect.timerId);
+    reconnect.timerId = null;
+  }
+
+  async function tryReconnect() {
+    stopReconnect();
+    if (state.currentScreen !== SCREENS.RECONNECT) return;
+    try {
+      await API.getBoxes();
+    } catch (e) {
+      reconnect.attempt++;
+      scheduleReconnect();
+      return;
+    }
+    console.log("Connection restored, back to:", reconnect.returnTo);
+    if (state.currentScreen === SCREENS.RECONNECT) navigateTo(reconnect.returnTo);
+  }
+
+  // ============================================
+  // Audio Browsing
+  // ============================================
+  // Without a search the selection starts with picture tiles per series;
+  // a series opens into its episodes. Favorites and recently used items
+  // sit above the tiles.
+  const RECENT_LIMIT = 10;
+
+  // Items without a tonie series stand on their own
+  function seriesKey(item) {
+    return item.tonieSeries || item.source;
+  }
+
+  function getSeriesGroups(audio) {
+    const groups = new Map();
+    audio.forEach((item) => {
+      const key = seriesKey(item);
+      if (!groups.has(key)) {
+        groups.set(key, { key, title: item.tonieSeries || item.title, pic: item.pic, items: [] });
+      }
+      groups.get(key).items.push(item);
+    });
+    return [...groups.values()].sort((a, b) => a.title.localeCompare(b.title, I18n.current));
+  }
+
+  // What the grid pages through: search results, one series or the series tiles
+  function getAudioList() {
+    if (state.searchQuery) return state.filteredAudio;
+    if (state.audioSeries) return state.availableAudio.filter((item) => seriesKey(item) === state.audioSeries);
+    return getSeriesGroups(state.availableAudio);
+  }
+
+  function getFavoriteAudio() {
+    return state.availableAudio.filter((item) => ParentSettings.isFavorite(item.source));
+  }
+
+  // Newest first, only what is still allowed on this box
+  function getRecentAudio() {
+    const recent = [];
+    AssignmentHistory.entries.slice().reverse().forEach((entry) => {
+      if (recent.length >= RECENT_LIMIT || !entry.boxId || !entry.current) return;
+      const item = state.availableAudio.find((audio) => audio.source === entry.current.source);
+      if (item && !recent.includes(item)) recent.push(item);
+    });
+    return recent;
+  }
+
+  function selectAudio(audio) {
+    setState({ selectedAudio: audio });
+    navigateTo(SCREENS.CONFIRM);
+  }
+
+  function openSeries(group) {
+    // A series with a single episode goes straight to the confirmation
+    if (group.items.length === 1) {
+      selectAudio(group.items[0]);
+      return;
+    }
+    setState({ audioSeries: group.key, audioHomePage: state.audioPage, audioPage: 0 });
+    renderAudioGrid();
+    document.getElementById("audio-grid").scrollTop = 0;
+  }
+
+  function closeSeries() {
+    setState({ audioSeries: null, audioPage: state.audioHomePage });
+    renderAudioGrid();
+  }
+
+  // Titles and series may come from text typed by parents (custom tonies),
+  // so cards are built from nodes and never from markup
+  function createNode(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function createImage(src, alt, className) {
+    const img = createNode("img", className);
+    img.setAttribute("src", src || "");
+    img.setAttribute("alt", alt || "");
+    return img;
+  }
+
+  function createAudioCard(audio) {
+    const card = createNode("div", "audio-card");
+    card.appendChild(createImage(audio.pic, audio.title, "audio-card-img"));
+    card.appendChild(createNode("div", "audio-card-title", audio.title));
+    if (audio.series) card.appendChild(createNode("div", "audio-card-series", audio.series));
+
+    const previewBtn = createNode("button", "btn-preview");
+    card.appendChild(previewBtn);
+    previewBtn.dataset.previewSource = audio.source;
+    previewBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      Preview.toggle(audio.source);
+    });
+
+    card.addEventListener("click", () => selectAudio(audio));
+    return card;
+  }
+
+  function createSeriesTile(group) {
+    const tile = createNode("div", "audio-card series-card");
+    tile.appendChild(createImage(group.pic, group.title, "audio-card-img"));
+    tile.appendChild(createNode("div", "audio-card-title", group.title));
+    if (group.items.length > 1) tile.appendChild(createNode("div", "series-count", String(group.items.length)));
+    tile.addEventListener("click", () => openSeries(group));
+    return tile;
+  }
+
+  // ============================================
+  // Render Functions
+  // ============================================
+  function createBoxImage(box) {
+    return box.imageUrl ? createImage(box.imageUrl, box.modelName) : createNode("div", "box-placeholder");
+  }
+
+  function renderBoxGrid() {
+    const grid = document.getElementById("box-grid");
+    grid.innerHTML = "";
+
+    state.availableBoxes.forEach((box) => {
+      const card = createNode("div", "box-card");
+      const image = createNode("div", "box-card-image");
+      image.appendChild(createBoxImage(box));
+      card.appendChild(image);
+      card.appendChild(createNode("div", "box-card-name", box.boxName || box.commonName || box.ID));
+      card.appendChild(createNode("div", "box-card-model", box.modelName || ""));
 
       card.addEventListener("click", () => {
+        rememberBox(box.ID);
         setState({ selectedBox: box });
         navigateTo(SCREENS.PLACE_TAG);
       });
@@ -718,32 +2421,54 @@
     });
   }
 
+  function renderAudioRows(show) {
+    const container = document.getElementById("audio-rows");
+    container.innerHTML = "";
+
+    const rows = show
+      ? [
+          { icon: "\u2B50", title: t("audio_favorites"), items: getFavoriteAudio() },
+          { icon: "\u23F1", title: t("audio_recent"), items: getRecentAudio() }
+        ].filter((row) => row.items.length > 0)
+      : [];
+
+    rows.forEach((row) => {
+      const section = document.createElement("section");
+      section.className = "audio-row";
+      const title = document.createElement("h3");
+      title.className = "audio-row-title";
+      title.textContent = `${row.icon} ${row.title}`;
+      const items = document.createElement("div");
+      items.className = "audio-row-items";
+      row.items.forEach((audio) => items.appendChild(createAudioCard(audio)));
+      section.appendChild(title);
+      section.appendChild(items);
+      container.appendChild(section);
+    });
+    container.classList.toggle("hidden", rows.length === 0);
+  }
+
   function renderAudioGrid() {
     const grid = document.getElementById("audio-grid");
     grid.innerHTML = "";
 
-    const audioList = state.filteredAudio.length > 0 || state.searchQuery ? state.filteredAudio : state.availableAudio;
+    const showSeries = !state.searchQuery && !state.audioSeries;
+    const audioList = getAudioList();
 
     const start = state.audioPage * state.audioPerPage;
     const end = start + state.audioPerPage;
     const pageItems = audioList.slice(start, end);
 
-    pageItems.forEach((audio) => {
-      const card = document.createElement("div");
-      card.className = "audio-card";
-      card.innerHTML = `
-        <img src="${audio.pic}" alt="${audio.title}" class="audio-card-img" />
-        <div class="audio-card-title">${audio.title}</div>
-        ${audio.series ? `<div class="audio-card-series">${audio.series}</div>` : ""}
-      `;
+    pageItems.forEach((entry) => {
+      grid.appendChild(showSeries ? createSeriesTile(entry) : createAudioCard(entry));
+    });
 
-      card.addEventListener("click", () => {
-        setState({ selectedAudio: audio });
-        navigateTo(SCREENS.CONFIRM);
-      });
+    renderAudioRows(showSeries && state.audioPage === 0);
+    updatePreviewButtons();
 
-      grid.appendChild(card);
-    });
+    // Inside a series the back button leads back to the series tiles
+    const backBtn = document.getElementById("btn-audio-back");
+    backBtn.textContent = state.audioSeries && !state.searchQuery ? t("audio_all_series") : t("audio_back");
 
     // Update pagination
     const totalPages = Math.max(1, Math.ceil(audioList.length / state.audioPerPage));
@@ -751,12 +2476,13 @@
     document.getElementById("audio-page-info").textContent = t("audio_page", {
       current: state.audioPage + 1,
       total: totalPages
-    }) + ` (${totalItems})`;
+    }) + ` (${t("audio_count", { count: totalItems })})`;
 
     document.getElementById("btn-audio-prev").disabled = state.audioPage === 0;
     document.getElementById("btn-audio-next").disabled = state.audioPage >= totalPages - 1;
   }
 
+
   function showLoading(show) {
     const overlay = document.getElementById("loading-overlay");
     if (show) {
@@ -791,10 +2517,11 @@
       });
 
       // Update button text when fullscreen changes (e.g., user presses Escape)
+      // Keep data-i18n in sync so a language change keeps the right label
       document.addEventListener("fullscreenchange", () => {
-        fullscreenBtn.textContent = document.fullscreenElement
-          ? t("fullscreen_exit")
-          : t("fullscreen_enter");
+        const key = document.fullscreenElement ? "fullscreen_exit" : "fullscreen_enter";
+        fullscreenBtn.setAttribute("data-i18n", key);
+        fullscreenBtn.textContent = t(key);
       });
     }
 
@@ -810,26 +2537,27 @@
 
     // Tag Placement - Switch Tonie button (reset to waiting state)
     document.getElementById("btn-switch-tonie").addEventListener("click", () => {
-      // Reset poller state to detect any tag as "new"
-      if (currentPoller) {
-        currentPoller.lastRuid = null;
-        currentPoller.hasTag = false;
-      }
       // Show waiting state
       document.getElementById("tag-waiting").classList.remove("hidden");
       document.getElementById("tag-detected").classList.add("hidden");
       document.getElementById("tag-id").textContent = "";
       setState({ detectedTag: null });
+      // Report the tag on the box as "new" again
+      if (currentDetector) currentDetector.reset();
     });
 
     // Tag Placement - Back button
     document.getElementById("btn-tag-back").addEventListener("click", () => {
-      if (currentPoller) currentPoller.stop();
-      navigateTo(SCREENS.SELECT_BOX);
+      if (currentDetector) currentDetector.stop();
+      navigateTo(SCREENS.SELECT_BOX, { choose: true });
     });
 
     // Audio Selection - Back button
     document.getElementById("btn-audio-back").addEventListener("click", () => {
+      if (state.audioSeries && !state.searchQuery) {
+        closeSeries();
+        return;
+      }
       navigateTo(SCREENS.PLACE_TAG);
     });
 
@@ -860,8 +2588,7 @@
     });
 
     document.getElementById("btn-audio-next").addEventListener("click", () => {
-      const audioList = state.filteredAudio.length > 0 || state.searchQuery ? state.filteredAudio : state.availableAudio;
-      const totalPages = Math.ceil(audioList.length / state.audioPerPage);
+      const totalPages = Math.ceil(getAudioList().length / state.audioPerPage);
       if (state.audioPage < totalPages - 1) {
         setState({ audioPage: state.audioPage + 1 });
         renderAudioGrid();
@@ -869,6 +2596,11 @@
       }
     });
 
+    // Confirmation - Listen button
+    document.getElementById("btn-confirm-listen").addEventListener("click", () => {
+      if (state.selectedAudio) Preview.toggle(state.selectedAudio.source);
+    });
+
     // Confirmation - No button
     document.getElementById("btn-confirm-no").addEventListener("click", () => {
       navigateTo(SCREENS.SELECT_AUDIO);
@@ -876,16 +2608,42 @@
 
     // Confirmation - Yes button
     document.getElementById("btn-confirm-yes").addEventListener("click", async () => {
+      // The lock may have been set while the child was choosing
+      if (ParentSettings.isTagLocked(state.detectedTag.ruid)) {
+        navigateTo(SCREENS.ERROR, { error: t("tag_locked") });
+        return;
+      }
       showLoading(true);
       try {
-        await API.linkAudioToTag(
-          state.detectedTag.ruid,
-          state.selectedAudio.source
-        );
+        const audio = state.selectedAudio;
+        const entry = await assignContent(state.detectedTag.ruid, {
+          source: audio.source,
+          nocloud: true,
+          title: audio.title,
+          pic: audio.pic
+        }, state.selectedBox);
+        setState({ lastAssignment: entry });
         navigateTo(SCREENS.SUCCESS);
       } catch (e) {
         console.error("Error linking audio:", e);
-        navigateTo(SCREENS.ERROR, { error: t("error_link_failed") });
+        navigateTo(SCREENS.ERROR, { error: t("error_link_failed"), cause: e });
+      } finally {
+        showLoading(false);
+      }
+    });
+
+    // Success - Undo button: put back what the tag played before
+    document.getElementById("btn-undo").addEventListener("click", async () => {
+      const entry = state.lastAssignment;
+      if (!entry || !entry.previous) return;
+      showLoading(true);
+      try {
+        await assignContent(entry.ruid, entry.previous, state.selectedBox);
+        setState({ lastAssignment: null, availableAudio: [] });
+        navigateTo(SCREENS.PLACE_TAG);
+      } catch (e) {
+        console.error("Error undoing assignment:", e);
+        navigateTo(SCREENS.ERROR, { error: t("error_link_failed"), cause: e });
       } finally {
         showLoading(false);
       }
@@ -897,21 +2655,89 @@
       navigateTo(SCREENS.SPLASH);
     });
 
+    // Reconnect - try right away when the device is back online
+    window.addEventListener("online", () => {
+      if (state.currentScreen === SCREENS.RECONNECT) tryReconnect();
+    });
+
     // Error - Retry button
     document.getElementById("btn-retry").addEventListener("click", () => {
       navigateTo(SCREENS.SPLASH);
     });
+
+    // Parent - open the PIN pad
+    document.getElementById("btn-parent").addEventListener("click", () => {
+      navigateTo(SCREENS.PARENT_PIN);
+    });
+
+    // Parent PIN - keypad
+    document.getElementById("pin-pad").addEventListener("click", (e) => {
+      const key = e.target.closest("[data-key]");
+      if (key) onPinKey(key.getAttribute("data-key"));
+    });
+
+    document.getElementById("btn-pin-back").addEventListener("click", () => {
+      navigateTo(SCREENS.SPLASH);
+    });
+
+    // Parent Area - lists
+    document.getElementById("parent-box").addEventListener("change", renderParentRules);
+    document.getElementById("parent-favorites-search").addEventListener("input", renderParentFavorites);
+    document.getElementById("parent-language").addEventListener("change", (e) => {
+      onParentLanguageChange(e.target.value);
+    });
+    document.getElementById("parent-hidden-search").addEventListener("input", renderParentHidden);
+
+    document.getElementById("btn-parent-library").addEventListener("click", onParentLibraryRefresh);
+
+    document.getElementById("btn-parent-pin").addEventListener("click", () => {
+      navigateTo(SCREENS.PARENT_PIN, { pinMode: "set" });
+    });
+
+    document.getElementById("parent-device-box").addEventListener("change", (e) => {
+      ParentSettings.setDeviceBox(e.target.value);
+    });
+
+    document.getElementById("btn-parent-dashboard").addEventListener("click", () => {
+      navigateTo(SCREENS.DASHBOARD);
+    });
+
+    document.getElementById("btn-dashboard-back").addEventListener("click", () => {
+      navigateTo(SCREENS.PARENT);
+    });
+
+    // Parent Area - Done (the audio list is rebuilt with the new rules)
+    document.getElementById("btn-parent-done").addEventListener("click", () => {
+      setState({ availableAudio: [], audioBoxId: null });
+      navigateTo(SCREENS.SPLASH);
+    });
   }
 
   // ============================================
   // Initialization
   // ============================================
-  function init() {
+  // Offline support for the standalone deployment. Not registered when the
+  // Kids UI is embedded in the TeddyCloud web interface.
+  function registerServiceWorker() {
+    if (!("serviceWorker" in navigator) || window.self !== window.top) return;
+    navigator.serviceWorker.register(`./sw.js?v=${PLUGIN_VERSION}`)
+      .then((registration) => console.log("Service worker registered:", registration.scope))
+      .catch((e) => console.error("Service worker registration failed:", e));
+  }
+
+  async function init() {
     console.log(`${PLUGIN_NAME} v${PLUGIN_VERSION} initializing...`);
 
+    ParentSettings.load();
+    AssignmentHistory.load();
+    LibraryIndex.onUpdate = onLibraryUpdated;
+    Preview.init();
+    Preview.onChange = updatePreviewButtons;
+    await I18n.init(ParentSettings.data.language);
     applyI18n();
     setupEventListeners();
-    navigateTo(SCREENS.SPLASH);
+    registerServiceWorker();
+    navigateTo(ParentSettings.hasPin() ? SCREENS.SPLASH : SCREENS.PARENT_PIN);
 
     console.log(`${PLUGIN_NAME} ready`);
   }
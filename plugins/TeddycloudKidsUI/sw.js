@@ -0,0 +1,114 @@
+// TeddycloudKidsUI - Service Worker
+// Keeps the app shell and tonie pictures available while TeddyCloud is
+// briefly unreachable. API and content requests always go to the network.
+
+// Registered as sw.js?v=<version>, so every release gets a fresh shell cache
+const VERSION = new URL(self.location.href).searchParams.get("v") || "dev";
+const SHELL_CACHE = `kidsui-shell-${VERSION}`;
+const IMAGE_CACHE = "kidsui-images";
+const IMAGE_LIMIT = 300;
+
+const SHELL_FILES = [
+  "./",
+  "./index.html",
+  "./script.js",
+  "./styles.css",
+  "./manifest.webmanifest",
+  "./icon.svg",
+  "./locales/index.json",
+  "./locales/de.json",
+  "./locales/en.json",
+  "./voice/index.json"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith("kidsui-shell-") && key !== SHELL_CACHE)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  // Live data is never served from a cache
+  if (sameOrigin && (url.pathname.startsWith("/api/") || url.pathname.startsWith("/content/"))) return;
+
+  if (request.destination === "image") {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  if (sameOrigin && (request.mode === "navigate" || isShellFile(url))) {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+// Shell files plus every locale and voice clip, so a language picked later works offline too
+function isShellFile(url) {
+  const href = url.href.split("?")[0];
+  const dirs = ["./locales/", "./voice/"].map((dir) => new URL(dir, self.registration.scope).href);
+  if (dirs.some((dir) => href.startsWith(dir))) return true;
+  return SHELL_FILES.some((file) => new URL(file, self.registration.scope).href === href);
+}
+
+// Shell: fresh from the server when it answers, cached copy otherwise
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone()).catch((e) => console.warn("Shell cache full:", e));
+    return response;
+  } catch (e) {
+    const cached = await cache.match(request, { ignoreSearch: true }) ||
+      (request.mode === "navigate" ? await cache.match("./index.html") : null);
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+// Tonie pictures rarely change. Opaque (cross-origin) responses are not
+// stored: browsers count each of them with several MB of padding against the
+// quota, they are left to the normal HTTP cache. A full cache never keeps a
+// picture from showing.
+async function cacheFirst(request) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    try {
+      await cache.put(request, response.clone());
+      trimImageCache(cache);
+    } catch (e) {
+      console.warn("Picture cache full:", e);
+    }
+  }
+  return response;
+}
+
+// Drop the oldest entries once the picture cache grows too large
+async function trimImageCache(cache) {
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - IMAGE_LIMIT; i++) {
+    await cache.delete(keys[i]);
+  }
+}
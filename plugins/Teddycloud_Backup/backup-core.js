@@ -0,0 +1,2742 @@
+// TeddyCloud Backup - gemeinsame Logik
+// API-Zugriff, ZIP-Format, Verschlüsselung, Backup, Prüfung und Wiederherstellung
+// ohne DOM - genutzt vom Plugin (script.js) und vom Kommandozeilen-Tool (cli/tc-backup.js)
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TeddyCloudBackupCore = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Written into every manifest; the plugin shows it as its own version
+  const VERSION = "1.14.1";
+
+  const COMPONENT_LABELS = {
+    certs: "🔐 Zertifikate",
+    settings: "⚙️ Einstellungen",
+    content: "📁 Content-Metadaten",
+    audio: "🎵 Audio-Dateien",
+    toniesDb: "📚 Tonies-Datenbank",
+    config: "🗂️ Config-Verzeichnis",
+    firmware: "💿 Firmware",
+  };
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+  function formatBytes(bytes) {
+    if (bytes === 0) return "0 Bytes";
+    const k = 1024;
+    const sizes = ["Bytes", "KB", "MB", "GB"];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+  }
+
+  function joinPath(...parts) {
+    return parts.filter((p) => p).join("/").replace(/\/+/g, "/");
+  }
+
+  function splitPath(path) {
+    const idx = path.lastIndexOf("/");
+    return idx === -1
+      ? { dir: "", name: path }
+      : { dir: path.substring(0, idx), name: path.substring(idx + 1) };
+  }
+
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  function getBackupId(manifest) {
+    return manifest.id || manifest.timestamp;
+  }
+
+  // Archive names are matched by SCHEDULED_BACKUP_PATTERN for the retention
+  function createBackupName(base) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+    return base
+      ? `teddycloud-backup-${timestamp}-delta`
+      : `teddycloud-backup-${timestamp}`;
+  }
+
+  // ============================================================
+  // API CLIENT
+  // ============================================================
+  // config: { baseUrl, fetch, log(message, type) }. The plugin uses the same
+  // origin (baseUrl ""), the command-line tool the URL of the server.
+  function createClient(config) {
+    const baseUrl = (config.baseUrl || "").replace(/\/+$/, "");
+    const fetchImpl = config.fetch || ((url, options) => fetch(url, options));
+    const log = config.log || (() => {});
+
+    async function request(endpoint, options = {}) {
+      try {
+        const response = await fetchImpl(baseUrl + endpoint, options);
+        if (!response.ok) {
+          const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+          error.status = response.status;
+          throw error;
+        }
+        return response;
+      } catch (error) {
+        log(`API-Fehler bei ${endpoint}: ${error.message}`, "error");
+        throw error;
+      }
+    }
+
+    return {
+      baseUrl: baseUrl,
+      log: log,
+      request: request,
+      // Without status check, for calls whose failure is expected (existing directories)
+      send: (endpoint, options = {}) => fetchImpl(baseUrl + endpoint, options),
+      json: async (endpoint, options = {}) => (await request(endpoint, options)).json(),
+      blob: async (endpoint, options = {}) => (await request(endpoint, options)).blob(),
+      // Returns the response itself so large files can be streamed from response.body
+      stream: (endpoint, options = {}) => request(endpoint, options),
+      text: async (endpoint, options = {}) => (await request(endpoint, options)).text(),
+    };
+  }
+
+  // ============================================================
+  // CHECKSUMS
+  // ============================================================
+  const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+  ]);
+
+  // Incremental SHA-256 (WebCrypto can only hash complete buffers)
+  function createSha256() {
+    const H = new Uint32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+    ]);
+    const W = new Uint32Array(64);
+    const block = new Uint8Array(64);
+    let blockLen = 0;
+    let total = 0;
+
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    function compress(bytes, off) {
+      for (let i = 0; i < 16; i++) {
+        const j = off + i * 4;
+        W[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+      }
+      for (let i = 16; i < 64; i++) {
+        const s0 = rotr(W[i - 15], 7) ^ rotr(W[i - 15], 18) ^ (W[i - 15] >>> 3);
+        const s1 = rotr(W[i - 2], 17) ^ rotr(W[i - 2], 19) ^ (W[i - 2] >>> 10);
+        W[i] = (W[i - 16] + s0 + W[i - 7] + s1) | 0;
+      }
+      let a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
+      for (let i = 0; i < 64; i++) {
+        const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + W[i]) | 0;
+        const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        h = g;
+        g = f;
+        f = e;
+        e = (d + t1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) | 0;
+      }
+      H[0] += a; H[1] += b; H[2] += c; H[3] += d;
+      H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+    }
+
+    return {
+      update(bytes) {
+        let i = 0;
+        total += bytes.length;
+        if (blockLen > 0) {
+          const take = Math.min(64 - blockLen, bytes.length);
+          block.set(bytes.subarray(0, take), blockLen);
+          blockLen += take;
+          i = take;
+          if (blockLen < 64) return;
+          compress(block, 0);
+          blockLen = 0;
+        }
+        for (; i + 64 <= bytes.length; i += 64) {
+          compress(bytes, i);
+        }
+        block.set(bytes.subarray(i), 0);
+        blockLen = bytes.length - i;
+      },
+
+      digest() {
+        const bits = total * 8;
+        const padLen = blockLen < 56 ? 64 : 128;
+        const pad = new Uint8Array(padLen);
+        pad.set(block.subarray(0, blockLen));
+        pad[blockLen] = 0x80;
+        const view = new DataView(pad.buffer);
+        view.setUint32(padLen - 8, Math.floor(bits / 0x100000000));
+        view.setUint32(padLen - 4, bits >>> 0);
+        for (let off = 0; off < padLen; off += 64) {
+          compress(pad, off);
+        }
+        return Array.from(H, (x) => x.toString(16).padStart(8, "0")).join("");
+      },
+    };
+  }
+
+  // ============================================================
+  // STREAMING ZIP WRITER
+  // ============================================================
+
+  const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32Update(crc, bytes) {
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc;
+  }
+
+  function setUint64(view, pos, value) {
+    view.setUint32(pos, value % 0x100000000, true);
+    view.setUint32(pos + 4, Math.floor(value / 0x100000000), true);
+  }
+
+  function toDosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+  }
+
+  async function* readChunks(data) {
+    if (typeof data === "string") {
+      yield new TextEncoder().encode(data);
+      return;
+    }
+    if (data[Symbol.asyncIterator]) {
+      yield* data;
+      return;
+    }
+    const stream = data instanceof Blob ? data.stream() : data.body;
+    const reader = stream.getReader();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      yield value;
+    }
+  }
+
+  // Writes a ZIP64 archive entry by entry (STORE + data descriptors), so only
+  // the central directory is held in memory while the archive is built.
+  // `resume` is a state() snapshot of an archive whose bytes up to
+  // resume.offset are already in the sink; writing continues behind them.
+  function createZipStreamWriter(sink, resume) {
+    const FLAGS = 0x0808; // data descriptor + UTF-8 names
+    const VERSION = 45; // ZIP64
+    const entries = [];
+    const byPath = new Map();
+    let offset = 0;
+
+    if (resume) {
+      offset = resume.offset;
+      resume.entries.forEach((saved) => {
+        const entry = Object.assign({}, saved, { name: new TextEncoder().encode(saved.path) });
+        entries.push(entry);
+        byPath.set(entry.path, entry);
+      });
+    }
+
+    async function write(bytes) {
+      await sink.write(bytes);
+      offset += bytes.length;
+    }
+
+    function localHeader(entry) {
+      const buf = new Uint8Array(30 + entry.name.length + 20);
+      const view = new DataView(buf.buffer);
+      view.setUint32(0, 0x04034b50, true);
+      view.setUint16(4, VERSION, true);
+      view.setUint16(6, FLAGS, true);
+      view.setUint16(8, 0, true);
+      view.setUint16(10, entry.dos.time, true);
+      view.setUint16(12, entry.dos.date, true);
+      view.setUint32(14, 0, true);
+      view.setUint32(18, 0xffffffff, true);
+      view.setUint32(22, 0xffffffff, true);
+      view.setUint16(26, entry.name.length, true);
+      view.setUint16(28, 20, true);
+      buf.set(entry.name, 30);
+      const extra = 30 + entry.name.length;
+      view.setUint16(extra, 0x0001, true);
+      view.setUint16(extra + 2, 16, true);
+      // Sizes follow in the data descriptor
+      return buf;
+    }
+
+    function dataDescriptor(entry) {
+      const buf = new Uint8Array(24);
+      const view = new DataView(buf.buffer);
+      view.setUint32(0, 0x08074b50, true);
+      view.setUint32(4, entry.crc, true);
+      setUint64(view, 8, entry.size);
+      setUint64(view, 16, entry.size);
+      return buf;
+    }
+
+    function centralHeader(entry) {
+      const buf = new Uint8Array(46 + entry.name.length + 28);
+      const view = new DataView(buf.buffer);
+      view.setUint32(0, 0x02014b50, true);
+      view.setUint16(4, VERSION, true);
+      view.setUint16(6, VERSION, true);
+      view.setUint16(8, FLAGS, true);
+      view.setUint16(10, 0, true);
+      view.setUint16(12, entry.dos.time, true);
+      view.setUint16(14, entry.dos.date, true);
+      view.setUint32(16, entry.crc, true);
+      view.setUint32(20, 0xffffffff, true);
+      view.setUint32(24, 0xffffffff, true);
+      view.setUint16(28, entry.name.length, true);
+      view.setUint16(30, 28, true);
+      view.setUint32(42, 0xffffffff, true);
+      buf.set(entry.name, 46);
+      const extra = 46 + entry.name.length;
+      view.setUint16(extra, 0x0001, true);
+      view.setUint16(extra + 2, 24, true);
+      setUint64(view, extra + 4, entry.size);
+      setUint64(view, extra + 12, entry.size);
+      setUint64(view, extra + 20, entry.offset);
+      return buf;
+    }
+
+    function endRecords(cdOffset, cdSize) {
+      const buf = new Uint8Array(56 + 20 + 22);
+      const view = new DataView(buf.buffer);
+      // ZIP64 end of central directory record
+      view.setUint32(0, 0x06064b50, true);
+      setUint64(view, 4, 44);
+      view.setUint16(12, VERSION, true);
+      view.setUint16(14, VERSION, true);
+      setUint64(view, 24, entries.length);
+      setUint64(view, 32, entries.length);
+      setUint64(view, 40, cdSize);
+      setUint64(view, 48, cdOffset);
+      // ZIP64 end of central directory locator
+      view.setUint32(56, 0x07064b50, true);
+      setUint64(view, 64, cdOffset + cdSize);
+      view.setUint32(72, 1, true);
+      // End of central directory record
+      view.setUint32(76, 0x06054b50, true);
+      view.setUint16(84, 0xffff, true);
+      view.setUint16(86, 0xffff, true);
+      view.setUint32(88, 0xffffffff, true);
+      view.setUint32(92, 0xffffffff, true);
+      return buf;
+    }
+
+    return {
+      // Adds a string, Blob or fetch Response; returns { size, sha256 } of the stored data
+      // Entries that are already in the archive (resumed run) are skipped.
+      async add(path, data) {
+        const existing = byPath.get(path);
+        if (existing) {
+          if (data && data.body) await data.body.cancel();
+          return { size: existing.size, sha256: existing.sha256 };
+        }
+
+        const entry = {
+          path: path,
+          name: new TextEncoder().encode(path),
+          offset: offset,
+          dos: toDosDateTime(new Date()),
+          crc: 0,
+          size: 0,
+          sha256: null,
+        };
+        await write(localHeader(entry));
+        let crc = 0xffffffff;
+        const hash = createSha256();
+        try {
+          for await (const chunk of readChunks(data)) {
+            crc = crc32Update(crc, chunk);
+            hash.update(chunk);
+            entry.size += chunk.length;
+            await write(chunk);
+          }
+        } catch (e) {
+          // Drop the partial entry so the same path can be written again
+          await sink.truncate(entry.offset);
+          offset = entry.offset;
+          throw e;
+        }
+        entry.crc = (crc ^ 0xffffffff) >>> 0;
+        entry.sha256 = hash.digest();
+        await write(dataDescriptor(entry));
+        entries.push(entry);
+        byPath.set(path, entry);
+        return { size: entry.size, sha256: entry.sha256 };
+      },
+
+      has(path) {
+        return byPath.has(path);
+      },
+
+      // Bytes written to the sink so far
+      written() {
+        return offset;
+      },
+
+      // Serializable snapshot for a checkpoint; see the `resume` parameter
+      state() {
+        return {
+          offset: offset,
+          entries: entries.map((e) => ({
+            path: e.path, offset: e.offset, dos: e.dos, crc: e.crc, size: e.size, sha256: e.sha256,
+          })),
+        };
+      },
+
+      // Size and SHA-256 of every entry written so far, keyed by path
+      checksums() {
+        const result = {};
+        entries.forEach((entry) => {
+          result[entry.path] = { size: entry.size, sha256: entry.sha256 };
+        });
+        return result;
+      },
+
+      async finish() {
+        const cdOffset = offset;
+        for (const entry of entries) {
+          await write(centralHeader(entry));
+        }
+        await write(endRecords(cdOffset, offset - cdOffset));
+        return offset;
+      },
+    };
+  }
+
+  // ============================================================
+  // ZIP READER
+  // ============================================================
+  // Archives are read from a Blob (a File in the browser, fs.openAsBlob() in
+  // the command line tool): only the central directory is loaded, entries
+  // are streamed from their position in the file when they are needed.
+
+  async function readBytes(blob, start, end) {
+    return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+  }
+
+  function getUint64(view, pos) {
+    return view.getUint32(pos, true) + view.getUint32(pos + 4, true) * 0x100000000;
+  }
+
+  function toBlob(data) {
+    return data instanceof Blob ? data : new Blob([data]);
+  }
+
+  // Offset, count and size of the central directory (ZIP and ZIP64)
+  async function readEndRecords(blob) {
+    const tailStart = Math.max(0, blob.size - 22 - 0xffff - 20);
+    const tail = await readBytes(blob, tailStart, blob.size);
+    const view = new DataView(tail.buffer);
+    let pos = tail.length - 22;
+    while (pos >= 0 && view.getUint32(pos, true) !== 0x06054b50) pos--;
+    if (pos < 0) {
+      throw new Error("Kein gültiges ZIP-Archiv");
+    }
+    const end = {
+      count: view.getUint16(pos + 10, true),
+      size: view.getUint32(pos + 12, true),
+      offset: view.getUint32(pos + 16, true),
+    };
+    if (pos >= 20 && view.getUint32(pos - 20, true) === 0x07064b50) {
+      const recordOffset = getUint64(view, pos - 12);
+      const record = new DataView((await readBytes(blob, recordOffset, recordOffset + 56)).buffer);
+      if (record.getUint32(0, true) !== 0x06064b50) {
+        throw new Error("Beschädigtes ZIP64-Verzeichnis");
+      }
+      end.count = getUint64(record, 32);
+      end.size = getUint64(record, 40);
+      end.offset = getUint64(record, 48);
+    }
+    if (end.offset + end.size > blob.size) {
+      throw new Error("Beschädigtes ZIP-Verzeichnis - ist das Archiv vollständig?");
+    }
+    return end;
+  }
+
+  // Returns a Map of path → entry ({ path, size, chunks(), blob(), text() })
+  // for every file in the archive
+  async function readZipEntries(data) {
+    const blob = toBlob(data);
+    const end = await readEndRecords(blob);
+    const directory = await readBytes(blob, end.offset, end.offset + end.size);
+    const view = new DataView(directory.buffer);
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    let pos = 0;
+    for (let i = 0; i < end.count; i++) {
+      if (pos + 46 > directory.length || view.getUint32(pos, true) !== 0x02014b50) {
+        throw new Error("Beschädigtes ZIP-Verzeichnis");
+      }
+      const nameLength = view.getUint16(pos + 28, true);
+      const extraEnd = pos + 46 + nameLength + view.getUint16(pos + 30, true);
+      const info = {
+        path: decoder.decode(directory.subarray(pos + 46, pos + 46 + nameLength)),
+        method: view.getUint16(pos + 10, true),
+        compressedSize: view.getUint32(pos + 20, true),
+        size: view.getUint32(pos + 24, true),
+        offset: view.getUint32(pos + 42, true),
+      };
+      if (extraEnd > directory.length) {
+        throw new Error("Beschädigtes ZIP-Verzeichnis");
+      }
+      // The ZIP64 extra field holds the values that do not fit above, in this order
+      for (let extra = pos + 46 + nameLength; extra + 4 <= extraEnd; extra += 4 + view.getUint16(extra + 2, true)) {
+        if (view.getUint16(extra, true) !== 0x0001) continue;
+        let field = extra + 4;
+        ["size", "compressedSize", "offset"].forEach((key) => {
+          if (info[key] !== 0xffffffff) return;
+          info[key] = getUint64(view, field);
+          field += 8;
+        });
+      }
+      if (!info.path.endsWith("/")) {
+        entries.set(info.path, createZipEntry(blob, info));
+      }
+      pos = extraEnd + view.getUint16(pos + 32, true);
+    }
+    return entries;
+  }
+
+  // Archives written by createZipStreamWriter() are stored, older ones
+  // (JSZip) deflated
+  function createZipEntry(blob, info) {
+    async function storedData() {
+      const header = new DataView((await readBytes(blob, info.offset, info.offset + 30)).buffer);
+      if (header.getUint32(0, true) !== 0x04034b50) {
+        throw new Error(`${info.path}: beschädigter ZIP-Eintrag`);
+      }
+      const start = info.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+      if (start + info.compressedSize > blob.size || (info.method === 0 && info.compressedSize !== info.size)) {
+        throw new Error(`${info.path}: beschädigter ZIP-Eintrag`);
+      }
+      return blob.slice(start, start + info.compressedSize);
+    }
+
+    const entry = {
+      path: info.path,
+      size: info.size,
+
+      async *chunks() {
+        const data = await storedData();
+        if (info.method === 0) {
+          yield* readChunks(data);
+        } else if (info.method === 8) {
+          let size = 0;
+          try {
+            for await (const chunk of readChunks(new Response(data.stream().pipeThrough(new DecompressionStream("deflate-raw"))))) {
+              size += chunk.length;
+              yield chunk;
+            }
+          } catch (e) {
+            throw new Error(`${info.path}: beschädigter ZIP-Eintrag (${e.message})`);
+          }
+          if (size !== info.size) {
+            throw new Error(`${info.path}: beschädigter ZIP-Eintrag`);
+          }
+        } else {
+          throw new Error(`${info.path}: Kompressionsmethode ${info.method} wird nicht unterstützt`);
+        }
+      },
+
+      // Stored entries are a slice of the archive, nothing is read yet
+      async blob() {
+        return info.method === 0 ? storedData() : collectBlob(entry.chunks());
+      },
+
+      async text() {
+        return (await entry.blob()).text();
+      },
+    };
+    return entry;
+  }
+
+  // Collects chunks into a Blob. Every BLOB_PART_SIZE bytes the pending
+  // chunks become a Blob of their own, which the browser may keep on disk,
+  // so at most one part is held as plain memory.
+  const BLOB_PART_SIZE = 16 * 1024 * 1024;
+
+  async function collectBlob(chunks) {
+    const parts = [];
+    let pending = [];
+    let pendingSize = 0;
+    for await (const chunk of chunks) {
+      pending.push(chunk);
+      pendingSize += chunk.length;
+      if (pendingSize >= BLOB_PART_SIZE) {
+        parts.push(new Blob(pending));
+        pending = [];
+        pendingSize = 0;
+      }
+    }
+    return new Blob(parts.concat(pending));
+  }
+
+  // ============================================================
+  // ENCRYPTION
+  // ============================================================
+
+  // Entries are encrypted with AES-256-GCM in chunks of this size (plaintext),
+  // each chunk carrying its own 16 byte tag, so large files can be streamed.
+  const ENCRYPTION_CHUNK_SIZE = 1024 * 1024;
+  const ENCRYPTION_TAG_SIZE = 16;
+  const PBKDF2_ITERATIONS = 310000;
+  const PASSWORD_CHECK = "teddycloud-backup";
+
+  // manifest.json always stays readable, it describes how to decrypt the rest
+  function isEncryptedPath(path, mode) {
+    if (path === "manifest.json") return false;
+    return mode === "all" || path.startsWith("global/certs/") || path.startsWith("global/config/");
+  }
+
+  function bytesToBase64(bytes) {
+    let binary = "";
+    bytes.forEach((b) => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+  }
+
+  function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+  }
+
+  async function deriveArchiveKey(password, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      "raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveKey"]);
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", salt: salt, iterations: iterations, hash: "SHA-256" },
+      material, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+  }
+
+  // Nonce = 8 random bytes per entry + 4 byte chunk counter. The additional
+  // data binds every chunk to its entry, position and "last chunk" flag, so
+  // chunks cannot be swapped between entries, reordered or cut off.
+  function chunkParams(prefix, path, index, last) {
+    const iv = new Uint8Array(12);
+    iv.set(prefix);
+    new DataView(iv.buffer).setUint32(8, index);
+    return {
+      name: "AES-GCM",
+      iv: iv,
+      additionalData: new TextEncoder().encode(`${path}|${index}|${last ? 1 : 0}`),
+    };
+  }
+
+  // Removes the first `size` bytes from a list of chunks
+  function takeBytes(pending, size) {
+    const result = new Uint8Array(size);
+    let filled = 0;
+    while (filled < size) {
+      const chunk = pending[0];
+      const count = Math.min(chunk.length, size - filled);
+      result.set(chunk.subarray(0, count), filled);
+      filled += count;
+      if (count === chunk.length) {
+        pending.shift();
+      } else {
+        pending[0] = chunk.subarray(count);
+      }
+    }
+    return result;
+  }
+
+  async function* encryptChunks(chunks, key, path) {
+    const prefix = crypto.getRandomValues(new Uint8Array(8));
+    yield prefix;
+
+    const pending = [];
+    let pendingSize = 0;
+    let index = 0;
+    for await (const chunk of chunks) {
+      pending.push(chunk);
+      pendingSize += chunk.length;
+      // Strictly greater: the last chunk must be written with the "last" flag
+      while (pendingSize > ENCRYPTION_CHUNK_SIZE) {
+        const plain = takeBytes(pending, ENCRYPTION_CHUNK_SIZE);
+        pendingSize -= plain.length;
+        yield new Uint8Array(await crypto.subtle.encrypt(chunkParams(prefix, path, index++, false), key, plain));
+      }
+    }
+    const rest = takeBytes(pending, pendingSize);
+    yield new Uint8Array(await crypto.subtle.encrypt(chunkParams(prefix, path, index, true), key, rest));
+  }
+
+  // Decrypts the stored chunks of an entry (`size` bytes in total) while they
+  // are read, so only one chunk is held in memory
+  async function* decryptChunks(chunks, key, path, chunkSize, size) {
+    const cipherChunkSize = chunkSize + ENCRYPTION_TAG_SIZE;
+    const pending = [];
+    let pendingSize = 0;
+    let remaining = size;
+    let prefix = null;
+    let index = 0;
+
+    const decrypt = async (bytes, last) => {
+      try {
+        return new Uint8Array(await crypto.subtle.decrypt(chunkParams(prefix, path, index++, last), key, bytes));
+      } catch (e) {
+        throw new Error(`${path} ist beschädigt oder wurde verändert`);
+      }
+    };
+
+    for await (const chunk of chunks) {
+      pending.push(chunk);
+      pendingSize += chunk.length;
+      if (!prefix && pendingSize >= 8) {
+        prefix = takeBytes(pending, 8);
+        pendingSize -= 8;
+        remaining -= 8;
+      }
+      // Only the chunk that ends the entry carries the "last" flag
+      while (prefix && remaining > cipherChunkSize && pendingSize >= cipherChunkSize) {
+        const cipher = takeBytes(pending, cipherChunkSize);
+        pendingSize -= cipherChunkSize;
+        remaining -= cipherChunkSize;
+        yield await decrypt(cipher, false);
+      }
+    }
+    if (!prefix || pendingSize !== remaining) {
+      throw new Error(`${path} ist beschädigt oder wurde verändert`);
+    }
+    yield await decrypt(takeBytes(pending, pendingSize), true);
+  }
+
+  // Creates the key and the manifest description for a new encrypted archive
+  async function createArchiveEncryption(settings) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveArchiveKey(settings.password, salt, PBKDF2_ITERATIONS);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const check = await crypto.subtle.encrypt({ name: "AES-GCM", iv: iv }, key, new TextEncoder().encode(PASSWORD_CHECK));
+    return {
+      key: key,
+      info: {
+        algorithm: "AES-256-GCM",
+        kdf: "PBKDF2-SHA256",
+        iterations: PBKDF2_ITERATIONS,
+        salt: bytesToBase64(salt),
+        chunkSize: ENCRYPTION_CHUNK_SIZE,
+        mode: settings.mode,
+        check: { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(check)) },
+        entries: [],
+      },
+    };
+  }
+
+  // Continues the encryption of an interrupted backup with the same salt
+  async function resumeArchiveEncryption(info, password) {
+    const key = await unlockArchiveKey(info, password);
+    if (!key) {
+      throw new Error("Das Passwort passt nicht zum unterbrochenen Backup");
+    }
+    return { key: key, info: Object.assign({}, info, { entries: info.entries.slice() }) };
+  }
+
+  // Returns the key, or null if the password does not match the archive
+  async function unlockArchiveKey(info, password) {
+    const key = await deriveArchiveKey(password, base64ToBytes(info.salt), info.iterations);
+    try {
+      await crypto.subtle.decrypt({ name: "AES-GCM", iv: base64ToBytes(info.check.iv) }, key, base64ToBytes(info.check.data));
+      return key;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Wraps the ZIP writer and encrypts every entry matching the mode
+  function createEncryptingWriter(writer, encryption) {
+    return {
+      async add(path, data) {
+        if (!isEncryptedPath(path, encryption.info.mode) || writer.has(path)) {
+          return writer.add(path, data);
+        }
+        const stored = await writer.add(path, encryptChunks(readChunks(data), encryption.key, path));
+        encryption.info.entries.push(path);
+        return stored;
+      },
+      has: (path) => writer.has(path),
+      state: () => writer.state(),
+      checksums: () => writer.checksums(),
+      finish: () => writer.finish(),
+    };
+  }
+
+  // Minimum for new archive passwords (plugin form and command line)
+  function checkPassword(password) {
+    if (password.length < 8) {
+      throw new Error("Das Passwort muss mindestens 8 Zeichen lang sein");
+    }
+  }
+
+  // Encryption of a scheduled run. The schedule stores only whether and how
+  // to encrypt; the password comes from the open page. Throws instead of
+  // returning null, so an encrypted schedule never runs unencrypted.
+  function getScheduledEncryption(schedule, password, repeat) {
+    if (!schedule.encrypt) return null;
+    if (!password) {
+      throw new Error("der Zeitplan verschlüsselt, aber in dieser Seite ist kein Passwort eingegeben");
+    }
+    checkPassword(password);
+    if (password !== repeat) {
+      throw new Error("Die Passwörter stimmen nicht überein");
+    }
+    return { password: password, mode: schedule.encryptMode || "sensitive" };
+  }
+
+  // ============================================================
+  // RETRIES
+  // ============================================================
+  // Waits between attempts for one file; afterwards the run is interrupted
+  const RETRY_DELAYS = [2000, 5000, 15000, 30000];
+
+  // Network failures and server errors are worth retrying, 4xx answers are not
+  function isTransientError(error) {
+    return error.name === "TypeError" || error.status >= 500;
+  }
+
+  function rethrowInterruption(error) {
+    if (error.interrupted) throw error;
+  }
+
+  // Runs one download and returns null when it fails, so the caller can log
+  // the part as unavailable. Archive writes stay outside: a failed write
+  // aborts the run instead of passing for a missing part.
+  async function tryDownload(download) {
+    try {
+      return await download();
+    } catch (e) {
+      rethrowInterruption(e);
+      return null;
+    }
+  }
+
+  async function withRetry(client, action, label) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await action();
+      } catch (e) {
+        if (!isTransientError(e)) throw e;
+        if (attempt >= RETRY_DELAYS.length) {
+          const error = new Error(`${label}: ${e.message} (${attempt + 1} Versuche)`);
+          error.interrupted = true;
+          throw error;
+        }
+        client.log(`${label}: ${e.message} - neuer Versuch in ${RETRY_DELAYS[attempt] / 1000}s`, "warn");
+        await sleep(RETRY_DELAYS[attempt]);
+      }
+    }
+  }
+
+  // ============================================================
+  // BACKUP CREATION
+  // ============================================================
+  // True when an incremental backup would only reference the base entry
+  function isUnchangedInBase(base, zipPath, remote) {
+    const baseEntry = base && base.files ? base.files[zipPath] : null;
+    return !!baseEntry && remote.size != null && baseEntry.size === remote.size && baseEntry.date === remote.date;
+  }
+
+  // Returns the number of files or directories that could not be archived
+  async function downloadDirectoryRecursive(ctx, special, dirPath, zipPrefix) {
+    const { client } = ctx;
+    let failures = 0;
+    try {
+      const data = await withRetry(client,
+        () => client.json(`/api/fileIndexV2?special=${special}&path=${encodeURIComponent("/" + dirPath)}`),
+        `${special}:/${dirPath}`);
+      const files = data.files || [];
+
+      for (const file of files) {
+        const fileName = file.name;
+        if (fileName === "..") continue;
+
+        const remotePath = joinPath(dirPath, fileName);
+        const zipPath = joinPath(zipPrefix, fileName);
+
+        if (file.isDir) {
+          // Recursively download subdirectory
+          failures += await downloadDirectoryRecursive(ctx, special, remotePath, zipPath);
+        } else {
+          // Download file (skipped when unchanged since the base backup)
+          try {
+            const written = await archiveServerFile(ctx, zipPath,
+              { special: special, path: remotePath, size: file.size, date: file.date },
+              () => client.stream(`/api/getFile/${special}/${remotePath}`));
+            if (written != null) {
+              client.log(`  ${fileName} (${formatBytes(written)})`);
+            }
+          } catch (e) {
+            rethrowInterruption(e);
+            client.log(`Fehler beim Download: ${fileName}`, "warn");
+            failures++;
+          }
+        }
+      }
+    } catch (e) {
+      rethrowInterruption(e);
+      client.log(`Fehler beim Listen von ${special}:/${dirPath}: ${e.message}`, "warn");
+      failures++;
+    }
+    return failures;
+  }
+
+  // Adds a server file to the archive, or only references it when the base
+  // backup already holds the same size and date. Returns the bytes written
+  // (null if reused); the download is streamed and released right away.
+  async function archiveServerFile(ctx, zipPath, remote, download) {
+    // Already archived before the run was interrupted
+    if (ctx.out.has(zipPath) && ctx.files[zipPath]) {
+      ctx.stats.resumed++;
+      return null;
+    }
+    if (isUnchangedInBase(ctx.base, zipPath, remote)) {
+      const baseEntry = ctx.base.files[zipPath];
+      ctx.files[zipPath] = Object.assign({}, baseEntry, { archive: baseEntry.archive || getBackupId(ctx.base) });
+      ctx.stats.reused++;
+      return null;
+    }
+
+    const stored = await withRetry(ctx.client, async () => ctx.out.add(zipPath, await download()), zipPath);
+    ctx.files[zipPath] = {
+      special: remote.special,
+      path: remote.path,
+      size: remote.size != null ? remote.size : stored.size,
+      date: remote.date != null ? remote.date : null,
+      sha256: stored.sha256,
+      archive: ctx.archiveId,
+    };
+    ctx.stats.downloaded++;
+    if (ctx.hooks.onFileStored) await ctx.hooks.onFileStored(ctx);
+    return stored.size;
+  }
+
+  async function listContentDirectory(client, dir, cache) {
+    if (!cache.has(dir)) {
+      const entries = new Map();
+      try {
+        const data = await client.json(`/api/fileIndexV2?special=content&path=${encodeURIComponent("/" + dir)}`);
+        (data.files || []).forEach((f) => {
+          if (!f.isDir) entries.set(f.name.toUpperCase(), f);
+        });
+      } catch (e) {
+        // Without a listing every file is downloaded
+      }
+      cache.set(dir, entries);
+    }
+    return cache.get(dir);
+  }
+
+  function certReadme() {
+    return `TeddyCloud Zertifikate Backup
+========================================
+
+Dieses Backup enthält nur die über die API verfügbaren Zertifikate.
+
+WICHTIG: Die folgenden Zertifikate müssen MANUELL gesichert werden:
+
+Server-Zertifikate (Pfad auf Server: /teddycloud/certs/server/):
+- ca-key.pem
+- ca-root.pem
+- ca.der
+- teddy-cert.pem
+- teddy-key.pem
+
+Client-Zertifikate (Pfad auf Server: /teddycloud/certs/client/):
+- ca.der
+- client.der
+- private.der
+- 48ca43410318
+
+Diese Dateien sind WICHTIG für:
+- Wiederherstellung des TeddyCloud-Servers
+- Verbindung mit Tonieboxen
+- Custom Tonie Content
+
+Sicherung via SFTP/SSH:
+  sftp root@192.168.0.102
+  get -r /teddycloud/certs/
+
+Backup-Datum: ${new Date().toISOString()}
+`;
+  }
+
+  // Manifest of the base for an incremental backup, read from a backup
+  // archive or its manifest.json (Blob or bytes)
+  async function readBaseManifest(name, data) {
+    const manifest = name.toLowerCase().endsWith(".json")
+      ? JSON.parse(await toBlob(data).text())
+      : (await readArchive(data)).manifest;
+
+    if (!manifest.files) {
+      throw new Error("Basis-Backup enthält keinen Datei-Index (erstellt vor v1.2.0)");
+    }
+    return manifest;
+  }
+
+  // State of one backup run.
+  // job: { options, selectedBoxes, boxes, base, encryption, resume }
+  // boxes is the server's box list (for names), encryption { password, mode }
+  // or null, resume the checkpoint of an interrupted run that is continued.
+  function createBackupContext(client, job) {
+    return {
+      client: client,
+      job: job,
+      sink: null,
+      out: null,
+      encryption: null,
+      base: job.base,
+      archiveId: job.resume ? job.resume.name : createBackupName(job.base),
+      files: job.resume ? Object.assign({}, job.resume.files) : {},
+      stats: { downloaded: 0, reused: 0, resumed: 0 },
+      failed: new Set(),
+      lastCheckpoint: Date.now(),
+      lastCheckpointOffset: job.resume ? job.resume.writer.offset : 0,
+      audit: null,
+      hooks: {},
+    };
+  }
+
+  // Writes the archive of a backup run into the sink and closes it; returns
+  // the archive size. Components that could not be saved end up in
+  // ctx.failed. On errors the sink is left open: the caller aborts it, or
+  // keeps it to resume the run when error.interrupted is set. sink.name is
+  // the file name the archive ends up under, when the sink knows it.
+  // hooks: { progress(percent, status), onFileStored(ctx) }
+  async function writeBackup(ctx, sink, hooks) {
+    const { client, job, base } = ctx;
+    const { options, selectedBoxes } = job;
+    const log = client.log;
+    ctx.sink = sink;
+    ctx.hooks = hooks || {};
+    const progress = ctx.hooks.progress || (() => {});
+
+    let totalSteps = 0;
+    let currentStep = 0;
+
+    // Calculate total steps
+    if (options.certs) totalSteps += 5;  // ca.der, client.der, private.der, config/, firmware/
+    if (options.toniesDb) totalSteps += 4;
+    if (options.settings) totalSteps += 1 + selectedBoxes.length;
+    if (options.content) totalSteps += 4;  // content/, library/, cache/, audit
+    if (options.audio) totalSteps += 1;
+
+    const updateProgress = (status) => {
+      currentStep++;
+      progress((currentStep / totalSteps) * 100, status);
+    };
+
+    ctx.out = createZipStreamWriter(sink, job.resume ? job.resume.writer : null);
+
+    let encryption = null;
+    if (job.encryption) {
+      log("Leite Schlüssel aus dem Passwort ab...");
+      encryption = job.resume && job.resume.encryption
+        ? await resumeArchiveEncryption(job.resume.encryption, job.encryption.password)
+        : await createArchiveEncryption(job.encryption);
+      ctx.encryption = encryption;
+      ctx.out = createEncryptingWriter(ctx.out, encryption);
+      log(job.encryption.mode === "all"
+        ? "🔒 Alle Dateien werden verschlüsselt"
+        : "🔒 Zertifikate und Config werden verschlüsselt");
+    }
+    const out = ctx.out;
+
+    // Create manifest
+    const manifest = {
+      version: VERSION,
+      id: ctx.archiveId,
+      type: base ? "delta" : "full",
+      base: base ? { id: getBackupId(base), timestamp: base.timestamp } : null,
+      timestamp: new Date().toISOString(),
+      boxes: [],
+      components: options,
+      encryption: encryption ? encryption.info : null,
+      files: {},
+      entries: {},
+    };
+    if (base) {
+      log(`Inkrementelles Backup gegen Basis ${manifest.base.id}`);
+    }
+
+    // ========== GLOBAL DATA ==========
+
+    // Certificates - only ca.der is available via API, document manual backup for others
+    if (options.certs) {
+      log("Sichere Zertifikate...");
+
+      let certCount = 0;
+      
+      // Try to download ca.der (the only cert available via API)
+      const caCert = await tryDownload(() => client.blob("/api/getFile/ca.der"));
+      if (caCert !== null) {
+        await out.add("global/certs/ca.der", caCert);
+        certCount++;
+        log("ca.der gesichert");
+      } else {
+        log("ca.der nicht verfügbar", "warn");
+        ctx.failed.add("certs");
+      }
+      
+      // Add README with manual backup instructions for other certificates
+      await out.add("global/certs/README_CERTS_MANUAL_BACKUP.txt", certReadme());
+      
+      updateProgress(`Zertifikate: ${certCount} Datei(en) gesichert (Hinweis: Weitere Zertifikate manuell sichern!)`);
+      log("⚠️ Wichtig: Server- und Client-Zertifikate müssen manuell per SFTP gesichert werden!", "warn");
+    }
+
+    // Download config directory recursively
+    if (options.config) {
+      log("Sichere Config-Verzeichnis...");
+      try {
+        if (await downloadDirectoryRecursive(ctx, "config", "", "global/config") > 0) {
+          ctx.failed.add("config");
+        }
+        updateProgress("Config-Verzeichnis");
+      } catch (e) {
+        rethrowInterruption(e);
+        log("Config-Verzeichnis nicht verfügbar", "warn");
+        updateProgress("Config-Verzeichnis (nicht verfügbar)");
+      }
+    }
+
+    // Firmware directory
+    if (options.firmware) {
+      log("Sichere Firmware-Verzeichnis...");
+      try {
+        if (await downloadDirectoryRecursive(ctx, "firmware", "", "global/firmware") > 0) {
+          ctx.failed.add("firmware");
+        }
+        updateProgress("Firmware-Verzeichnis");
+      } catch (e) {
+        rethrowInterruption(e);
+        log("Firmware-Verzeichnis nicht verfügbar", "warn");
+        updateProgress("Firmware-Verzeichnis (nicht verfügbar)");
+      }
+    }
+
+    // Tonies Database
+    if (options.toniesDb) {
+      log("Sichere Tonies-Datenbank...");
+      const toniesJson = await tryDownload(() => client.text("/api/toniesJson"));
+      if (toniesJson !== null) {
+        await out.add("global/tonies.json", toniesJson);
+        updateProgress("Tonies-Datenbank");
+      } else {
+        log("tonies.json nicht verfügbar", "warn");
+        ctx.failed.add("toniesDb");
+        updateProgress("Tonies-Datenbank (nicht verfügbar)");
+      }
+
+      const toniesCustom = await tryDownload(() => client.text("/api/toniesCustomJson"));
+      if (toniesCustom !== null) {
+        await out.add("global/tonies-custom.json", toniesCustom);
+        updateProgress("Tonies-Custom");
+      } else {
+        updateProgress("Tonies-Custom (nicht verfügbar)");
+      }
+
+      const tonieboxJson = await tryDownload(() => client.text("/api/tonieboxesJson"));
+      if (tonieboxJson !== null) {
+        await out.add("global/tonieboxes.json", tonieboxJson);
+        updateProgress("Toniebox-Modelle");
+      } else {
+        updateProgress("Toniebox-Modelle (nicht verfügbar)");
+      }
+
+      const tonieboxCustom = await tryDownload(() => client.text("/api/tonieboxesCustomJson"));
+      if (tonieboxCustom !== null) {
+        await out.add("global/tonieboxes-custom.json", tonieboxCustom);
+        updateProgress("Toniebox-Custom");
+      } else {
+        updateProgress("Toniebox-Custom (nicht verfügbar)");
+      }
+    }
+
+    // Global settings
+    if (options.settings) {
+      log("Sichere globale Einstellungen...");
+      const globalSettings = await tryDownload(() => client.text("/api/settings/getIndex?internal=true"));
+      if (globalSettings !== null) {
+        await out.add("global/settings.json", globalSettings);
+        updateProgress("Globale Einstellungen");
+      } else {
+        log("Globale Einstellungen nicht verfügbar", "warn");
+        ctx.failed.add("settings");
+        updateProgress("Globale Einstellungen (nicht verfügbar)");
+      }
+    }
+
+    // ========== PER-BOX DATA ==========
+    for (const boxId of selectedBoxes) {
+      const box = (job.boxes || []).find((b) => (b.ID || b.id || b.boxId) === boxId);
+      const boxName = box ? (box.boxName || box.name || boxId) : boxId;
+      const safeBoxName = boxName.replace(/[^a-zA-Z0-9_-]/g, "_");
+      const boxPath = `boxes/${safeBoxName}`;
+
+      manifest.boxes.push({
+        id: boxId,
+        name: boxName,
+        safeName: safeBoxName,
+      });
+
+      log(`Sichere Box: ${boxName}`);
+
+      // Box settings
+      if (options.settings) {
+        const boxSettings = await tryDownload(() => client.text(`/api/settings/getIndex?overlay=${boxId}&internal=true`));
+        if (boxSettings !== null) {
+          await out.add(`${boxPath}/settings.json`, boxSettings);
+          updateProgress(`${boxName}: Einstellungen`);
+        } else {
+          log(`Einstellungen für ${boxName} nicht verfügbar`, "warn");
+          ctx.failed.add("settings");
+          updateProgress(`${boxName}: Einstellungen (nicht verfügbar)`);
+        }
+      }
+
+      // Box overlay info
+      await out.add(`${boxPath}/overlay-info.json`, JSON.stringify({
+        boxId: boxId,
+        boxName: boxName,
+        backupDate: new Date().toISOString(),
+      }, null, 2));
+    }
+
+    // ========== CONTENT & AUDIO ==========
+    if (options.content || options.audio) {
+      log("Sichere Content-Daten...");
+
+      // Save library metadata (TAF files are virtual catalog, actual files are in content/)
+      if (options.content) {
+        log("Sichere Library-Metadaten...");
+        let libraryIndex = null;
+        try {
+          libraryIndex = await client.json("/api/fileIndex?special=library");
+        } catch (e) {
+          log(`Fehler beim Sichern der Library-Metadaten: ${e.message}`, "warn");
+          ctx.failed.add("content");
+          updateProgress("Library-Metadaten (nicht verfügbar)");
+        }
+        if (libraryIndex) {
+          await out.add("library/_metadata.json", JSON.stringify(libraryIndex, null, 2));
+          const fileCount = libraryIndex.files?.length || 0;
+          log(`Library-Metadaten gesichert (${fileCount} Einträge)`);
+          updateProgress("Library-Metadaten");
+        }
+
+        // Download cache directory
+        log("Sichere Cache-Verzeichnis...");
+        try {
+          if (await downloadDirectoryRecursive(ctx, "cache", "", "cache") > 0) {
+            ctx.failed.add("content");
+          }
+          updateProgress("Cache-Verzeichnis");
+        } catch (e) {
+          rethrowInterruption(e);
+          log("Cache-Verzeichnis nicht verfügbar", "warn");
+          updateProgress("Cache-Verzeichnis (nicht verfügbar)");
+        }
+
+        // Download custom images
+        log("Sichere Custom-Images...");
+        try {
+          if (await downloadDirectoryRecursive(ctx, "www", "custom_img", "custom_img") > 0) {
+            ctx.failed.add("content");
+          }
+          updateProgress("Custom-Images");
+        } catch (e) {
+          rethrowInterruption(e);
+          log("Custom-Images nicht verfügbar", "warn");
+          updateProgress("Custom-Images (nicht verfügbar)");
+        }
+      }
+
+      updateProgress("Content-Daten");
+
+      // Get all tags
+      let tags = null;
+      try {
+        const data = await withRetry(client, () => client.json("/api/getTagIndex"), "Tag-Index");
+        tags = data && data.tags ? data.tags : (Array.isArray(data) ? data : []);
+      } catch (e) {
+        rethrowInterruption(e);
+        log(`Fehler beim Content-Backup: ${e.message}`, "error");
+        if (options.content) ctx.failed.add("content");
+        if (options.audio) ctx.failed.add("audio");
+      }
+
+      if (tags && tags.length > 0) {
+        // Save tag index
+        await out.add("content/tag-index.json", JSON.stringify(tags, null, 2));
+
+        // Process each tag
+        let tagCount = 0;
+        const contentListings = new Map();
+        const sources = new Map();
+        for (const tag of tags) {
+          const ruid = tag.ruid || tag.uid;
+          if (!ruid) continue;
+
+          // Content metadata
+          if (options.content) {
+            if (!out.has(`content/${ruid}/content.json`)) {
+              const contentJson = await tryDownload(() => withRetry(client, () => client.text(`/content/json/get/${ruid}`), `content.json ${ruid}`));
+              if (contentJson !== null) {
+                await out.add(`content/${ruid}/content.json`, contentJson);
+                try {
+                  sources.set(ruid.toLowerCase(), JSON.parse(contentJson).source);
+                } catch (_) {}
+              } else {
+                // Content JSON may not exist for all tags
+                sources.set(ruid.toLowerCase(), null);
+              }
+            }
+          }
+
+          // Audio file
+          if (options.audio && tag.exists) {
+            try {
+              // Use audioUrl from tag info if available, or construct from RUID
+              let audioUrl = tag.audioUrl;
+              if (!audioUrl && ruid) {
+                // Construct path from RUID: first 8 chars = dir, rest = file
+                const dir = ruid.substring(0, 8).toUpperCase();
+                const file = ruid.substring(8).toUpperCase();
+                audioUrl = `/content/${dir}/${file}`;
+              }
+              if (audioUrl) {
+                // Request the raw TAF (not the ogg transcode) so restore can upload it unchanged
+                audioUrl = audioUrl.replace(/([?&])ogg=true&?/, "$1").replace(/[?&]$/, "");
+                const dir = ruid.substring(0, 8).toUpperCase();
+                const name = ruid.substring(8).toUpperCase();
+                const listing = await listContentDirectory(client, dir, contentListings);
+                const remote = listing.get(name) || {};
+                const fileName = `${ruid}.taf`;
+                const written = await archiveServerFile(ctx, `content/${ruid}/${fileName}`,
+                  { special: "content", path: `${dir}/${name}`, size: remote.size, date: remote.date },
+                  () => client.stream(audioUrl));
+                if (written != null) {
+                  log(`Audio: ${fileName} (${formatBytes(written)})`);
+                }
+              }
+            } catch (e) {
+              rethrowInterruption(e);
+              log(`Audio für ${ruid} nicht verfügbar`, "warn");
+              ctx.failed.add("audio");
+            }
+          }
+
+          tagCount++;
+          // Update progress periodically
+          if (tagCount % 10 === 0) {
+            progress(50 + (tagCount / tags.length) * 40, `Content: ${tagCount}/${tags.length} Tags`);
+          }
+        }
+
+        log(`${tagCount} Tags verarbeitet`, "success");
+
+        // Audit of the tags against the library and the content directory
+        if (options.content) {
+          log("Prüfe Tags, Library und Content-Ordner...");
+          try {
+            ctx.audit = await auditContent(client, tags, sources);
+          } catch (e) {
+            rethrowInterruption(e);
+            log(`Audit nicht möglich: ${e.message}`, "warn");
+            updateProgress("Audit (nicht möglich)");
+          }
+          if (ctx.audit) {
+            if (!out.has("content/audit-report.json")) {
+              await out.add("content/audit-report.json", JSON.stringify(ctx.audit, null, 2));
+            }
+            logAuditReport(log, ctx.audit);
+            updateProgress("Audit");
+          }
+        }
+      } else if (tags) {
+        log("Keine Tags gefunden", "warn");
+      }
+    }
+
+    // Save manifest
+    manifest.files = ctx.files;
+    manifest.entries = out.checksums();
+    await out.add("manifest.json", JSON.stringify(manifest, null, 2));
+    if (base) {
+      log(`Delta: ${ctx.stats.downloaded} Dateien geladen, ${ctx.stats.reused} unverändert aus Basis übernommen`, "success");
+    }
+    if (job.resume) {
+      log(`Fortgesetzt: ${ctx.stats.resumed} Dateien aus dem unterbrochenen Lauf übernommen`, "success");
+    }
+
+    // Finish ZIP (central directory) and close the output
+    log("Schließe ZIP-Archiv ab...");
+    progress(95, "ZIP wird abgeschlossen...");
+    const archiveSize = await out.finish();
+    await sink.close();
+
+    progress(100, "Fertig!");
+    log(`Backup erstellt: ${sink.name || `${ctx.archiveId}.zip`} (${formatBytes(archiveSize)})`, "success");
+    if (ctx.failed.size > 0) {
+      log(`Backup unvollständig: ${[...ctx.failed].map((c) => COMPONENT_LABELS[c] || c).join(", ")}`, "warn");
+    }
+    return archiveSize;
+  }
+
+  // ============================================================
+  // AUDIT
+  // ============================================================
+  // Library files a tag can play; other files (covers, playlists) are not reported
+  const AUDIT_LIBRARY_PATTERN = /\.taf$/i;
+  const CONTENT_DIR_PATTERN = /^[0-9a-fA-F]{8}$/;
+
+  // Every file below dirPath of a special directory: path → size
+  async function listFilesRecursive(client, special, dirPath, files) {
+    const data = await withRetry(client,
+      () => client.json(`/api/fileIndexV2?special=${special}&path=${encodeURIComponent("/" + dirPath)}`),
+      `${special}:/${dirPath}`);
+    for (const file of data.files || []) {
+      if (file.name === "..") continue;
+      const path = joinPath(dirPath, file.name);
+      if (file.isDir) {
+        await listFilesRecursive(client, special, path, files);
+      } else {
+        files.set(path, file.size || 0);
+      }
+    }
+    return files;
+  }
+
+  // Cross-checks the tag index with the library and the content directory.
+  // sources: ruid → source of its content.json, as collected by writeBackup().
+  async function auditContent(client, tags, sources) {
+    const tagsByRuid = new Map();
+    tags.forEach((tag) => {
+      const ruid = getTagRuid(tag);
+      if (ruid) tagsByRuid.set(ruid, tag);
+    });
+
+    // Tags archived by an interrupted run were not read in this one
+    for (const ruid of tagsByRuid.keys()) {
+      if (sources.has(ruid)) continue;
+      try {
+        const content = await withRetry(client, () => client.json(`/content/json/get/${ruid}`), `content.json ${ruid}`);
+        sources.set(ruid, content && content.source);
+      } catch (e) {
+        rethrowInterruption(e);
+      }
+    }
+
+    // Tags pointing to a library file that does not exist
+    const library = await listFilesRecursive(client, "library", "", new Map());
+    const referenced = new Set();
+    const danglingTags = [];
+    sources.forEach((source, ruid) => {
+      if (typeof source !== "string" || !source.startsWith(LIB_PREFIX)) return;
+      const libPath = normalizeLibraryPath(source);
+      referenced.add(libPath);
+      if (!library.has(libPath)) {
+        const tag = tagsByRuid.get(ruid) || {};
+        danglingTags.push({ ruid: ruid, title: resolveTagTitle(tag, {}, new Map()), source: source });
+      }
+    });
+
+    // Library TAFs no tag plays
+    const unreferencedLibrary = [];
+    library.forEach((size, path) => {
+      if (AUDIT_LIBRARY_PATTERN.test(path) && !referenced.has(path)) {
+        unreferencedLibrary.push({ path: path, size: size });
+      }
+    });
+
+    // Content directories (first half of the RUID) without any tag
+    const tagDirs = new Set(Array.from(tagsByRuid.keys()).map((ruid) => ruid.substring(0, 8).toUpperCase()));
+    const root = await withRetry(client, () => client.json(`/api/fileIndexV2?special=content&path=${encodeURIComponent("/")}`), "content:/");
+    const orphanedContent = [];
+    for (const entry of root.files || []) {
+      if (!entry.isDir || !CONTENT_DIR_PATTERN.test(entry.name) || tagDirs.has(entry.name.toUpperCase())) continue;
+      const files = await listFilesRecursive(client, "content", entry.name, new Map());
+      let size = 0;
+      files.forEach((s) => (size += s));
+      orphanedContent.push({ dir: entry.name, files: Array.from(files.keys()), size: size });
+    }
+
+    const byPath = (a, b) => (a.path || a.dir || a.ruid).localeCompare(b.path || b.dir || b.ruid);
+    return {
+      created: new Date().toISOString(),
+      tags: tagsByRuid.size,
+      libraryFiles: Array.from(library.keys()).filter((p) => AUDIT_LIBRARY_PATTERN.test(p)).length,
+      danglingTags: danglingTags.sort(byPath),
+      unreferencedLibrary: unreferencedLibrary.sort(byPath),
+      orphanedContent: orphanedContent.sort(byPath),
+    };
+  }
+
+  function getAuditFindingCount(report) {
+    return report.danglingTags.length + report.unreferencedLibrary.length + report.orphanedContent.length;
+  }
+
+  function logAuditReport(log, report) {
+    if (getAuditFindingCount(report) === 0) {
+      log(`Audit: ${report.tags} Tags und ${report.libraryFiles} Library-Dateien ohne Auffälligkeiten`, "success");
+      return;
+    }
+    log(`Audit: ${report.danglingTags.length} Tags mit fehlender Library-Datei, `
+      + `${report.unreferencedLibrary.length} nicht referenzierte Library-Dateien, `
+      + `${report.orphanedContent.length} Content-Ordner ohne Tag`, "warn");
+    report.danglingTags.forEach((t) => log(`  Fehlt: ${t.source} (${t.ruid})`, "warn"));
+  }
+
+  async function postPath(client, endpoint, path) {
+    await client.request(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain" },
+      body: "/" + path,
+    });
+  }
+
+  // Reads the server state the selected findings depend on. The report can be
+  // hours old; a tag linked since then must not lose its file.
+  async function loadCleanupState(client, findings) {
+    const state = { tagDirs: new Set(), referenced: new Set(), library: null };
+    if (findings.unreferencedLibrary.length > 0 || findings.orphanedContent.length > 0) {
+      for (const tag of await loadTagIndex(client)) {
+        const ruid = getTagRuid(tag);
+        if (!ruid) continue;
+        state.tagDirs.add(ruid.substring(0, 8).toUpperCase());
+        if (findings.unreferencedLibrary.length === 0) continue;
+        let content = null;
+        try {
+          content = await withRetry(client, () => client.json(`/content/json/get/${ruid}`), `content.json ${ruid}`);
+        } catch (e) {
+          // Without knowing what a tag plays, no library file is safe to delete
+          if (e.status !== 404) throw e;
+        }
+        if (content && typeof content.source === "string" && content.source.startsWith(LIB_PREFIX)) {
+          state.referenced.add(normalizeLibraryPath(content.source));
+        }
+      }
+    }
+    if (findings.danglingTags.length > 0 || findings.unreferencedLibrary.length > 0) {
+      state.library = await listFilesRecursive(client, "library", "", new Map());
+    }
+    return state;
+  }
+
+  // Cleanup of selected findings: dangling tags lose their source, unreferenced
+  // library files and orphaned content directories are deleted.
+  // findings: { danglingTags, unreferencedLibrary, orphanedContent } (subsets of a report)
+  // Every finding is checked against the server right before it is acted on;
+  // findings that no longer hold are skipped. Returns { cleaned, skipped, failed }.
+  async function cleanupAuditFindings(client, findings, onProgress) {
+    findings = {
+      danglingTags: findings.danglingTags || [],
+      unreferencedLibrary: findings.unreferencedLibrary || [],
+      orphanedContent: findings.orphanedContent || [],
+    };
+    const state = await loadCleanupState(client, findings);
+
+    // check() returns the reason to skip, or null; run() gets what check() read
+    const actions = [];
+    findings.danglingTags.forEach((t) => actions.push({
+      label: `Tag ${t.ruid}`,
+      check: async () => {
+        const content = await client.json(`/content/json/get/${t.ruid}`);
+        if (!content || content.source !== t.source) return { reason: "Quelle wurde inzwischen geändert" };
+        if (state.library.has(normalizeLibraryPath(t.source))) return { reason: "Library-Datei ist wieder vorhanden" };
+        return { content: content };
+      },
+      run: (checked) => client.request(`/content/json/set/${t.ruid}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(Object.assign({}, checked.content, { source: "" })),
+      }),
+    }));
+    findings.unreferencedLibrary.forEach((f) => actions.push({
+      label: `lib://${f.path}`,
+      check: async () => {
+        if (!state.library.has(f.path)) return { reason: "Datei existiert nicht mehr" };
+        if (state.referenced.has(f.path)) return { reason: "Wird inzwischen von einem Tag verwendet" };
+        return {};
+      },
+      run: () => postPath(client, "/api/fileDelete?special=library", f.path),
+    }));
+    findings.orphanedContent.forEach((d) => actions.push({
+      label: `content/${d.dir}`,
+      check: async () => {
+        if (state.tagDirs.has(d.dir.toUpperCase())) return { reason: "Inzwischen einem Tag zugeordnet" };
+        const files = await listFilesRecursive(client, "content", d.dir, new Map());
+        const expected = new Set(d.files);
+        if (files.size !== expected.size || Array.from(files.keys()).some((path) => !expected.has(path))) {
+          return { reason: "Inhalt hat sich seit dem Audit geändert" };
+        }
+        return {};
+      },
+      run: async () => {
+        for (const file of d.files) {
+          await postPath(client, "/api/fileDelete?special=content", file);
+        }
+        await postPath(client, "/api/dirDelete?special=content", d.dir);
+      },
+    }));
+
+    const result = { cleaned: 0, skipped: [], failed: [] };
+    for (let i = 0; i < actions.length; i++) {
+      try {
+        const checked = await actions[i].check();
+        if (checked.reason) {
+          result.skipped.push({ label: actions[i].label, reason: checked.reason });
+        } else {
+          await actions[i].run(checked);
+          result.cleaned++;
+        }
+      } catch (e) {
+        result.failed.push({ label: actions[i].label, error: e.message });
+      }
+      if (onProgress) onProgress(i + 1, actions.length, actions[i].label);
+    }
+    return result;
+  }
+
+  // ============================================================
+  // RETENTION
+  // ============================================================
+  const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+  // Full backups as written by the scheduler; deltas are never pruned
+  const SCHEDULED_BACKUP_PATTERN = /^teddycloud-backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})\.zip$/;
+
+  // Creation time of a full backup archive, null for any other file
+  function parseScheduledBackupName(name) {
+    const match = name.match(SCHEDULED_BACKUP_PATTERN);
+    return match ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}Z`).getTime() : null;
+  }
+
+  function weekKey(date) {
+    const monday = new Date(date);
+    monday.setUTCHours(0, 0, 0, 0);
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    return monday.toISOString().slice(0, 10);
+  }
+
+  // Ids of the backups that the delta archives in a folder ([{ name, data }])
+  // build on; a delta cannot be restored without its base
+  async function readDeltaBaseIds(files) {
+    const ids = new Set();
+    for (const file of files) {
+      let manifest;
+      try {
+        manifest = (await readArchive(file.data)).manifest;
+      } catch (e) {
+        throw new Error(`${file.name}: ${e.message}`);
+      }
+      if (manifest.base) ids.add(manifest.base.id);
+    }
+    return ids;
+  }
+
+  // Keeps the newest keepLast backups plus the newest backup of each of the
+  // last keepWeeks weeks, and every backup listed in baseIds (see readDeltaBaseIds)
+  function selectBackupsToKeep(backups, keepLast, keepWeeks, now, baseIds) {
+    const sorted = backups.slice().sort((a, b) => b.date - a.date);
+    const keep = new Set(sorted.slice(0, keepLast).map((b) => b.name));
+    const weeks = new Set();
+    for (const backup of sorted) {
+      if (now - backup.date >= keepWeeks * WEEK_MS) continue;
+      const week = weekKey(backup.date);
+      if (!weeks.has(week)) {
+        weeks.add(week);
+        keep.add(backup.name);
+      }
+    }
+    backups.forEach((backup) => {
+      if (baseIds && baseIds.has(backup.name.replace(/\.zip$/, ""))) keep.add(backup.name);
+    });
+    return keep;
+  }
+
+  // ============================================================
+  // RESTORE - FILE PARSING
+  // ============================================================
+  // Entries and manifest of one archive (Blob or bytes)
+  async function readArchive(data) {
+    const entries = await readZipEntries(data);
+    const manifestFile = entries.get("manifest.json");
+    if (!manifestFile) {
+      throw new Error("Keine manifest.json gefunden - ungültiges Backup");
+    }
+    return { entries: entries, manifest: JSON.parse(await manifestFile.text()) };
+  }
+
+  // Opens the archives ({ name, data }, data as a Blob) and orders them as
+  // base → delta → ... → newest. The result is the backup all restore
+  // functions work on: { manifest, archives, chain, locked }, where manifest
+  // belongs to the newest archive. Nothing but the ZIP directories and the
+  // manifests is read here.
+  async function openBackup(files, log) {
+    const archives = [];
+    for (const file of files) {
+      log(`Lade Backup-Datei: ${file.name}`);
+      let archive;
+      try {
+        archive = await readArchive(file.data);
+      } catch (e) {
+        throw new Error(`${file.name}: ${e.message}`);
+      }
+      const info = archive.manifest.encryption;
+      archives.push({
+        name: file.name,
+        entries: archive.entries,
+        manifest: archive.manifest,
+        id: getBackupId(archive.manifest),
+        encrypted: new Set(info ? info.entries : []),
+        key: null,
+      });
+    }
+
+    archives.sort((a, b) => new Date(b.manifest.timestamp) - new Date(a.manifest.timestamp));
+    const byId = new Map(archives.map((a) => [a.id, a]));
+    const chain = [archives[0]];
+    let current = archives[0];
+    while (current.manifest.base) {
+      const base = byId.get(current.manifest.base.id);
+      if (!base) {
+        throw new Error(`Basis-Backup ${current.manifest.base.id} fehlt - bitte zusammen mit ${current.name} auswählen`);
+      }
+      chain.push(base);
+      current = base;
+    }
+    chain.reverse();
+
+    const unused = archives.filter((a) => !chain.includes(a));
+    unused.forEach((a) => log(`${a.name} gehört nicht zur Backup-Kette und wird ignoriert`, "warn"));
+
+    const head = chain[chain.length - 1];
+    return {
+      manifest: head.manifest,
+      archives: byId,
+      chain: chain,
+      // Until unlockBackup(): verifiable, but not restorable
+      locked: chain.some((a) => a.manifest.encryption),
+    };
+  }
+
+  // An entry as restored: encrypted entries are decrypted while they are
+  // read, which needs the key from unlockBackup(). blob() decrypts the whole
+  // entry before it can be uploaded; size is the stored (encrypted) size.
+  function openArchiveEntry(archive, file) {
+    if (!archive.encrypted.has(file.path)) return file;
+    const info = archive.manifest.encryption;
+    const entry = {
+      path: file.path,
+      size: file.size,
+      encrypted: true,
+      chunks() {
+        if (!archive.key) {
+          throw new Error(`${file.path} ist verschlüsselt - Backup zuerst entsperren`);
+        }
+        return decryptChunks(file.chunks(), archive.key, file.path, info.chunkSize, file.size);
+      },
+      blob: () => collectBlob(entry.chunks()),
+      text: async () => (await entry.blob()).text(),
+    };
+    return entry;
+  }
+
+  // Resolves every file of the newest archive's state, pulling unchanged
+  // files from the base archives they were originally stored in.
+  function getArchiveEntries(backup) {
+    const entries = new Map();
+    const missing = [];
+    const head = backup.chain[backup.chain.length - 1];
+    head.entries.forEach((file, path) => {
+      entries.set(path, openArchiveEntry(head, file));
+    });
+
+    const index = backup.manifest.files || {};
+    for (const zipPath of Object.keys(index)) {
+      if (entries.has(zipPath)) continue;
+      const archive = backup.archives.get(index[zipPath].archive);
+      const file = archive ? archive.entries.get(zipPath) : null;
+      if (file) {
+        entries.set(zipPath, openArchiveEntry(archive, file));
+      } else {
+        missing.push(zipPath);
+      }
+    }
+    return { entries, missing };
+  }
+
+  // Derives the key of every encrypted archive in the chain and returns the
+  // number of encrypted entries. Entries are only decrypted while they are
+  // restored or verified. Throws on a wrong password.
+  async function unlockBackup(backup, password) {
+    // All keys first, so a wrong password leaves the backup locked as a whole
+    const keys = [];
+    let count = 0;
+    for (const archive of backup.chain) {
+      const info = archive.manifest.encryption;
+      if (!info || archive.key) continue;
+      const key = await unlockArchiveKey(info, password);
+      if (!key) {
+        throw new Error(`Falsches Passwort für ${archive.name}`);
+      }
+      keys.push({ archive: archive, key: key });
+      count += info.entries.length;
+    }
+
+    keys.forEach((entry) => {
+      entry.archive.key = entry.key;
+    });
+    backup.locked = false;
+    return count;
+  }
+
+  // Bookkeeping entries are never offered for (selective) restore
+  function isRestorablePath(path) {
+    return path !== "manifest.json"
+      && !INTERNAL_ARCHIVE_FILES.includes(path)
+      && !path.endsWith("/README_CERTS_MANUAL_BACKUP.txt")
+      && !path.endsWith("/overlay-info.json");
+  }
+
+  function getRestorablePaths(backup) {
+    return Array.from(getArchiveEntries(backup).entries.keys()).filter(isRestorablePath).sort();
+  }
+
+  // ============================================================
+  // RESTORE - FILE UPLOAD
+  // ============================================================
+  // Archive folders that are uploaded back into a TeddyCloud special directory
+  const RESTORE_FILE_TARGETS = [
+    { prefix: "global/config/", special: "config", basePath: "" },
+    { prefix: "global/firmware/", special: "firmware", basePath: "" },
+    { prefix: "cache/", special: "cache", basePath: "" },
+    { prefix: "custom_img/", special: "www", basePath: "custom_img" },
+  ];
+
+  // Files written by writeBackup() for its own bookkeeping, never uploaded
+  const INTERNAL_ARCHIVE_FILES = ["library/_metadata.json", "content/tag-index.json", "content/audit-report.json"];
+
+  // plan: optional migration plan (RUID mapping, library path rules)
+  function collectRestoreFiles(backup, plan) {
+    const manifest = backup.manifest;
+    const { entries, missing } = getArchiveEntries(backup);
+    const files = [];
+    const skipped = missing.map((path) => ({ path: path, reason: "Fehlt in der Backup-Kette" }));
+
+    entries.forEach((file, relativePath) => {
+      if (INTERNAL_ARCHIVE_FILES.includes(relativePath)) return;
+
+      // Audio: content/<ruid>/<ruid>.taf → content/<DIR>/<FILE>
+      const audioMatch = relativePath.match(/^content\/([0-9a-fA-F]{16})\/\1\.taf$/);
+      if (audioMatch) {
+        if (!manifest.components.audio) {
+          skipped.push({ path: relativePath, reason: "Audio-Komponente nicht im Manifest" });
+          return;
+        }
+        const ruid = mapRuid(plan, audioMatch[1]).toUpperCase();
+        files.push({
+          zipPath: relativePath,
+          file: file,
+          special: "content",
+          dir: ruid.substring(0, 8),
+          name: ruid.substring(8),
+        });
+        return;
+      }
+      if (relativePath.startsWith("content/")) {
+        if (!relativePath.endsWith("/content.json")) {
+          skipped.push({ path: relativePath, reason: "Unbekanntes Ziel" });
+        }
+        return;
+      }
+
+      const target = RESTORE_FILE_TARGETS.find((t) => relativePath.startsWith(t.prefix));
+      if (!target) {
+        // Settings, certs and databases are restored by their own steps
+        return;
+      }
+
+      const { dir, name } = splitPath(relativePath.substring(target.prefix.length));
+      files.push({
+        zipPath: relativePath,
+        file: file,
+        special: target.special,
+        dir: joinPath(target.basePath, dir),
+        name: name,
+      });
+    });
+
+    return { files, skipped };
+  }
+
+  async function listRemoteDirectory(client, special, dir, cache) {
+    const key = `${special}:${dir}`;
+    if (!cache.has(key)) {
+      let entries = null;
+      try {
+        const data = await client.json(`/api/fileIndexV2?special=${special}&path=${encodeURIComponent("/" + dir)}`);
+        entries = new Map();
+        (data.files || []).forEach((f) => {
+          if (!f.isDir) entries.set(f.name, f);
+        });
+      } catch (e) {
+        // Directory does not exist yet (or special not listable)
+      }
+      cache.set(key, entries);
+    }
+    return cache.get(key);
+  }
+
+  async function ensureRemoteDirectory(client, special, dir, created) {
+    let current = "";
+    for (const part of dir.split("/").filter((p) => p)) {
+      current = joinPath(current, part);
+      const key = `${special}:${current}`;
+      if (created.has(key)) continue;
+      try {
+        await client.send(`/api/dirCreate?special=${special}`, {
+          method: "POST",
+          headers: { "Content-Type": "text/plain" },
+          body: "/" + current,
+        });
+      } catch (e) {
+        // Directory may already exist
+      }
+      created.add(key);
+    }
+  }
+
+  async function uploadFileToSpecial(client, special, dir, name, blob) {
+    const formData = new FormData();
+    formData.append("file", blob, name);
+    await client.request(`/api/fileUpload?special=${special}&path=${encodeURIComponent("/" + dir)}`, {
+      method: "POST",
+      body: formData,
+    });
+  }
+
+  // options: { overwrite, maxDecryptedSize }. Uploads need the complete body,
+  // so an encrypted entry is decrypted into a Blob first; entries above
+  // maxDecryptedSize fail instead of exhausting the memory of the device.
+  async function restoreArchivedFiles(client, files, report, options, onFileDone) {
+    const listingCache = new Map();
+    const createdDirs = new Set();
+
+    for (const entry of files) {
+      const targetPath = `${entry.special}:/${joinPath(entry.dir, entry.name)}`;
+      try {
+        if (entry.file.encrypted && options.maxDecryptedSize && entry.file.size > options.maxDecryptedSize) {
+          throw new Error(`verschlüsselt und größer als ${formatBytes(options.maxDecryptedSize)} - mit tc-backup wiederherstellen`);
+        }
+        const blob = await entry.file.blob();
+
+        if (!options.overwrite) {
+          const existing = await listRemoteDirectory(client, entry.special, entry.dir, listingCache);
+          const remote = existing && existing.get(entry.name);
+          if (remote && remote.size === blob.size) {
+            report.skipped.push({ path: entry.zipPath, reason: "Bereits vorhanden (gleiche Größe)" });
+            onFileDone(entry, "skipped");
+            continue;
+          }
+        }
+
+        await ensureRemoteDirectory(client, entry.special, entry.dir, createdDirs);
+        await uploadFileToSpecial(client, entry.special, entry.dir, entry.name, blob);
+        report.restored.push(entry.zipPath);
+        client.log(`  ${entry.zipPath} → ${targetPath} (${formatBytes(blob.size)})`);
+        onFileDone(entry, "restored");
+      } catch (e) {
+        report.failed.push({ path: entry.zipPath, reason: e.message });
+        onFileDone(entry, "failed");
+      }
+    }
+  }
+
+  function logRestoreReport(log, report) {
+    log(`Ergebnis: ${report.restored.length} wiederhergestellt, ${report.skipped.length} übersprungen, ${report.failed.length} fehlgeschlagen`,
+      report.failed.length > 0 ? "error" : "success");
+    report.skipped.forEach((s) => log(`  Übersprungen: ${s.path} (${s.reason})`, "warn"));
+    report.failed.forEach((f) => log(`  Fehlgeschlagen: ${f.path} (${f.reason})`, "error"));
+  }
+
+  // ============================================================
+  // RESTORE - MIGRATION
+  // ============================================================
+  const RUID_PATTERN = /^[0-9a-fA-F]{16}$/;
+  const LIB_PREFIX = "lib://";
+
+  function normalizeLibraryPath(path) {
+    return path.trim().replace(/^lib:\/\//, "").replace(/^\/+|\/+$/g, "");
+  }
+
+  // Rewrites a lib:// source with the longest matching path rule
+  function rewriteLibrarySource(source, rules) {
+    if (typeof source !== "string" || !source.startsWith(LIB_PREFIX)) return source;
+    const path = normalizeLibraryPath(source);
+    const rule = rules.find((r) => path === r.from || path.startsWith(`${r.from}/`));
+    if (!rule) return source;
+    return LIB_PREFIX + joinPath(rule.to, path.substring(rule.from.length)).replace(/^\/+/, "");
+  }
+
+  // RUIDs are compared and written in lower case; archives may hold either
+  function mapRuid(plan, ruid) {
+    const id = ruid.toLowerCase();
+    return (plan && plan.ruids.get(id)) || id;
+  }
+
+  // content.json as restored: lib:// source rewritten for the target server
+  function migrateContentJson(text, plan) {
+    if (!plan) return text;
+    const json = JSON.parse(text);
+    if (typeof json.source !== "string") return text;
+    json.source = rewriteLibrarySource(json.source, plan.rules);
+    return JSON.stringify(json);
+  }
+
+  // RUIDs of the content folders as spelled in the archive, so entries can
+  // be looked up with them (one spelling per RUID)
+  function getBackupRuids(entries) {
+    const ruids = new Map();
+    entries.forEach((file, path) => {
+      const match = path.match(/^content\/([0-9a-fA-F]{16})\//);
+      if (match && !ruids.has(match[1].toLowerCase())) ruids.set(match[1].toLowerCase(), match[1]);
+    });
+    return Array.from(ruids.values()).sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+  }
+
+  // Validates a migration: rules [{ from, to }] between library paths,
+  // ruids [[backupRuid, targetRuid]], backupRuids: every RUID in the backup.
+  // Unchanged entries are dropped; throws on invalid RUIDs, a target RUID used
+  // twice, or a target RUID that another tag of the backup keeps.
+  function createMigrationPlan(rules, ruids, backupRuids) {
+    const plan = { rules: [], ruids: new Map() };
+    rules.forEach((rule) => {
+      const from = normalizeLibraryPath(rule.from);
+      const to = normalizeLibraryPath(rule.to);
+      if (from && from !== to) plan.rules.push({ from: from, to: to });
+    });
+    plan.rules.sort((a, b) => b.from.length - a.from.length);
+
+    const targets = new Set();
+    ruids.forEach(([ruid, value]) => {
+      const source = ruid.trim().toLowerCase();
+      const target = value.trim().toLowerCase();
+      if (!target || target === source) return;
+      if (!RUID_PATTERN.test(source)) {
+        throw new Error(`Ungültige RUID: ${ruid} (16 Hex-Zeichen erwartet)`);
+      }
+      if (!RUID_PATTERN.test(target)) {
+        throw new Error(`Ungültige RUID für ${source}: ${value} (16 Hex-Zeichen erwartet)`);
+      }
+      if (targets.has(target)) {
+        throw new Error(`RUID ${target} ist mehreren Tags zugeordnet`);
+      }
+      targets.add(target);
+      plan.ruids.set(source, target);
+    });
+
+    // Both tags would write the same content folder
+    (backupRuids || []).forEach((ruid) => {
+      const id = ruid.toLowerCase();
+      if (targets.has(id) && !plan.ruids.has(id)) {
+        const source = Array.from(plan.ruids.keys()).find((key) => plan.ruids.get(key) === id);
+        throw new Error(`RUID ${id} ist ${source} zugeordnet, wird aber auch vom Tag ${id} aus dem Backup verwendet - diesem Tag ebenfalls eine neue RUID zuordnen`);
+      }
+    });
+    return plan;
+  }
+
+  // Every lib:// file referenced by the selected content.json entries must
+  // exist on the target; library files are not part of the archive.
+  async function checkMigration(client, backup, plan, selected) {
+    const { entries } = getArchiveEntries(backup);
+
+    const referenced = new Map();
+    for (const path of selected) {
+      const match = path.match(/^content\/([^/]+)\/content\.json$/);
+      if (!match || !entries.has(path)) continue;
+      let source;
+      try {
+        source = JSON.parse(migrateContentJson(await entries.get(path).text(), plan)).source;
+      } catch (e) {
+        continue;
+      }
+      if (typeof source !== "string" || !source.startsWith(LIB_PREFIX)) continue;
+      const libPath = normalizeLibraryPath(source);
+      if (!referenced.has(libPath)) referenced.set(libPath, []);
+      referenced.get(libPath).push(mapRuid(plan, match[1]));
+    }
+
+    const listings = new Map();
+    const missing = [];
+    for (const [libPath, ruids] of referenced) {
+      const { dir, name } = splitPath(libPath);
+      const listing = await listRemoteDirectory(client, "library", dir, listings);
+      if (!listing || !listing.has(name)) {
+        missing.push({ path: libPath, ruids: ruids });
+      }
+    }
+    return { checked: referenced.size, missing: missing };
+  }
+
+  // ============================================================
+  // RESTORE - VERIFY
+  // ============================================================
+  // Size and SHA-256 of the stored data. Encrypted entries of an unlocked
+  // archive are decrypted on the way, which authenticates every chunk with
+  // the key; a wrong key or changed data throws.
+  async function checkStoredEntry(archive, file) {
+    const hash = createSha256();
+    let size = 0;
+    async function* stored() {
+      for await (const chunk of file.chunks()) {
+        hash.update(chunk);
+        size += chunk.length;
+        yield chunk;
+      }
+    }
+
+    const info = archive.manifest.encryption;
+    const chunks = archive.key && archive.encrypted.has(file.path)
+      ? decryptChunks(stored(), archive.key, file.path, info.chunkSize, file.size)
+      : stored();
+    for await (const chunk of chunks) {
+      // Only read to the end; the plaintext is not needed
+    }
+    return { size: size, sha256: hash.digest() };
+  }
+
+  // Compares every entry of the chain with the checksums in its manifest.
+  // Encrypted archives are only authenticated after unlockBackup(); the
+  // names of those still locked end up in result.locked.
+  // onProgress(checked, total, path) is called after each entry.
+  async function verifyBackup(backup, log, onProgress) {
+    const result = { checked: 0, missing: [], corrupted: [], unchecked: [], locked: [] };
+    const archives = backup.chain;
+    const total = archives.reduce((sum, a) => sum + Object.keys(a.manifest.entries || {}).length, 0);
+
+    log("Prüfe Backup-Integrität...");
+
+    for (const archive of archives) {
+      const entries = archive.manifest.entries;
+      if (!entries) {
+        log(`${archive.name}: keine Prüfsummen im Manifest (erstellt vor v1.4.0)`, "warn");
+        result.unchecked.push(archive.name);
+        continue;
+      }
+      if (archive.manifest.encryption && !archive.key) {
+        log(`${archive.name}: verschlüsselt und nicht entsperrt - nur Prüfsummen, das Passwort wird nicht geprüft`, "warn");
+        result.locked.push(archive.name);
+      }
+
+      for (const path of Object.keys(entries)) {
+        const expected = entries[path];
+        // Checksums cover the stored (encrypted) data, not the decrypted content
+        const file = archive.entries.get(path);
+        if (!file) {
+          result.missing.push({ archive: archive.name, path: path });
+        } else {
+          try {
+            const actual = await checkStoredEntry(archive, file);
+            if (actual.size !== expected.size || actual.sha256 !== expected.sha256) {
+              result.corrupted.push({ archive: archive.name, path: path });
+            }
+          } catch (e) {
+            result.corrupted.push({ archive: archive.name, path: path });
+          }
+        }
+        result.checked++;
+        if (onProgress) onProgress(result.checked, total, path);
+      }
+    }
+
+    // Files that a delta expects from a base archive
+    getArchiveEntries(backup).missing.forEach((path) => {
+      result.missing.push({ archive: "Backup-Kette", path: path });
+    });
+
+    const problems = result.missing.length + result.corrupted.length;
+    log(`Prüfung abgeschlossen: ${result.checked} Einträge geprüft, ${result.missing.length} fehlend, ${result.corrupted.length} beschädigt`,
+      problems > 0 ? "error" : "success");
+    result.missing.forEach((m) => log(`  Fehlt: ${m.path} (${m.archive})`, "error"));
+    result.corrupted.forEach((c) => log(`  Beschädigt: ${c.path} (${c.archive})`, "error"));
+    return result;
+  }
+
+  // ============================================================
+  // RESTORE - EXECUTION
+  // ============================================================
+  // Sets the options of a settings.json; returns the IDs that failed.
+  // overlay: target box ID for box settings, only overlayed options are set
+  async function restoreSettings(client, settingsData, overlay) {
+    const failed = [];
+    for (const opt of settingsData.options || []) {
+      if (!opt.ID || opt.ID.startsWith("internal.")) continue;
+      if (overlay && !opt.overlayed) continue;
+      try {
+        await client.request(`/api/settings/set/${opt.ID}${overlay ? `?overlay=${overlay}` : ""}`, {
+          method: "POST",
+          headers: { "Content-Type": "text/plain" },
+          body: String(opt.value),
+        });
+      } catch (e) {
+        failed.push(opt.ID);
+      }
+    }
+    return failed;
+  }
+
+  // Writes the selected entries of a backup to the server and returns the
+  // report { restored: [path], skipped: [{ path, reason }], failed: [{ path, reason }] }.
+  // options: { selected (Set of archive paths), boxTargets (Map of box ID →
+  // target box ID or "__skip__"; unmapped boxes keep their ID), overwrite
+  // (upload files even if present with the same size), plan (migration),
+  // maxDecryptedSize (largest encrypted file that is decrypted for upload) }
+  async function restoreBackup(client, backup, options, onProgress) {
+    const log = client.log;
+    const manifest = backup.manifest;
+    const { entries } = getArchiveEntries(backup);
+    const { selected, plan } = options;
+    const boxTargets = options.boxTargets || new Map();
+    const archived = collectRestoreFiles(backup, plan);
+    const selectedFiles = archived.files.filter((f) => selected.has(f.zipPath));
+    const deselectedCount = archived.files.length - selectedFiles.length;
+    const report = {
+      restored: [],
+      skipped: archived.skipped.filter((s) => selected.has(s.path)),
+      failed: [],
+    };
+
+    let totalSteps = 0;
+    let currentStep = 0;
+
+    // Calculate steps
+    if (manifest.components.certs) totalSteps += 3;
+    if (manifest.components.toniesDb) totalSteps += 4;
+    if (manifest.components.settings) totalSteps += 1;
+    if (manifest.boxes) totalSteps += manifest.boxes.length;
+    totalSteps += selectedFiles.length;
+
+    const updateProgress = (status) => {
+      currentStep++;
+      if (onProgress) onProgress((currentStep / totalSteps) * 100, status);
+    };
+
+    log("Starte Wiederherstellung...");
+
+    // ========== CERTIFICATES ==========
+    if (manifest.components.certs) {
+      log("Stelle Zertifikate wieder her...");
+
+      const certFiles = ["ca.der", "client.der", "private.der"];
+      for (const certFile of certFiles) {
+        const path = `global/certs/${certFile}`;
+        const file = entries.get(path);
+        if (file && selected.has(path)) {
+          try {
+            const blob = await file.blob();
+            const formData = new FormData();
+            formData.append("file", blob, certFile);
+            await client.request("/api/uploadCert", { method: "POST", body: formData });
+            report.restored.push(path);
+            log(`Zertifikat wiederhergestellt: ${certFile}`, "success");
+          } catch (e) {
+            report.failed.push({ path: path, reason: e.message });
+            log(`Fehler bei ${certFile}: ${e.message}`, "error");
+          }
+        }
+        updateProgress(`Zertifikat: ${certFile}`);
+      }
+    }
+
+    // ========== TONIES DATABASE ==========
+    if (manifest.components.toniesDb) {
+      log("Stelle Tonies-Datenbank wieder her...");
+
+      const dbFiles = [
+        { zip: "tonies.json", endpoint: "/api/toniesJson" },
+        { zip: "tonies-custom.json", endpoint: "/api/toniesCustomJson" },
+        { zip: "tonieboxes.json", endpoint: "/api/tonieboxesJson" },
+        { zip: "tonieboxes-custom.json", endpoint: "/api/tonieboxesCustomJson" },
+      ];
+
+      for (const dbFile of dbFiles) {
+        const path = `global/${dbFile.zip}`;
+        if (entries.has(path) && selected.has(path)) {
+          // TeddyCloud has no write endpoint for these databases
+          report.skipped.push({ path: path, reason: "TeddyCloud bietet keinen Endpunkt zum Schreiben" });
+          log(`DB-Datei gefunden: ${dbFile.zip}`, "info");
+        }
+        updateProgress(`Datenbank: ${dbFile.zip}`);
+      }
+    }
+
+    // ========== GLOBAL SETTINGS ==========
+    if (manifest.components.settings) {
+      log("Stelle globale Einstellungen wieder her...");
+
+      const path = "global/settings.json";
+      const settingsFile = entries.get(path);
+      if (settingsFile && selected.has(path)) {
+        try {
+          // Settings are in {options: [{ID, value, ...}]} format
+          const failed = await restoreSettings(client, JSON.parse(await settingsFile.text()));
+          if (failed.length > 0) {
+            throw new Error(`${failed.length} Einstellungen nicht gesetzt: ${failed.join(", ")}`);
+          }
+          report.restored.push(path);
+          log("Globale Einstellungen wiederhergestellt", "success");
+        } catch (e) {
+          report.failed.push({ path: path, reason: e.message });
+          log(`Fehler bei Einstellungen: ${e.message}`, "error");
+        }
+      }
+      updateProgress("Globale Einstellungen");
+    }
+
+    // ========== BOX-SPECIFIC DATA ==========
+    if (manifest.boxes && manifest.boxes.length > 0) {
+      for (const box of manifest.boxes) {
+        const targetBoxId = boxTargets.has(box.id) ? boxTargets.get(box.id) : box.id;
+
+        if (targetBoxId === "__skip__") {
+          log(`Überspringe Box: ${box.name}`, "info");
+          updateProgress(`Übersprungen: ${box.name}`);
+          continue;
+        }
+
+        log(`Stelle Box wieder her: ${box.name} → ${targetBoxId}`);
+
+        // Restore box settings
+        if (manifest.components.settings) {
+          const path = `boxes/${box.safeName}/settings.json`;
+          const boxSettingsFile = entries.get(path);
+          if (boxSettingsFile && selected.has(path)) {
+            try {
+              const failed = await restoreSettings(client, JSON.parse(await boxSettingsFile.text()), targetBoxId);
+              if (failed.length > 0) {
+                throw new Error(`${failed.length} Einstellungen nicht gesetzt: ${failed.join(", ")}`);
+              }
+              report.restored.push(path);
+              log(`Einstellungen für ${box.name} wiederhergestellt`, "success");
+            } catch (e) {
+              report.failed.push({ path: path, reason: e.message });
+              log(`Fehler bei Box-Einstellungen: ${e.message}`, "error");
+            }
+          }
+        }
+
+        updateProgress(`Box: ${box.name}`);
+      }
+    }
+
+    // ========== CONTENT DATA ==========
+    if (manifest.components.content) {
+      log("Stelle Content-Metadaten wieder her...");
+
+      const contentFiles = [];
+      entries.forEach((file, path) => {
+        if (/^content\/[^/]+\/content\.json$/.test(path) && selected.has(path)) {
+          contentFiles.push({ path: path, file: file });
+        }
+      });
+
+      let contentFailed = 0;
+      for (const cf of contentFiles) {
+        try {
+          const ruid = mapRuid(plan, cf.path.split("/")[1]);
+          const content = migrateContentJson(await cf.file.text(), plan);
+          await client.request(`/content/json/set/${ruid}`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: content,
+          });
+          report.restored.push(cf.path);
+        } catch (e) {
+          report.failed.push({ path: cf.path, reason: e.message });
+          contentFailed++;
+        }
+      }
+
+      if (contentFiles.length > 0) {
+        log(`${contentFiles.length - contentFailed} von ${contentFiles.length} Content-Einträgen wiederhergestellt`,
+          contentFailed > 0 ? "error" : "success");
+      }
+    }
+
+    // ========== FILES (AUDIO, LIBRARY, CACHE, CUSTOM IMAGES) ==========
+    if (selectedFiles.length > 0) {
+      log(`Stelle ${selectedFiles.length} Dateien wieder her...`);
+      let fileIndex = 0;
+      await restoreArchivedFiles(client, selectedFiles, report, options, (entry) => {
+        fileIndex++;
+        updateProgress(`Datei ${fileIndex}/${selectedFiles.length}: ${entry.zipPath}`);
+      });
+    }
+    if (deselectedCount > 0) {
+      log(`${deselectedCount} Dateien nicht ausgewählt`, "info");
+    }
+
+    // Reload config
+    try {
+      await client.request("/api/triggerReloadConfig");
+      log("Konfiguration neu geladen", "success");
+    } catch (e) {
+      report.failed.push({ path: "/api/triggerReloadConfig", reason: e.message });
+      log("Konnte Konfiguration nicht neu laden", "error");
+    }
+
+    if (onProgress) onProgress(100, "Fertig!");
+    logRestoreReport(log, report);
+    log(report.failed.length > 0 ? "Wiederherstellung mit Fehlern abgeschlossen" : "Wiederherstellung abgeschlossen!",
+      report.failed.length > 0 ? "error" : "success");
+    return report;
+  }
+
+  // ============================================================
+  // TAG ASSIGNMENTS
+  // ============================================================
+  // Columns of the CSV/JSON export. The title is resolved from tonies.json
+  // for reading only, the import ignores it.
+  const TAG_COLUMNS = ["ruid", "title", "source", "nocloud", "live", "hide"];
+  const TAG_FLAGS = ["nocloud", "live", "hide"];
+  const BOOLEAN_VALUES = {
+    true: true, false: false, "1": true, "0": false,
+    ja: true, nein: false, yes: true, no: false, x: true, "": false,
+  };
+
+  function getTagRuid(tag) {
+    return String(tag.ruid || tag.uid || "").toLowerCase();
+  }
+
+  async function loadTagIndex(client) {
+    const data = await withRetry(client, () => client.json("/api/getTagIndex"), "Tag-Index");
+    return data && data.tags ? data.tags : (Array.isArray(data) ? data : []);
+  }
+
+  // model → title from tonies.json and tonies-custom.json (custom entries win)
+  async function loadTonieTitles(client) {
+    const titles = new Map();
+    for (const endpoint of ["/api/toniesJson", "/api/toniesCustomJson"]) {
+      try {
+        const entries = await client.json(endpoint);
+        (Array.isArray(entries) ? entries : []).forEach((entry) => {
+          const title = entry.title || [entry.series, entry.episodes].filter((v) => v).join(" - ");
+          if (entry.model && title) titles.set(String(entry.model), title);
+        });
+      } catch (e) {
+        // Titles are a convenience, the export works without them
+      }
+    }
+    return titles;
+  }
+
+  function resolveTagTitle(tag, content, titles) {
+    const info = tag.tonieInfo || {};
+    const model = content.tonie_model || info.model;
+    if (model && titles.has(String(model))) return titles.get(String(model));
+    return [info.series, info.episode].filter((v) => v).join(" - ");
+  }
+
+  // One row per tag of the tag index with its content.json settings
+  async function exportTagAssignments(client, onProgress) {
+    const tags = await loadTagIndex(client);
+    const titles = await loadTonieTitles(client);
+    const rows = [];
+    for (let i = 0; i < tags.length; i++) {
+      const ruid = getTagRuid(tags[i]);
+      if (!ruid) continue;
+      let content = {};
+      try {
+        content = await withRetry(client, () => client.json(`/content/json/get/${ruid}`), `content.json ${ruid}`);
+      } catch (e) {
+        // Tags without content.json are exported with defaults
+        rethrowInterruption(e);
+      }
+      rows.push({
+        ruid: ruid,
+        title: resolveTagTitle(tags[i], content || {}, titles),
+        source: content && content.source ? String(content.source) : "",
+        nocloud: !!(content && content.nocloud),
+        live: !!(content && content.live),
+        hide: !!(content && content.hide),
+      });
+      if (onProgress) onProgress(i + 1, tags.length, ruid);
+    }
+    rows.sort((a, b) => a.ruid.localeCompare(b.ruid));
+    return rows;
+  }
+
+  function csvField(value) {
+    const text = String(value);
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Semicolon separated with BOM, so spreadsheet programs with a German locale open it directly
+  function tagAssignmentsToCsv(rows) {
+    const lines = [TAG_COLUMNS.join(";")];
+    rows.forEach((row) => lines.push(TAG_COLUMNS.map((column) => csvField(row[column])).join(";")));
+    return "\uFEFF" + lines.join("\r\n") + "\r\n";
+  }
+
+  function tagAssignmentsToJson(rows) {
+    return JSON.stringify(rows, null, 2);
+  }
+
+  // RFC 4180 records; the delimiter (";" or ",") is taken from the header line
+  function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.split(";").length >= firstLine.split(",").length ? ";" : ",";
+    const records = [];
+    let record = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          field += c;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === delimiter) {
+        record.push(field);
+        field = "";
+      } else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text[i + 1] === "\n") i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = "";
+      } else {
+        field += c;
+      }
+    }
+    if (field !== "" || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+    return records;
+  }
+
+  // Reads a CSV or JSON export. Returns { rows, errors: [{ line, message }] };
+  // fields whose column is missing stay undefined and are not changed on import.
+  function parseTagAssignments(text, fileName) {
+    text = text.replace(/^\uFEFF/, "");
+    let items;
+    if (/\.json$/i.test(fileName || "") || /^\s*[[{]/.test(text)) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        throw new Error(`Ungültiges JSON: ${e.message}`);
+      }
+      const list = Array.isArray(data) ? data : (data && data.tags);
+      if (!Array.isArray(list)) {
+        throw new Error("JSON enthält keine Liste von Tags");
+      }
+      items = list.map((item, i) => ({ line: i + 1, values: item && typeof item === "object" ? item : {} }));
+    } else {
+      const records = parseCsv(text).filter((r) => r.some((v) => v.trim() !== ""));
+      if (records.length === 0) {
+        throw new Error("CSV-Datei ist leer");
+      }
+      const header = records[0].map((h) => h.trim().toLowerCase());
+      if (!header.includes("ruid")) {
+        throw new Error("CSV-Datei hat keine Spalte \"ruid\"");
+      }
+      items = records.slice(1).map((record, i) => {
+        const values = {};
+        header.forEach((column, c) => {
+          if (TAG_COLUMNS.includes(column)) values[column] = record[c] === undefined ? "" : record[c];
+        });
+        return { line: i + 2, values: values };
+      });
+    }
+
+    const rows = [];
+    const errors = [];
+    const seen = new Set();
+    items.forEach(({ line, values }) => {
+      const problems = [];
+      const ruid = String(values.ruid || "").trim().toLowerCase();
+      if (!RUID_PATTERN.test(ruid)) {
+        problems.push(`Ungültige RUID "${values.ruid || ""}"`);
+      } else if (seen.has(ruid)) {
+        problems.push(`RUID ${ruid} ist mehrfach enthalten`);
+      }
+      const row = { line: line, ruid: ruid };
+      if (values.source !== undefined && values.source !== null) {
+        if (typeof values.source !== "string") {
+          problems.push("source muss ein Text sein");
+        } else {
+          row.source = values.source.trim();
+        }
+      }
+      TAG_FLAGS.forEach((flag) => {
+        const value = values[flag];
+        if (value === undefined || value === null) return;
+        if (typeof value === "boolean") {
+          row[flag] = value;
+        } else if (Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, String(value).trim().toLowerCase())) {
+          row[flag] = BOOLEAN_VALUES[String(value).trim().toLowerCase()];
+        } else {
+          problems.push(`${flag}: "${value}" ist kein Ja/Nein-Wert`);
+        }
+      });
+      if (problems.length > 0) {
+        errors.push({ line: line, message: problems.join(", ") });
+      } else {
+        seen.add(ruid);
+        rows.push(row);
+      }
+    });
+    return { rows: rows, errors: errors };
+  }
+
+  // Compares the rows with the server. Returns { changes, errors }; each change
+  // holds the complete content.json to write (other fields are kept) and the
+  // changed fields with before/after values. Unknown tags become errors.
+  async function planTagImport(client, rows, onProgress) {
+    const known = new Set((await loadTagIndex(client)).map(getTagRuid));
+    const changes = [];
+    const errors = [];
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      if (onProgress) onProgress(i + 1, rows.length, row.ruid);
+      if (!known.has(row.ruid)) {
+        errors.push({ line: row.line, message: `Tag ${row.ruid} ist auf dem Server nicht bekannt` });
+        continue;
+      }
+      let content;
+      try {
+        content = (await withRetry(client, () => client.json(`/content/json/get/${row.ruid}`), `content.json ${row.ruid}`)) || {};
+      } catch (e) {
+        rethrowInterruption(e);
+        if (e.status !== 404) {
+          errors.push({ line: row.line, message: `content.json ${row.ruid} nicht lesbar: ${e.message}` });
+          continue;
+        }
+        content = {};
+      }
+      const fields = [];
+      const updated = Object.assign({}, content);
+      if (row.source !== undefined && row.source !== (content.source || "")) {
+        fields.push({ field: "source", before: content.source || "", after: row.source });
+        updated.source = row.source;
+      }
+      TAG_FLAGS.forEach((flag) => {
+        if (row[flag] !== undefined && row[flag] !== !!content[flag]) {
+          fields.push({ field: flag, before: !!content[flag], after: row[flag] });
+          updated[flag] = row[flag];
+        }
+      });
+      if (fields.length > 0) {
+        changes.push({ ruid: row.ruid, fields: fields, content: updated });
+      }
+    }
+    return { changes: changes, errors: errors };
+  }
+
+  // Writes the planned changes; returns { applied, failed: [{ ruid, error }] }
+  async function applyTagImport(client, changes, onProgress) {
+    const result = { applied: 0, failed: [] };
+    for (let i = 0; i < changes.length; i++) {
+      const change = changes[i];
+      try {
+        await client.request(`/content/json/set/${change.ruid}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(change.content),
+        });
+        result.applied++;
+      } catch (e) {
+        result.failed.push({ ruid: change.ruid, error: e.message });
+      }
+      if (onProgress) onProgress(i + 1, changes.length, change.ruid);
+    }
+    return result;
+  }
+
+  return {
+    VERSION: VERSION,
+    COMPONENT_LABELS: COMPONENT_LABELS,
+    formatBytes: formatBytes,
+    joinPath: joinPath,
+    splitPath: splitPath,
+    sleep: sleep,
+    getBackupId: getBackupId,
+    createClient: createClient,
+    createZipStreamWriter: createZipStreamWriter,
+    readZipEntries: readZipEntries,
+    checkPassword: checkPassword,
+    getScheduledEncryption: getScheduledEncryption,
+    unlockArchiveKey: unlockArchiveKey,
+    isTransientError: isTransientError,
+    isUnchangedInBase: isUnchangedInBase,
+    listContentDirectory: listContentDirectory,
+    readBaseManifest: readBaseManifest,
+    createBackupContext: createBackupContext,
+    writeBackup: writeBackup,
+    getAuditFindingCount: getAuditFindingCount,
+    cleanupAuditFindings: cleanupAuditFindings,
+    parseScheduledBackupName: parseScheduledBackupName,
+    readDeltaBaseIds: readDeltaBaseIds,
+    selectBackupsToKeep: selectBackupsToKeep,
+    openBackup: openBackup,
+    getArchiveEntries: getArchiveEntries,
+    unlockBackup: unlockBackup,
+    getRestorablePaths: getRestorablePaths,
+    collectRestoreFiles: collectRestoreFiles,
+    LIB_PREFIX: LIB_PREFIX,
+    normalizeLibraryPath: normalizeLibraryPath,
+    mapRuid: mapRuid,
+    migrateContentJson: migrateContentJson,
+    getBackupRuids: getBackupRuids,
+    createMigrationPlan: createMigrationPlan,
+    checkMigration: checkMigration,
+    verifyBackup: verifyBackup,
+    restoreBackup: restoreBackup,
+    exportTagAssignments: exportTagAssignments,
+    tagAssignmentsToCsv: tagAssignmentsToCsv,
+    tagAssignmentsToJson: tagAssignmentsToJson,
+    parseTagAssignments: parseTagAssignments,
+    planTagImport: planTagImport,
+    applyTagImport: applyTagImport,
+  };
+});
@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+// TeddyCloud Backup - Kommandozeilen-Tool
+// Erstellt, prüft und stellt Backups im selben ZIP-Format wie das Plugin wieder her,
+// z.B. per cron auf einem NAS. Benötigt Node.js 20 oder neuer, keine weiteren Pakete.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const Core = require("../backup-core.js");
+
+const PASSWORD_ENV = "TC_BACKUP_PASSWORD";
+const DEFAULT_COMPONENTS = ["certs", "settings", "content", "audio", "toniesDb"];
+
+const USAGE = `TeddyCloud Backup v${Core.VERSION}
+
+Aufruf:
+  tc-backup backup  --url URL [--out PFAD] [Optionen]
+  tc-backup verify  ARCHIV.zip [BASIS.zip ...]
+  tc-backup restore --url URL ARCHIV.zip [BASIS.zip ...] [Optionen]
+
+Backup:
+  --out PFAD              Zielordner oder Dateiname (Standard: aktueller Ordner)
+  --components LISTE      ${Object.keys(Core.COMPONENT_LABELS).join(",")}
+                          (Standard: ${DEFAULT_COMPONENTS.join(",")})
+  --boxes all|none|IDS    Tonieboxen, deren Overlays gesichert werden (Standard: all)
+  --base ARCHIV           Inkrementelles Backup gegen ein vorheriges Backup oder dessen manifest.json
+  --encrypt sensitive|all Verschlüsseln (Passwort aus ${PASSWORD_ENV})
+  --keep-last N           Nur die neuesten N Vollbackups im Zielordner behalten (Basis eines Deltas bleibt)
+  --keep-weeks N          Zusätzlich das neueste Backup jeder der letzten N Wochen behalten
+
+Wiederherstellung:
+  --only PFADE            Nur diese Archiv-Pfade/Ordner (kommagetrennt, z.B. global/settings.json,content)
+  --box ALT=NEU           Box-Overlay ALT auf Box NEU (oder "skip") wiederherstellen, mehrfach möglich
+  --overwrite             Dateien auch hochladen, wenn sie mit gleicher Größe vorhanden sind
+  --path-rule ALT=NEU     Migration: lib://-Pfade umschreiben, mehrfach möglich
+  --map-ruid ALT=NEU      Migration: Inhalt eines Tags auf eine andere RUID, mehrfach möglich
+  Verschlüsselte Backups werden mit dem Passwort aus ${PASSWORD_ENV} entsperrt;
+  verify prüft damit auch das Passwort und entschlüsselt jeden Eintrag.
+
+Exit-Code: 0 = erfolgreich, 1 = Fehler, fehlende Komponenten oder beschädigte Einträge, 2 = Aufruf ungültig
+`;
+
+// name → "value", "list" (repeatable, comma separated) or "flag"
+const OPTIONS = {
+  url: "value",
+  out: "value",
+  components: "list",
+  boxes: "list",
+  base: "value",
+  encrypt: "value",
+  "keep-last": "value",
+  "keep-weeks": "value",
+  only: "list",
+  box: "list",
+  overwrite: "flag",
+  "path-rule": "list",
+  "map-ruid": "list",
+  help: "flag",
+};
+
+class UsageError extends Error {}
+
+function log(message, type = "info") {
+  const prefix = type === "error" ? "❌" : type === "success" ? "✅" : type === "warn" ? "⚠️" : "ℹ️";
+  const line = `[${new Date().toISOString()}] ${prefix} ${message}`;
+  if (type === "error" || type === "warn") {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+// ============================================================
+// ARGUMENTS
+// ============================================================
+function parseArgs(argv) {
+  const hasCommand = argv.length > 0 && !argv[0].startsWith("--");
+  const args = { command: hasCommand ? argv[0] : null, files: [], options: {} };
+  for (let i = hasCommand ? 1 : 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      args.files.push(arg);
+      continue;
+    }
+    let name = arg.slice(2);
+    let value = null;
+    const eq = name.indexOf("=");
+    if (eq !== -1) {
+      value = name.slice(eq + 1);
+      name = name.slice(0, eq);
+    }
+    const kind = OPTIONS[name];
+    if (!kind) {
+      throw new UsageError(`Unbekannte Option: --${name}`);
+    }
+    if (kind === "flag") {
+      args.options[name] = true;
+      continue;
+    }
+    if (value === null) {
+      if (i + 1 >= argv.length) throw new UsageError(`--${name} erwartet einen Wert`);
+      value = argv[++i];
+    }
+    if (kind === "list") {
+      args.options[name] = (args.options[name] || []).concat(value.split(",").map((v) => v.trim()).filter((v) => v));
+    } else {
+      args.options[name] = value;
+    }
+  }
+  return args;
+}
+
+// "ALT=NEU" pairs of --box, --path-rule and --map-ruid
+function parsePairs(values, option) {
+  return (values || []).map((value) => {
+    const eq = value.indexOf("=");
+    if (eq === -1) {
+      throw new UsageError(`--${option} erwartet ALT=NEU: ${value}`);
+    }
+    return [value.slice(0, eq).trim(), value.slice(eq + 1).trim()];
+  });
+}
+
+function parseCount(value, option) {
+  if (value == null) return null;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new UsageError(`--${option} erwartet eine Zahl`);
+  }
+  return count;
+}
+
+function requireUrl(options) {
+  if (!options.url) {
+    throw new UsageError("--url fehlt (z.B. --url http://teddycloud.local)");
+  }
+  return Core.createClient({ baseUrl: options.url, log: log });
+}
+
+function requirePassword(reason) {
+  const password = process.env[PASSWORD_ENV];
+  if (!password) {
+    throw new Error(`${reason} - bitte das Passwort in ${PASSWORD_ENV} setzen`);
+  }
+  return password;
+}
+
+// ============================================================
+// FILES
+// ============================================================
+// Same interface as the plugin's sinks, on a local file
+async function openFileSink(file) {
+  const handle = await fs.promises.open(file, "w");
+  let position = 0;
+  return {
+    kind: "file",
+    name: path.basename(file),
+    async write(chunk) {
+      let written = 0;
+      while (written < chunk.length) {
+        const { bytesWritten } = await handle.write(chunk, written, chunk.length - written, position);
+        written += bytesWritten;
+        position += bytesWritten;
+      }
+    },
+    async truncate(size) {
+      await handle.truncate(size);
+      position = size;
+    },
+    close: () => handle.close(),
+    async abort() {
+      await handle.close();
+      await fs.promises.unlink(file);
+    },
+  };
+}
+
+// Archives are opened as file-backed Blobs, entries are read from disk when needed
+async function openArchives(files) {
+  if (files.length === 0) {
+    throw new UsageError("Kein Backup-Archiv angegeben");
+  }
+  const archives = [];
+  for (const file of files) {
+    archives.push({ name: path.basename(file), data: await fs.openAsBlob(file) });
+  }
+  return Core.openBackup(archives, log);
+}
+
+// --out is a directory (existing or ending with "/") or a file name
+async function resolveOutput(out, archiveId) {
+  const target = out || ".";
+  let isDir = target.endsWith("/") || target.endsWith(path.sep);
+  try {
+    isDir = isDir || (await fs.promises.stat(target)).isDirectory();
+  } catch (e) {
+    // A new file
+  }
+  if (isDir) {
+    await fs.promises.mkdir(target, { recursive: true });
+    return { dir: target, file: path.join(target, `${archiveId}.zip`) };
+  }
+  return { dir: null, file: target };
+}
+
+async function applyRetention(dir, keepLast, keepWeeks) {
+  const backups = [];
+  const deltas = [];
+  for (const name of await fs.promises.readdir(dir)) {
+    const date = Core.parseScheduledBackupName(name);
+    if (date !== null) backups.push({ name: name, date: date });
+    if (name.endsWith("-delta.zip")) deltas.push({ name: name, data: await fs.openAsBlob(path.join(dir, name)) });
+  }
+  let baseIds;
+  try {
+    baseIds = await Core.readDeltaBaseIds(deltas);
+  } catch (e) {
+    log(`Aufbewahrung übersprungen - Basis eines Delta-Backups unbekannt: ${e.message}`, "warn");
+    return;
+  }
+  const keep = Core.selectBackupsToKeep(backups, keepLast, keepWeeks, Date.now(), baseIds);
+  for (const backup of backups) {
+    if (keep.has(backup.name)) continue;
+    try {
+      await fs.promises.unlink(path.join(dir, backup.name));
+      log(`Aufbewahrung: ${backup.name} gelöscht`);
+    } catch (e) {
+      log(`Aufbewahrung: ${backup.name} konnte nicht gelöscht werden: ${e.message}`, "warn");
+    }
+  }
+}
+
+// ============================================================
+// COMMANDS
+// ============================================================
+function getBoxId(box) {
+  return box.ID || box.id || box.boxId;
+}
+
+async function loadBoxes(client) {
+  try {
+    const data = await client.json("/api/getBoxes");
+    return data && data.boxes ? data.boxes : (Array.isArray(data) ? data : []);
+  } catch (e) {
+    log("Konnte Tonieboxen nicht laden - nur globale Daten verfügbar", "warn");
+    return [];
+  }
+}
+
+function getBackupOptions(components) {
+  const selected = components || DEFAULT_COMPONENTS;
+  const unknown = selected.filter((c) => !Core.COMPONENT_LABELS[c]);
+  if (unknown.length > 0) {
+    throw new UsageError(`Unbekannte Komponente: ${unknown.join(", ")}`);
+  }
+  const options = {};
+  Object.keys(Core.COMPONENT_LABELS).forEach((component) => {
+    options[component] = selected.includes(component);
+  });
+  return options;
+}
+
+function getSelectedBoxes(boxes, selection) {
+  if (!selection || selection.includes("all")) return boxes.map(getBoxId);
+  if (selection.includes("none")) return [];
+  return selection;
+}
+
+async function backupCommand(options) {
+  const client = requireUrl(options);
+  const backupOptions = getBackupOptions(options.components);
+  const keepLast = parseCount(options["keep-last"], "keep-last");
+  const keepWeeks = parseCount(options["keep-weeks"], "keep-weeks") || 0;
+
+  let encryption = null;
+  if (options.encrypt) {
+    if (options.encrypt !== "sensitive" && options.encrypt !== "all") {
+      throw new UsageError("--encrypt erwartet sensitive oder all");
+    }
+    const password = requirePassword("Verschlüsselung ohne Passwort");
+    Core.checkPassword(password);
+    encryption = { password: password, mode: options.encrypt };
+  }
+
+  let base = null;
+  if (options.base) {
+    base = await Core.readBaseManifest(options.base, await fs.openAsBlob(options.base));
+    log(`Basis-Backup geladen: ${Object.keys(base.files).length} Dateien im Index`, "success");
+  }
+
+  const boxes = await loadBoxes(client);
+  const ctx = Core.createBackupContext(client, {
+    options: backupOptions,
+    selectedBoxes: getSelectedBoxes(boxes, options.boxes),
+    boxes: boxes,
+    base: base,
+    encryption: encryption,
+  });
+
+  const target = await resolveOutput(options.out, ctx.archiveId);
+  log(`Starte Backup: ${ctx.archiveId} → ${target.file}`);
+  const sink = await openFileSink(target.file);
+  try {
+    await Core.writeBackup(ctx, sink);
+  } catch (error) {
+    try {
+      await sink.abort();
+    } catch (_) {}
+    throw error;
+  }
+
+  if (keepLast !== null) {
+    if (target.dir) {
+      await applyRetention(target.dir, Math.max(1, keepLast), keepWeeks);
+    } else {
+      log("--keep-last wird nur mit einem Zielordner angewendet", "warn");
+    }
+  }
+  return ctx.failed.size > 0 ? 1 : 0;
+}
+
+// With a password, encrypted entries are decrypted as well; a wrong password fails
+async function verifyCommand(options, files) {
+  const backup = await openArchives(files);
+  if (backup.locked && process.env[PASSWORD_ENV]) {
+    await Core.unlockBackup(backup, process.env[PASSWORD_ENV]);
+  }
+  const result = await Core.verifyBackup(backup, log);
+  return result.missing.length + result.corrupted.length > 0 ? 1 : 0;
+}
+
+// Without --box every box is restored onto the box with the same ID, if the
+// target server knows it (like the preselection in the plugin)
+async function getBoxTargets(client, manifest, pairs) {
+  const targets = new Map();
+  if (!manifest.boxes || manifest.boxes.length === 0) return targets;
+  const known = new Set((await loadBoxes(client)).map(getBoxId));
+  const explicit = new Map(pairs);
+  manifest.boxes.forEach((box) => {
+    let target = explicit.has(box.id) ? explicit.get(box.id) : (known.has(box.id) ? box.id : "skip");
+    if (target === "skip") {
+      target = "__skip__";
+      if (!explicit.has(box.id)) log(`Box ${box.name} (${box.id}) ist auf dem Ziel unbekannt - übersprungen (--box ${box.id}=NEU)`, "warn");
+    }
+    targets.set(box.id, target);
+  });
+  return targets;
+}
+
+function isSelected(archivePath, prefixes) {
+  return prefixes.some((prefix) => {
+    const normalized = prefix.replace(/\/+$/, "");
+    return archivePath === normalized || archivePath.startsWith(`${normalized}/`);
+  });
+}
+
+async function restoreCommand(options, files) {
+  const client = requireUrl(options);
+  const rules = parsePairs(options["path-rule"], "path-rule").map(([from, to]) => ({ from: from, to: to }));
+  const ruids = parsePairs(options["map-ruid"], "map-ruid");
+  const boxPairs = parsePairs(options.box, "box");
+  const backup = await openArchives(files);
+
+  if (backup.locked) {
+    const count = await Core.unlockBackup(backup, requirePassword("Das Backup ist verschlüsselt"));
+    log(`Backup entschlüsselt (${count} Dateien)`, "success");
+  }
+
+  const paths = Core.getRestorablePaths(backup);
+  const selected = new Set(options.only ? paths.filter((p) => isSelected(p, options.only)) : paths);
+  if (selected.size === 0) {
+    throw new Error("Keine Einträge zur Wiederherstellung ausgewählt");
+  }
+
+  let plan = null;
+  if (rules.length > 0 || ruids.length > 0) {
+    plan = Core.createMigrationPlan(rules, ruids, Core.getBackupRuids(Core.getArchiveEntries(backup).entries));
+    log("Prüfe Library-Dateien auf dem Ziel...");
+    const result = await Core.checkMigration(client, backup, plan, selected);
+    if (result.missing.length > 0) {
+      result.missing.forEach((m) => log(`  Fehlt: lib://${m.path} (${m.ruids.join(", ")})`, "error"));
+      throw new Error(`${result.missing.length} referenzierte Library-Dateien fehlen auf dem Ziel - es wurde nichts geändert`);
+    }
+    log(`Migration: ${plan.rules.length} Pfadregeln, ${plan.ruids.size} RUID-Zuordnungen, ${result.checked} Library-Dateien vorhanden`, "success");
+  }
+
+  const report = await Core.restoreBackup(client, backup, {
+    selected: selected,
+    boxTargets: await getBoxTargets(client, backup.manifest, boxPairs),
+    overwrite: !!options.overwrite,
+    plan: plan,
+  });
+  return report.failed.length > 0 ? 1 : 0;
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+const COMMANDS = {
+  backup: backupCommand,
+  verify: verifyCommand,
+  restore: restoreCommand,
+};
+
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+    if (args.options.help || !args.command) {
+      console.log(USAGE);
+      return args.options.help ? 0 : 2;
+    }
+    if (!COMMANDS[args.command]) {
+      throw new UsageError(`Unbekannter Befehl: ${args.command}`);
+    }
+    return await COMMANDS[args.command](args.options, args.files);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    log(error.message, "error");
+    return 1;
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
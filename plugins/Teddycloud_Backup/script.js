@@ -6,7 +6,7 @@
   "use strict";
 
   const PLUGIN_NAME = "TeddyCloud Backup";
-  const PLUGIN_VERSION = "1.0.0";
+  const PLUGIN_VERSION = "1.14.1";
 
   // ============================================================
   // DOM HELPERS
@@ -23,14 +23,6 @@
     logOutput.scrollTop = logOutput.scrollHeight;
   }
 
-  function formatBytes(bytes) {
-    if (bytes === 0) return "0 Bytes";
-    const k = 1024;
-    const sizes = ["Bytes", "KB", "MB", "GB"];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
-  }
-
   function setProgress(containerId, fillId, textId, percent, statusId, statusText) {
     const container = el(containerId);
     const fill = el(fillId);
@@ -52,32 +44,68 @@
   // ============================================================
   // API HELPERS
   // ============================================================
-  async function apiFetch(endpoint, options = {}) {
+  // Requests, the archive format and the backup/restore logic live in
+  // backup-core.js, which the command-line tool (cli/tc-backup.js) shares
+  const Core = window.TeddyCloudBackupCore;
+  const { formatBytes, joinPath, getBackupId, COMPONENT_LABELS } = Core;
+
+  const api = Core.createClient({ log: log });
+  const apiJson = api.json;
+  const apiBlob = api.blob;
+  const apiText = api.text;
+
+  // ============================================================
+  // PERSISTENCE
+  // ============================================================
+  const STORAGE_PREFIX = "tcBackup.";
+  const IDB_NAME = "tc-backup";
+  const IDB_STORE = "kv";
+
+  function loadSetting(key, fallback) {
     try {
-      const response = await fetch(endpoint, options);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      return response;
-    } catch (error) {
-      log(`API-Fehler bei ${endpoint}: ${error.message}`, "error");
-      throw error;
+      const raw = localStorage.getItem(STORAGE_PREFIX + key);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  function saveSetting(key, value) {
+    try {
+      localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    } catch (e) {
+      log(`Konnte Einstellung ${key} nicht speichern: ${e.message}`, "warn");
     }
   }
 
-  async function apiJson(endpoint, options = {}) {
-    const response = await apiFetch(endpoint, options);
-    return response.json();
+  // IndexedDB key/value store for values localStorage cannot hold (directory handles)
+  function idbRequest(mode, action) {
+    return new Promise((resolve, reject) => {
+      const open = indexedDB.open(IDB_NAME, 1);
+      open.onupgradeneeded = () => open.result.createObjectStore(IDB_STORE);
+      open.onerror = () => reject(open.error);
+      open.onsuccess = () => {
+        const db = open.result;
+        const tx = db.transaction(IDB_STORE, mode);
+        const req = action(tx.objectStore(IDB_STORE));
+        tx.oncomplete = () => {
+          db.close();
+          resolve(req.result);
+        };
+        tx.onerror = () => {
+          db.close();
+          reject(tx.error);
+        };
+      };
+    });
   }
 
-  async function apiBlob(endpoint, options = {}) {
-    const response = await apiFetch(endpoint, options);
-    return response.blob();
+  function idbGet(key) {
+    return idbRequest("readonly", (store) => store.get(key));
   }
 
-  async function apiText(endpoint, options = {}) {
-    const response = await apiFetch(endpoint, options);
-    return response.text();
+  function idbSet(key, value) {
+    return idbRequest("readwrite", (store) => store.put(value, key));
   }
 
   // ============================================================
@@ -85,8 +113,13 @@
   // ============================================================
   let tonieboxes = [];
   let estimatedSize = 0;
-  let currentZip = null;
   let parsedBackup = null;
+  let baseManifest = null;
+  let backupRunning = false;
+  // Interrupted run whose archive only exists in memory (download fallback)
+  let pausedRun = null;
+  // Interrupted run offered by "Backup fortsetzen" (see renderResumeInfo)
+  let resumableCheckpoint = null;
 
   // ============================================================
   // LOAD TONIEBOXES
@@ -136,109 +169,266 @@
   // ============================================================
   // SIZE ESTIMATION
   // ============================================================
-  async function estimateBackupSize() {
-    const btnEstimate = el("btnEstimate");
-    const btnBackup = el("btnBackup");
-    const sizeInfo = el("sizeInfo");
-    const sizeValue = el("sizeValue");
-    const sizeWarning = el("sizeWarning");
+  // Used for the download time until a backup has measured the real throughput
+  const DEFAULT_THROUGHPUT = 5 * 1024 * 1024;
+  // Backups smaller than this are dominated by request overhead, not transfer
+  const THROUGHPUT_MIN_SIZE = 50 * 1024 * 1024;
+  const LARGE_BACKUP_SIZE = 1024 * 1024 * 1024;
+  // Fallbacks for files without a size in the listing
+  const CONTENT_JSON_SIZE = 512;
+  const CERT_README_SIZE = 1024;
+  // Files in the config directory returned by the tonies database endpoints
+  const TONIES_DB_FILES = ["tonies.json", "tonies.custom.json", "tonieboxes.json", "tonieboxes.custom.json"];
+
+  // Calls visit(path, file) for every file below dirPath, like downloadDirectoryRecursive()
+  async function walkSpecialDirectory(special, dirPath, visit) {
+    const data = await apiJson(`/api/fileIndexV2?special=${special}&path=${encodeURIComponent("/" + dirPath)}`);
+    for (const file of data.files || []) {
+      if (file.name === "..") continue;
+      const path = joinPath(dirPath, file.name);
+      if (file.isDir) {
+        await walkSpecialDirectory(special, path, visit);
+      } else {
+        visit(path, file);
+      }
+    }
+  }
 
-    btnEstimate.disabled = true;
-    btnEstimate.textContent = "⏳ Berechne...";
-    estimatedSize = 0;
+  function createEstimateRow(label) {
+    return { label: label, count: 0, size: 0, reused: 0, note: "" };
+  }
+
+  function addToEstimate(row, zipPath, remote) {
+    if (Core.isUnchangedInBase(baseManifest, zipPath, remote)) {
+      row.reused++;
+      return;
+    }
+    row.count++;
+    row.size += remote.size || 0;
+  }
 
+  // Adds a directory that runBackup() archives with downloadDirectoryRecursive()
+  async function estimateDirectory(row, special, dirPath, zipPrefix) {
     try {
-      const selectedBoxes = getSelectedBoxes();
-      const options = getBackupOptions();
+      await walkSpecialDirectory(special, dirPath, (path, file) => {
+        const relative = dirPath ? path.slice(dirPath.length + 1) : path;
+        addToEstimate(row, joinPath(zipPrefix, relative), { size: file.size, date: file.date });
+      });
+    } catch (e) {
+      row.note = "nicht verfügbar";
+    }
+    return row;
+  }
 
-      log("Berechne Backup-Größe...");
+  async function textSize(endpoint) {
+    return new Blob([await apiText(endpoint)]).size;
+  }
+
+  function formatDuration(seconds) {
+    if (seconds < 60) return "< 1 Min.";
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} Min.`;
+    return `${Math.floor(minutes / 60)} Std. ${minutes % 60} Min.`;
+  }
+
+  // Walks fileIndexV2 for everything the selected components would archive,
+  // mirroring the paths written by runBackup() (and skipping files an
+  // incremental backup would reuse from the base).
+  async function collectSizeEstimate(options, selectedBoxes) {
+    const rows = [];
+
+    if (options.certs) {
+      const row = createEstimateRow(COMPONENT_LABELS.certs);
+      row.count = 1;
+      row.size = CERT_README_SIZE;
+      try {
+        row.size += (await apiBlob("/api/getFile/ca.der")).size;
+        row.count++;
+      } catch (e) {
+        row.note = "ca.der nicht verfügbar";
+      }
+      rows.push(row);
+    }
+
+    if (options.config) {
+      rows.push(await estimateDirectory(createEstimateRow(COMPONENT_LABELS.config), "config", "", "global/config"));
+    }
+    if (options.firmware) {
+      rows.push(await estimateDirectory(createEstimateRow(COMPONENT_LABELS.firmware), "firmware", "", "global/firmware"));
+    }
 
-      // Estimate settings size (small, ~10KB per overlay)
-      if (options.settings) {
-        estimatedSize += 10 * 1024 * (selectedBoxes.length || 1);
-        log(`Einstellungen: ~${formatBytes(10 * 1024 * (selectedBoxes.length || 1))}`);
+    if (options.toniesDb) {
+      const row = createEstimateRow(COMPONENT_LABELS.toniesDb);
+      // The config listing holds the database files, otherwise they are fetched once
+      const configFiles = new Map();
+      try {
+        const data = await apiJson("/api/fileIndexV2?special=config&path=%2F");
+        (data.files || []).forEach((f) => {
+          if (!f.isDir) configFiles.set(f.name, f);
+        });
+      } catch (e) {
+        // Sizes are fetched from the API below
+      }
+      const endpoints = ["/api/toniesJson", "/api/toniesCustomJson", "/api/tonieboxesJson", "/api/tonieboxesCustomJson"];
+      for (let i = 0; i < TONIES_DB_FILES.length; i++) {
+        const listed = configFiles.get(TONIES_DB_FILES[i]);
+        try {
+          row.size += listed ? listed.size : await textSize(endpoints[i]);
+          row.count++;
+        } catch (e) {
+          // Not every server has the custom files
+        }
       }
+      rows.push(row);
+    }
 
-      // Estimate certificates (small, ~5KB)
-      if (options.certs) {
-        estimatedSize += 5 * 1024;
-        log(`Zertifikate: ~${formatBytes(5 * 1024)}`);
+    if (options.settings) {
+      const row = createEstimateRow(COMPONENT_LABELS.settings);
+      const endpoints = ["/api/settings/getIndex?internal=true"]
+        .concat(selectedBoxes.map((boxId) => `/api/settings/getIndex?overlay=${boxId}&internal=true`));
+      for (const endpoint of endpoints) {
+        try {
+          row.size += await textSize(endpoint);
+          row.count++;
+        } catch (e) {
+          row.note = "teilweise nicht verfügbar";
+        }
       }
+      rows.push(row);
+    }
 
-      // Estimate Tonies DB (medium, ~500KB)
-      if (options.toniesDb) {
-        estimatedSize += 500 * 1024;
-        log(`Tonies-DB: ~${formatBytes(500 * 1024)}`);
+    if (options.content || options.audio) {
+      let tags = [];
+      try {
+        const data = await apiJson("/api/getTagIndex");
+        tags = data && data.tags ? data.tags : (Array.isArray(data) ? data : []);
+      } catch (e) {
+        log(`Konnte Tag-Index nicht laden: ${e.message}`, "warn");
       }
+      const contentListings = new Map();
 
-      // Estimate content metadata and audio from tag index
-      if (options.content || options.audio) {
+      if (options.content) {
+        const meta = createEstimateRow(COMPONENT_LABELS.content);
+        meta.count = 2;
+        meta.size = new Blob([JSON.stringify(tags, null, 2)]).size;
         try {
-          const data = await apiJson("/api/getTagIndex");
-          const tags = data && data.tags ? data.tags : (Array.isArray(data) ? data : []);
-          
-          if (tags.length > 0) {
-            log(`${tags.length} Tags gefunden`);
-            
-            // Content metadata (~2KB per tag for JSON files)
-            if (options.content) {
-              const contentSize = tags.length * 2 * 1024;
-              estimatedSize += contentSize;
-              log(`Content-Metadaten: ~${formatBytes(contentSize)} (${tags.length} Tags)`);
-            }
-            
-            // Audio files - use actual size from tafHeader if available
-            if (options.audio) {
-              let audioSize = 0;
-              let audioCount = 0;
-              for (const tag of tags) {
-                // Check if file exists and has size info
-                // Try different possible field locations
-                let tagSize = 0;
-                if (tag.tafHeader && tag.tafHeader.size) {
-                  tagSize = tag.tafHeader.size;
-                } else if (tag.tafHeader && tag.tafHeader.num_bytes) {
-                  tagSize = tag.tafHeader.num_bytes;
-                } else if (tag.size) {
-                  tagSize = tag.size;
-                } else if (tag.tagInfo && tag.tagInfo.tafHeader && tag.tagInfo.tafHeader.size) {
-                  tagSize = tag.tagInfo.tafHeader.size;
-                }
-                
-                if (tag.exists && tagSize > 0) {
-                  audioSize += tagSize;
-                  audioCount++;
-                } else if (tag.exists) {
-                  // Fallback: estimate ~50MB per existing audio file
-                  audioSize += 50 * 1024 * 1024;
-                  audioCount++;
-                }
-              }
-              if (audioSize > 0) {
-                estimatedSize += audioSize;
-                log(`Audio-Dateien: ${formatBytes(audioSize)} (${audioCount} Dateien)`);
-              } else {
-                log("Keine Audio-Dateien vorhanden", "info");
+          meta.size += await textSize("/api/fileIndex?special=library");
+        } catch (e) {
+          meta.count--;
+        }
+        for (const tag of tags) {
+          const ruid = tag.ruid || tag.uid;
+          if (!ruid) continue;
+          const listing = await Core.listContentDirectory(api, ruid.substring(0, 8).toUpperCase(), contentListings);
+          const json = listing.get(`${ruid.substring(8).toUpperCase()}.JSON`);
+          meta.size += json ? json.size : CONTENT_JSON_SIZE;
+          meta.count++;
+        }
+        rows.push(meta);
+        rows.push(await estimateDirectory(createEstimateRow("🗃️ Cache"), "cache", "", "cache"));
+        rows.push(await estimateDirectory(createEstimateRow("🖼️ Custom-Images"), "www", "custom_img", "custom_img"));
+      }
+
+      if (options.audio) {
+        const row = createEstimateRow(COMPONENT_LABELS.audio);
+        let libraryFiles = null;
+        let unknown = 0;
+        for (const tag of tags) {
+          const ruid = tag.ruid || tag.uid;
+          if (!ruid || !tag.exists) continue;
+          const dir = ruid.substring(0, 8).toUpperCase();
+          const name = ruid.substring(8).toUpperCase();
+          let remote = (await Core.listContentDirectory(api, dir, contentListings)).get(name);
+
+          // Tags linked to the library have no file of their own in content/
+          if (!remote && typeof tag.source === "string" && tag.source.startsWith("lib://")) {
+            if (!libraryFiles) {
+              libraryFiles = new Map();
+              try {
+                await walkSpecialDirectory("library", "", (path, file) => libraryFiles.set(path, file));
+              } catch (e) {
+                log("Library konnte nicht gelistet werden", "warn");
               }
             }
-          } else {
-            log("Keine Tags gefunden", "warn");
+            remote = libraryFiles.get(tag.source.slice("lib://".length).replace(/^\/+/, ""));
           }
-        } catch (e) {
-          // Fallback estimates
-          if (options.content) {
-            estimatedSize += 50 * 1024;
+
+          if (remote) {
+            addToEstimate(row, `content/${ruid}/${ruid}.taf`, { size: remote.size, date: remote.date });
+          } else if (tag.tafHeader && tag.tafHeader.size) {
+            row.count++;
+            row.size += tag.tafHeader.size;
+          } else {
+            row.count++;
+            unknown++;
           }
-          log(`Konnte Tag-Index nicht laden: ${e.message}`, "warn");
         }
+        if (unknown > 0) row.note = `${unknown} ohne Größenangabe`;
+        rows.push(row);
       }
+    }
+
+    return rows;
+  }
+
+  function renderSizeEstimate(rows, total, seconds, measured) {
+    const table = el("sizeTable");
+    table.innerHTML = "";
+
+    const head = table.insertRow();
+    ["Komponente", "Dateien", "Größe"].forEach((text) => {
+      const th = document.createElement("th");
+      th.textContent = text;
+      head.appendChild(th);
+    });
+
+    rows.forEach((r) => {
+      const row = table.insertRow();
+      row.insertCell().textContent = r.note ? `${r.label} (${r.note})` : r.label;
+      row.insertCell().textContent = r.reused > 0 ? `${r.count} (+${r.reused} unverändert)` : String(r.count);
+      row.insertCell().textContent = formatBytes(r.size);
+    });
+
+    const sum = table.insertRow();
+    sum.insertCell().innerHTML = "<strong>Gesamt</strong>";
+    sum.insertCell().textContent = String(rows.reduce((n, r) => n + r.count, 0));
+    sum.insertCell().innerHTML = `<strong>${formatBytes(total)}</strong>`;
+
+    el("sizeDuration").textContent = `Geschätzte Dauer: ${formatDuration(seconds)} bei ${formatBytes(measured.rate)}/s `
+      + (measured.fromBackup ? "(gemessen beim letzten Backup)" : "(Annahme, wird beim ersten größeren Backup gemessen)");
+  }
+
+  async function estimateBackupSize() {
+    const btnEstimate = el("btnEstimate");
+    const btnBackup = el("btnBackup");
+    const sizeInfo = el("sizeInfo");
+    const sizeValue = el("sizeValue");
+    const sizeWarning = el("sizeWarning");
+
+    btnEstimate.disabled = true;
+    btnEstimate.textContent = "⏳ Berechne...";
+    estimatedSize = 0;
+
+    try {
+      log("Berechne Backup-Größe...");
+      const rows = await collectSizeEstimate(getBackupOptions(), getSelectedBoxes());
+      rows.forEach((r) => {
+        estimatedSize += r.size;
+        log(`${r.label}: ${formatBytes(r.size)} (${r.count} Dateien${r.reused ? `, ${r.reused} unverändert` : ""})`);
+      });
+
+      const storedRate = loadSetting("throughput", null);
+      const measured = { rate: storedRate || DEFAULT_THROUGHPUT, fromBackup: !!storedRate };
+      const seconds = estimatedSize / measured.rate;
 
       // Show result
       sizeInfo.classList.add("active");
       sizeValue.textContent = formatBytes(estimatedSize);
+      renderSizeEstimate(rows, estimatedSize, seconds, measured);
 
       // Warning for large backups (> 1GB)
-      if (estimatedSize > 1024 * 1024 * 1024) {
+      if (estimatedSize > LARGE_BACKUP_SIZE) {
+        sizeWarning.textContent = `⚠️ Großes Backup! Der Download dauert voraussichtlich ${formatDuration(seconds)}.`;
         sizeWarning.style.display = "block";
         sizeInfo.classList.add("warning");
       } else {
@@ -247,7 +437,7 @@
       }
 
       btnBackup.disabled = false;
-      log(`Geschätzte Größe: ${formatBytes(estimatedSize)}`, "success");
+      log(`Geschätzte Größe: ${formatBytes(estimatedSize)}, Dauer ca. ${formatDuration(seconds)}`, "success");
 
     } catch (error) {
       log(`Fehler bei Größenschätzung: ${error.message}`, "error");
@@ -277,456 +467,888 @@
       content: el("chkContent").checked,
       audio: el("chkAudio").checked,
       toniesDb: el("chkToniesDb").checked,
+      config: el("chkConfig").checked,
+      firmware: el("chkFirmware").checked,
     };
   }
 
   // ============================================================
-  // DIRECTORY DOWNLOAD HELPER
+  // INCREMENTAL BACKUP
   // ============================================================
-  async function downloadDirectoryRecursive(fileIndexUrl, basePath, zipFolder) {
+  async function handleBaseBackupFile(file) {
+    const baseInfo = el("baseBackupInfo");
     try {
-      const data = await apiJson(fileIndexUrl);
-      const files = data.files || [];
-
-      for (const file of files) {
-        const fileName = file.name;
-        const filePath = file.path;
-        
-        if (file.isDirectory) {
-          // Recursively download subdirectory
-          const subFolder = zipFolder.folder(fileName);
-          const subPath = fileIndexUrl.includes("?") 
-            ? fileIndexUrl.replace(/path=[^&]*/, `path=/${filePath}`)
-            : `${fileIndexUrl}?path=/${filePath}`;
-          await downloadDirectoryRecursive(subPath, filePath, subFolder);
-        } else {
-          // Download file
-          try {
-            const specialMatch = fileIndexUrl.match(/special=([^&]*)/);
-            const special = specialMatch ? specialMatch[1] : "content";
-            
-            // Remove special prefix from path if present (fileIndex returns "library/file.taf" for special=library)
-            let relativePath = filePath;
-            if (relativePath.startsWith(special + '/')) {
-              relativePath = relativePath.substring(special.length + 1);
-            }
-            if (relativePath.startsWith('/')) {
-              relativePath = relativePath.substring(1);
-            }
-            
-            const fileUrl = `/api/getFile/${special}/${relativePath}`;
-            const fileBlob = await apiBlob(fileUrl);
-            zipFolder.file(fileName, fileBlob);
-            log(`  ${fileName} (${formatBytes(fileBlob.size)})`);
-          } catch (e) {
-            log(`Fehler beim Download: ${fileName}`, "warn");
-          }
+      log(`Lade Basis-Backup: ${file.name}`);
+      const manifest = await Core.readBaseManifest(file.name, file);
+      baseManifest = manifest;
+      const fileCount = Object.keys(manifest.files).length;
+      baseInfo.textContent = `Basis: ${getBackupId(manifest)} (${fileCount} Dateien)`;
+      el("btnClearBase").style.display = "";
+      log(`Basis-Backup geladen: ${fileCount} Dateien im Index`, "success");
+    } catch (error) {
+      log(`Fehler beim Laden des Basis-Backups: ${error.message}`, "error");
+      clearBaseBackup();
+    }
+  }
+
+  function clearBaseBackup() {
+    baseManifest = null;
+    el("baseBackupFile").value = "";
+    el("baseBackupInfo").textContent = "Kein Basis-Backup (Vollbackup)";
+    el("btnClearBase").style.display = "none";
+  }
+
+  // ============================================================
+  // ARCHIVE SINKS
+  // ============================================================
+  // Blob parts are flushed in chunks of this size in the download fallback
+  const STREAM_CHUNK_SIZE = 16 * 1024 * 1024;
+
+  function triggerDownload(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  // Fallback without File System Access: chunks are collected into Blob parts
+  // (which the browser may keep on disk) and downloaded at the end.
+  function createChunkedBlobSink(fileName) {
+    let parts = [];
+    let pending = [];
+    let pendingSize = 0;
+
+    const flush = () => {
+      if (pending.length === 0) return;
+      parts.push(new Blob(pending));
+      pending = [];
+      pendingSize = 0;
+    };
+
+    return {
+      kind: "download",
+      name: fileName,
+      write(chunk) {
+        pending.push(chunk);
+        pendingSize += chunk.length;
+        if (pendingSize >= STREAM_CHUNK_SIZE) flush();
+      },
+      async truncate(size) {
+        flush();
+        const kept = [];
+        let total = 0;
+        for (const part of parts) {
+          if (total >= size) break;
+          kept.push(total + part.size <= size ? part : part.slice(0, size - total));
+          total += part.size;
+        }
+        parts = kept;
+      },
+      async close() {
+        flush();
+        triggerDownload(new Blob(parts, { type: "application/zip" }), fileName);
+        parts.length = 0;
+      },
+      async abort() {
+        parts.length = 0;
+        pending = [];
+      },
+    };
+  }
+
+  // Sink on a File System Access file. Data only reaches the file on close()
+  // or commit(); commit() keeps the file open for further writes.
+  function createFileSink(handle, writable, position) {
+    return {
+      kind: "file",
+      name: handle.name,
+      handle: handle,
+      write: (chunk) => {
+        position += chunk.length;
+        return writable.write(chunk);
+      },
+      async truncate(size) {
+        await writable.truncate(size);
+        position = size;
+      },
+      async commit() {
+        await writable.close();
+        writable = await handle.createWritable({ keepExistingData: true });
+        await writable.seek(position);
+      },
+      close: () => writable.close(),
+      abort: () => writable.abort(),
+    };
+  }
+
+  // Must be called before the first await of a click handler (user activation)
+  async function openArchiveSink(fileName) {
+    if (typeof window.showSaveFilePicker === "function") {
+      try {
+        const handle = await window.showSaveFilePicker({
+          suggestedName: fileName,
+          types: [{ description: "ZIP-Archiv", accept: { "application/zip": [".zip"] } }],
+        });
+        return createFileSink(handle, await handle.createWritable(), 0);
+      } catch (e) {
+        if (e.name === "AbortError") {
+          throw new Error("Speichern abgebrochen");
         }
+        log(`Direktes Speichern nicht möglich (${e.message}) - nutze Download`, "warn");
       }
-    } catch (e) {
-      log(`Fehler beim Listen von ${basePath}: ${e.message}`, "warn");
     }
+    return createChunkedBlobSink(fileName);
+  }
+
+  // ============================================================
+  // ENCRYPTION
+  // ============================================================
+  // Reads the encryption form; null when disabled, throws on invalid input
+  function getEncryptionSettings() {
+    if (!el("chkEncrypt").checked) return null;
+    const password = el("encryptPassword").value;
+    Core.checkPassword(password);
+    if (password !== el("encryptPasswordRepeat").value) {
+      throw new Error("Die Passwörter stimmen nicht überein");
+    }
+    return { password: password, mode: el("encryptMode").value };
   }
 
   // ============================================================
   // BACKUP CREATION
   // ============================================================
   async function createBackup() {
+    let encryption;
+    try {
+      encryption = getEncryptionSettings();
+    } catch (e) {
+      log(e.message, "error");
+      return;
+    }
+    if (!confirmReplaceCheckpoint()) return;
+    await runBackup({
+      options: getBackupOptions(),
+      selectedBoxes: getSelectedBoxes(),
+      base: baseManifest,
+      encryption: encryption,
+      openSink: openArchiveSink,
+    });
+  }
+
+  // Runs one backup job and records the per-component result in the status.
+  // job: { options, selectedBoxes, base, encryption, resume, openSink(fileName) }
+  // resume is the checkpoint of an interrupted run that is continued.
+  async function runBackup(job) {
     const btnBackup = el("btnBackup");
     const btnEstimate = el("btnEstimate");
 
+    if (backupRunning) {
+      log("Es läuft bereits ein Backup", "warn");
+      return null;
+    }
+    backupRunning = true;
+
     btnBackup.disabled = true;
     btnEstimate.disabled = true;
     btnBackup.textContent = "⏳ Backup läuft...";
 
-    const zip = new JSZip();
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
-    const backupName = `teddycloud-backup-${timestamp}`;
-
-    const selectedBoxes = getSelectedBoxes();
-    const options = getBackupOptions();
-
-    let totalSteps = 0;
-    let currentStep = 0;
-
-    // Calculate total steps
-    if (options.certs) totalSteps += 5;  // ca.der, client.der, private.der, config/, firmware/
-    if (options.toniesDb) totalSteps += 4;
-    if (options.settings) totalSteps += 1 + selectedBoxes.length;
-    if (options.content) totalSteps += 3;  // content/, library/, cache/
-    if (options.audio) totalSteps += 1;
-
-    const updateProgress = (status) => {
-      currentStep++;
-      const percent = (currentStep / totalSteps) * 100;
-      setProgress("backupProgress", "backupProgressFill", "backupProgressText", percent, "backupStatus", status);
-    };
+    const ctx = Core.createBackupContext(api, Object.assign({ boxes: tonieboxes }, job));
+    const backupName = ctx.archiveId;
+    let succeeded = false;
+    let sink = null;
 
     try {
-      log(`Starte Backup: ${backupName}`);
-
-      // Create manifest
-      const manifest = {
-        version: PLUGIN_VERSION,
-        timestamp: new Date().toISOString(),
-        boxes: [],
-        components: options,
-      };
-
-      // ========== GLOBAL DATA ==========
-      const globalFolder = zip.folder("global");
-
-      // Certificates - only ca.der is available via API, document manual backup for others
-      if (options.certs) {
-        log("Sichere Zertifikate...");
-        const certsFolder = globalFolder.folder("certs");
-        
-        let certCount = 0;
-        
-        // Try to download ca.der (the only cert available via API)
-        try {
-          const caCert = await apiBlob("/api/getFile/ca.der");
-          certsFolder.file("ca.der", caCert);
-          certCount++;
-          log("ca.der gesichert");
-        } catch (e) {
-          log("ca.der nicht verfügbar", "warn");
-        }
-        
-        // Add README with manual backup instructions for other certificates
-        const certReadme = `TeddyCloud Zertifikate Backup
-========================================
-
-Dieses Backup enthält nur die über die API verfügbaren Zertifikate.
-
-WICHTIG: Die folgenden Zertifikate müssen MANUELL gesichert werden:
-
-Server-Zertifikate (Pfad auf Server: /teddycloud/certs/server/):
-- ca-key.pem
-- ca-root.pem  
-- ca.der
-- teddy-cert.pem
-- teddy-key.pem
-
-Client-Zertifikate (Pfad auf Server: /teddycloud/certs/client/):
-- ca.der
-- client.der
-- private.der
-- 48ca43410318
-
-Diese Dateien sind WICHTIG für:
-- Wiederherstellung des TeddyCloud-Servers
-- Verbindung mit Tonieboxen
-- Custom Tonie Content
-
-Sicherung via SFTP/SSH:
-  sftp root@192.168.0.102
-  get -r /teddycloud/certs/
-
-Backup-Datum: ${new Date().toISOString()}
-`;
-        
-        certsFolder.file("README_CERTS_MANUAL_BACKUP.txt", certReadme);
-        
-        updateProgress(`Zertifikate: ${certCount} Datei(en) gesichert (Hinweis: Weitere Zertifikate manuell sichern!)`);
-        log("⚠️ Wichtig: Server- und Client-Zertifikate müssen manuell per SFTP gesichert werden!", "warn");
-      }
-
-      // Download config directory recursively
-      if (options.config) {
-        log("Sichere Config-Verzeichnis...");
-        try {
-          await downloadDirectoryRecursive("/api/fileIndex?special=config&path=/", "config", globalFolder.folder("config"));
-          updateProgress("Config-Verzeichnis");
-        } catch (e) {
-          log("Config-Verzeichnis nicht verfügbar", "warn");
-          updateProgress("Config-Verzeichnis (nicht verfügbar)");
-        }
+      log(job.resume ? `Setze Backup fort: ${backupName}` : `Starte Backup: ${backupName}`);
+      sink = await job.openSink(`${backupName}.zip`);
+      const startedAt = Date.now();
+      if (sink.kind === "file") {
+        log("Archiv wird direkt auf die Festplatte geschrieben");
+      } else {
+        log("Archiv wird in Blöcken gepuffert und am Ende heruntergeladen");
+        log("Ohne direktes Speichern lässt sich ein unterbrochenes Backup nur in diesem Tab fortsetzen - Tab bis zum Download geöffnet lassen", "warn");
       }
-
-      // Firmware directory
-      if (options.firmware) {
-          updateProgress("Config-Verzeichnis (nicht verfügbar)");
-        }
-
-      // Firmware directory
-      if (options.firmware) {
-        log("Sichere Firmware-Verzeichnis...");
-        try {
-          await downloadDirectoryRecursive("/api/fileIndex?special=firmware&path=/", "firmware", globalFolder.folder("firmware"));
-          updateProgress("Firmware-Verzeichnis");
-        } catch (e) {
-          log("Firmware-Verzeichnis nicht verfügbar", "warn");
-          updateProgress("Firmware-Verzeichnis (nicht verfügbar)");
-        }
+      if (job.resume) {
+        log(`${job.resume.writer.entries.length} Einträge aus dem unterbrochenen Lauf werden übernommen`);
+      } else {
+        // Callers only start a new run once replacing the interrupted one is agreed
+        await dropCheckpoint();
       }
 
-      // Tonies Database
-      if (options.toniesDb) {
-        log("Sichere Tonies-Datenbank...");
-        try {
-          const toniesJson = await apiText("/api/toniesJson");
-          globalFolder.file("tonies.json", toniesJson);
-          updateProgress("Tonies-Datenbank");
-        } catch (e) {
-          log("tonies.json nicht verfügbar", "warn");
-          updateProgress("Tonies-Datenbank (nicht verfügbar)");
-        }
-
-        try {
-          const toniesCustom = await apiText("/api/toniesCustomJson");
-          globalFolder.file("tonies-custom.json", toniesCustom);
-          updateProgress("Tonies-Custom");
-        } catch (e) {
-          updateProgress("Tonies-Custom (nicht verfügbar)");
-        }
-
-        try {
-          const tonieboxJson = await apiText("/api/tonieboxesJson");
-          globalFolder.file("tonieboxes.json", tonieboxJson);
-          updateProgress("Toniebox-Modelle");
-        } catch (e) {
-          updateProgress("Toniebox-Modelle (nicht verfügbar)");
-        }
-
-        try {
-          const tonieboxCustom = await apiText("/api/tonieboxesCustomJson");
-          globalFolder.file("tonieboxes-custom.json", tonieboxCustom);
-          updateProgress("Toniebox-Custom");
-        } catch (e) {
-          updateProgress("Toniebox-Custom (nicht verfügbar)");
-        }
+      const archiveSize = await Core.writeBackup(ctx, sink, {
+        progress: (percent, status) => {
+          setProgress("backupProgress", "backupProgressFill", "backupProgressText", percent, "backupStatus", status);
+        },
+        onFileStored: maybeSaveCheckpoint,
+      });
+      succeeded = true;
+      pausedRun = null;
+      await clearCheckpoint();
+      if (ctx.audit) {
+        renderAuditReport(ctx.audit);
       }
 
-      // Global settings
-      if (options.settings) {
-        log("Sichere globale Einstellungen...");
-        try {
-          const globalSettings = await apiText("/api/settings/getIndex?internal=true");
-          globalFolder.file("settings.json", globalSettings);
-          updateProgress("Globale Einstellungen");
-        } catch (e) {
-          log("Globale Einstellungen nicht verfügbar", "warn");
-          updateProgress("Globale Einstellungen (nicht verfügbar)");
-        }
+      // Throughput for the download time of the next size estimate
+      if (archiveSize >= THROUGHPUT_MIN_SIZE) {
+        saveSetting("throughput", Math.round(archiveSize / Math.max(1, (Date.now() - startedAt) / 1000)));
       }
 
-      // ========== PER-BOX DATA ==========
-      for (const boxId of selectedBoxes) {
-        const box = tonieboxes.find((b) => (b.ID || b.id || b.boxId) === boxId);
-        const boxName = box ? (box.boxName || box.name || boxId) : boxId;
-        const safeBoxName = boxName.replace(/[^a-zA-Z0-9_-]/g, "_");
-        const boxFolder = zip.folder(`boxes/${safeBoxName}`);
-
-        manifest.boxes.push({
-          id: boxId,
-          name: boxName,
-          safeName: safeBoxName,
-        });
-
-        log(`Sichere Box: ${boxName}`);
-
-        // Box settings
-        if (options.settings) {
+    } catch (error) {
+      if (error.interrupted && ctx.out) {
+        log(`Backup unterbrochen: ${error.message}`, "error");
+        await pauseBackup(ctx);
+      } else {
+        log(`Backup fehlgeschlagen: ${error.message}`, "error");
+        if (sink) {
           try {
-            const boxSettings = await apiText(`/api/settings/getIndex?overlay=${boxId}&internal=true`);
-            boxFolder.file("settings.json", boxSettings);
-            updateProgress(`${boxName}: Einstellungen`);
-          } catch (e) {
-            log(`Einstellungen für ${boxName} nicht verfügbar`, "warn");
-            updateProgress(`${boxName}: Einstellungen (nicht verfügbar)`);
-          }
+            await sink.abort();
+          } catch (_) {}
         }
-
-        // Box overlay info
-        boxFolder.file("overlay-info.json", JSON.stringify({
-          boxId: boxId,
-          boxName: boxName,
-          backupDate: new Date().toISOString(),
-        }, null, 2));
       }
+    } finally {
+      backupRunning = false;
+      btnBackup.disabled = false;
+      btnEstimate.disabled = false;
+      btnBackup.textContent = "💾 Backup starten";
+      setTimeout(() => hideProgress("backupProgress"), 3000);
+      renderResumeInfo();
+    }
 
-      // ========== CONTENT & AUDIO ==========
-      if (options.content || options.audio) {
-        log("Sichere Content-Daten...");
-
-        // Save library metadata (TAF files are virtual catalog, actual files are in content/)
-        if (options.content) {
-          log("Sichere Library-Metadaten...");
-          try {
-            const libraryIndex = await apiJson("/api/fileIndex?special=library");
-            const libraryFolder = zip.folder("library");
-            libraryFolder.file("_metadata.json", JSON.stringify(libraryIndex, null, 2));
-            const fileCount = libraryIndex.files?.length || 0;
-            log(`Library-Metadaten gesichert (${fileCount} Einträge)`);
-            updateProgress("Library-Metadaten");
-          } catch (e) {
-            log(`Fehler beim Sichern der Library-Metadaten: ${e.message}`, "warn");
-            updateProgress("Library-Metadaten (nicht verfügbar)");
-          }
-
-          // Download cache directory
-          log("Sichere Cache-Verzeichnis...");
-          try {
-            await downloadDirectoryRecursive("/api/fileIndex?special=cache&path=/", "cache", zip.folder("cache"));
-            updateProgress("Cache-Verzeichnis");
-          } catch (e) {
-            log("Cache-Verzeichnis nicht verfügbar", "warn");
-            updateProgress("Cache-Verzeichnis (nicht verfügbar)");
-          }
-
-          // Download custom images
-          log("Sichere Custom-Images...");
-          try {
-            await downloadDirectoryRecursive("/api/fileIndex?special=www&path=/custom_img", "custom_img", zip.folder("custom_img"));
-            updateProgress("Custom-Images");
-          } catch (e) {
-            log("Custom-Images nicht verfügbar", "warn");
-            updateProgress("Custom-Images (nicht verfügbar)");
-          }
-        }
-
-        updateProgress("Content-Daten");
+    const result = { name: `${backupName}.zip`, ok: succeeded, options: job.options, failed: ctx.failed };
+    recordBackupResult(result);
+    return result;
+  }
 
-        try {
-          // Get all tags
-          const data = await apiJson("/api/getTagIndex");
-          const tags = data && data.tags ? data.tags : (Array.isArray(data) ? data : []);
-          const contentFolder = zip.folder("content");
-
-          if (tags.length > 0) {
-            // Save tag index
-            contentFolder.file("tag-index.json", JSON.stringify(tags, null, 2));
-
-            // Process each tag
-            let tagCount = 0;
-            for (const tag of tags) {
-              const ruid = tag.ruid || tag.uid;
-              if (!ruid) continue;
-
-              // Content metadata
-              if (options.content) {
-                try {
-                  const contentJson = await apiText(`/content/json/get/${ruid}`);
-                  contentFolder.file(`${ruid}/content.json`, contentJson);
-                } catch (e) {
-                  // Content JSON may not exist for all tags
-                }
-              }
+  // ============================================================
+  // AUDIT
+  // ============================================================
+  const AUDIT_SECTIONS = [
+    {
+      key: "danglingTags",
+      title: "🔗 Tags mit fehlender Library-Datei",
+      action: "Quelle entfernen",
+      columns: ["RUID", "Titel", "Quelle"],
+      cells: (t) => [t.ruid, t.title || "–", t.source],
+    },
+    {
+      key: "unreferencedLibrary",
+      title: "📚 Library-Dateien ohne Tag",
+      action: "Datei löschen",
+      columns: ["Datei", "Größe"],
+      cells: (f) => [`lib://${f.path}`, formatBytes(f.size)],
+    },
+    {
+      key: "orphanedContent",
+      title: "📁 Content-Ordner ohne Tag",
+      action: "Ordner löschen",
+      columns: ["Ordner", "Dateien", "Größe"],
+      cells: (d) => [`content/${d.dir}`, String(d.files.length), formatBytes(d.size)],
+    },
+  ];
+
+  // Report of the last backup, cleanup works on its findings
+  let auditReport = null;
+
+  function renderAuditReport(report) {
+    auditReport = report;
+    const container = el("auditContainer");
+    container.innerHTML = "";
+
+    const count = Core.getAuditFindingCount(report);
+    el("auditSummary").textContent = count === 0
+      ? `✅ ${report.tags} Tags und ${report.libraryFiles} Library-Dateien ohne Auffälligkeiten`
+      : `⚠️ ${count} Auffälligkeiten bei ${report.tags} Tags und ${report.libraryFiles} Library-Dateien`;
+    el("auditActions").style.display = count === 0 ? "none" : "";
+
+    for (const section of AUDIT_SECTIONS) {
+      const items = report[section.key];
+      if (items.length === 0) continue;
+
+      const heading = document.createElement("div");
+      heading.className = "preview-heading";
+      heading.textContent = `${section.title} (${items.length})`;
+      container.appendChild(heading);
+
+      const table = document.createElement("table");
+      table.className = "diff-table";
+      const head = table.insertRow();
+      [section.action].concat(section.columns).forEach((text) => {
+        const th = document.createElement("th");
+        th.textContent = text;
+        head.appendChild(th);
+      });
+      items.forEach((item, i) => {
+        const row = table.insertRow();
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.dataset.section = section.key;
+        checkbox.dataset.index = String(i);
+        row.insertCell().appendChild(checkbox);
+        section.cells(item).forEach((text) => {
+          row.insertCell().textContent = text;
+        });
+      });
+      container.appendChild(table);
+    }
 
-              // Audio file
-              if (options.audio && tag.exists) {
-                try {
-                  // Use audioUrl from tag info if available, or construct from RUID
-                  let audioUrl = tag.audioUrl;
-                  if (!audioUrl && ruid) {
-                    // Construct path from RUID: first 8 chars = dir, rest = file
-                    const dir = ruid.substring(0, 8).toUpperCase();
-                    const file = ruid.substring(8).toUpperCase();
-                    audioUrl = `/content/${dir}/${file}?ogg=true`;
-                  }
-                  if (audioUrl) {
-                    const audioBlob = await apiBlob(audioUrl);
-                    const fileName = `${ruid}.taf`;
-                    contentFolder.file(`${ruid}/${fileName}`, audioBlob);
-                    log(`Audio: ${fileName} (${formatBytes(audioBlob.size)})`);
-                  }
-                } catch (e) {
-                  log(`Audio für ${ruid} nicht verfügbar`, "warn");
-                }
-              }
+    updateAuditCleanupButton();
+    el("auditInfo").classList.add("active");
+  }
 
-              tagCount++;
-              // Update progress periodically
-              if (tagCount % 10 === 0) {
-                setProgress("backupProgress", "backupProgressFill", "backupProgressText",
-                  50 + (tagCount / tags.length) * 40,
-                  "backupStatus", `Content: ${tagCount}/${tags.length} Tags`);
-              }
-            }
+  function getSelectedAuditFindings() {
+    const findings = {};
+    AUDIT_SECTIONS.forEach((section) => (findings[section.key] = []));
+    el("auditContainer").querySelectorAll("input[type=checkbox]:checked").forEach((checkbox) => {
+      findings[checkbox.dataset.section].push(auditReport[checkbox.dataset.section][Number(checkbox.dataset.index)]);
+    });
+    return findings;
+  }
 
-            log(`${tagCount} Tags verarbeitet`, "success");
-          } else {
-            log("Keine Tags gefunden", "warn");
-          }
-        } catch (e) {
-          log(`Fehler beim Content-Backup: ${e.message}`, "error");
-        }
-      }
+  function updateAuditCleanupButton() {
+    el("btnAuditCleanup").disabled = el("auditContainer").querySelectorAll("input[type=checkbox]:checked").length === 0;
+  }
 
-      // Save manifest
-      zip.file("manifest.json", JSON.stringify(manifest, null, 2));
-
-      // Generate ZIP
-      log("Erstelle ZIP-Archiv...");
-      setProgress("backupProgress", "backupProgressFill", "backupProgressText", 95, "backupStatus", "ZIP wird erstellt...");
-
-      const blob = await zip.generateAsync({
-        type: "blob",
-        compression: "DEFLATE",
-        compressionOptions: { level: 6 },
-      }, (metadata) => {
-        setProgress("backupProgress", "backupProgressFill", "backupProgressText",
-          95 + (metadata.percent * 0.05),
-          "backupStatus", `ZIP: ${Math.round(metadata.percent)}%`);
+  async function cleanupAudit() {
+    if (!auditReport) return;
+    const findings = getSelectedAuditFindings();
+    const lines = [
+      [findings.danglingTags.length, "Tags verlieren ihre Quelle"],
+      [findings.unreferencedLibrary.length, "Library-Dateien werden gelöscht"],
+      [findings.orphanedContent.length, "Content-Ordner werden mit allen Dateien gelöscht"],
+    ].filter(([count]) => count > 0).map(([count, text]) => `• ${count} ${text}`);
+    if (!confirm(`⚠️ Ausgewählte Funde bereinigen?\n\n${lines.join("\n")}\n\n`
+      + `Gelöschte Dateien lassen sich nur aus einem Backup wiederherstellen. Jeder Fund wird vorher `
+      + `noch einmal mit dem Server abgeglichen; was inzwischen verwendet wird, bleibt erhalten.`)) {
+      return;
+    }
+    const btn = el("btnAuditCleanup");
+    btn.disabled = true;
+    btn.textContent = "⏳ Bereinige...";
+    try {
+      const result = await Core.cleanupAuditFindings(api, findings, (done, total, label) => {
+        setProgress("backupProgress", "backupProgressFill", "backupProgressText", (done / total) * 100, "backupStatus", `Bereinige ${label}`);
       });
-
-      // Download
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `${backupName}.zip`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-
-      setProgress("backupProgress", "backupProgressFill", "backupProgressText", 100, "backupStatus", "Fertig!");
-      log(`Backup erstellt: ${backupName}.zip (${formatBytes(blob.size)})`, "success");
-
+      result.skipped.forEach((f) => log(`  Übersprungen: ${f.label} (${f.reason})`, "warn"));
+      result.failed.forEach((f) => log(`  Fehlgeschlagen: ${f.label} (${f.error})`, "error"));
+      log(`Bereinigung: ${result.cleaned} erledigt, ${result.skipped.length} übersprungen, ${result.failed.length} fehlgeschlagen`,
+        result.failed.length > 0 ? "warn" : "success");
+
+      // Cleaned and outdated findings disappear from the report, failed ones stay selectable
+      const failed = new Set(result.failed.map((f) => f.label));
+      const remaining = Object.assign({}, auditReport);
+      remaining.danglingTags = auditReport.danglingTags.filter((t) => !findings.danglingTags.includes(t) || failed.has(`Tag ${t.ruid}`));
+      remaining.unreferencedLibrary = auditReport.unreferencedLibrary.filter((f) => !findings.unreferencedLibrary.includes(f) || failed.has(`lib://${f.path}`));
+      remaining.orphanedContent = auditReport.orphanedContent.filter((d) => !findings.orphanedContent.includes(d) || failed.has(`content/${d.dir}`));
+      renderAuditReport(remaining);
     } catch (error) {
-      log(`Backup fehlgeschlagen: ${error.message}`, "error");
+      log(`Bereinigung fehlgeschlagen: ${error.message}`, "error");
     } finally {
-      btnBackup.disabled = false;
-      btnEstimate.disabled = false;
-      btnBackup.textContent = "💾 Backup starten";
+      btn.textContent = "🧹 Ausgewählte bereinigen";
+      updateAuditCleanupButton();
       setTimeout(() => hideProgress("backupProgress"), 3000);
     }
   }
 
   // ============================================================
-  // RESTORE - FILE PARSING
+  // RESUMABLE BACKUPS
   // ============================================================
-  async function handleRestoreFile(file) {
-    const restoreInfo = el("restoreInfo");
-    const restoreDetails = el("restoreDetails");
-    const restoreMapping = el("restoreMapping");
-    const mappingContainer = el("mappingContainer");
-    const btnRestore = el("btnRestore");
-
-    el("selectedFileName").textContent = file.name;
+  // Progress is committed to disk after this time or this many archived
+  // bytes, whichever comes first. Committing makes the browser copy the
+  // partial archive, so it is not done after every file.
+  const CHECKPOINT_INTERVAL = 2 * 60 * 1000;
+  const CHECKPOINT_BYTES = 256 * 1024 * 1024;
+  const CHECKPOINT_KEY = "checkpoint";
+
+  function buildCheckpoint(ctx) {
+    return {
+      name: ctx.archiveId,
+      time: new Date().toISOString(),
+      options: ctx.job.options,
+      selectedBoxes: ctx.job.selectedBoxes,
+      base: ctx.base,
+      handle: ctx.sink.handle || null,
+      writer: ctx.out.state(),
+      files: Object.assign({}, ctx.files),
+      encryption: ctx.encryption
+        ? Object.assign({}, ctx.encryption.info, { entries: ctx.encryption.info.entries.slice() })
+        : null,
+    };
+  }
 
+  // Without IndexedDB backups still work, they just cannot be resumed
+  async function clearCheckpoint() {
     try {
-      log(`Lade Backup-Datei: ${file.name}`);
-      currentZip = await JSZip.loadAsync(file);
-
-      // Parse manifest
-      const manifestFile = currentZip.file("manifest.json");
-      if (!manifestFile) {
-        throw new Error("Keine manifest.json gefunden - ungültiges Backup");
+      await idbSet(CHECKPOINT_KEY, null);
+    } catch (e) {
+      // Nothing to clear
+    }
+  }
+
+  // Aborts a run paused in memory and forgets the stored checkpoint
+  async function dropCheckpoint() {
+    if (pausedRun) {
+      try {
+        await pausedRun.sink.abort();
+      } catch (_) {}
+      pausedRun = null;
+    }
+    await clearCheckpoint();
+  }
+
+  // A new run replaces an interrupted one only after the user agreed
+  function confirmReplaceCheckpoint() {
+    return !resumableCheckpoint || confirm(`⚠️ Das unterbrochene Backup ${resumableCheckpoint.name}.zip kann noch fortgesetzt werden.\n\n`
+      + "Neues Backup starten und das unterbrochene verwerfen?");
+  }
+
+  // Periodically commits the archive of a file sink, so even a closed tab can resume
+  async function maybeSaveCheckpoint(ctx) {
+    if (!ctx.sink.commit) return;
+    const written = ctx.out.written();
+    if (Date.now() - ctx.lastCheckpoint < CHECKPOINT_INTERVAL && written - ctx.lastCheckpointOffset < CHECKPOINT_BYTES) return;
+    ctx.lastCheckpoint = Date.now();
+    ctx.lastCheckpointOffset = written;
+    await ctx.sink.commit();
+    try {
+      await idbSet(CHECKPOINT_KEY, buildCheckpoint(ctx));
+      log(`Zwischenstand gesichert (${Object.keys(ctx.files).length} Dateien)`);
+    } catch (e) {
+      log(`Zwischenstand konnte nicht gespeichert werden: ${e.message}`, "warn");
+    }
+  }
+
+  // Keeps everything archived so far once the retries for a file ran out
+  async function pauseBackup(ctx) {
+    const checkpoint = buildCheckpoint(ctx);
+    try {
+      if (ctx.sink.kind === "file") {
+        await ctx.sink.close();
+        await idbSet(CHECKPOINT_KEY, checkpoint);
+        log(`Teil-Archiv gespeichert (${checkpoint.writer.entries.length} Einträge) - "Backup fortsetzen" macht dort weiter`, "warn");
+      } else {
+        pausedRun = { checkpoint: checkpoint, sink: ctx.sink };
+        log(`${checkpoint.writer.entries.length} Einträge im Speicher gehalten - "Backup fortsetzen" in diesem Tab macht dort weiter`, "warn");
       }
+    } catch (e) {
+      log(`Zwischenstand konnte nicht gespeichert werden: ${e.message}`, "error");
+    }
+  }
 
-      const manifest = JSON.parse(await manifestFile.async("text"));
-      parsedBackup = {
-        manifest: manifest,
-        zip: currentZip,
-      };
+  async function reopenCheckpointSink(checkpoint) {
+    if (pausedRun && pausedRun.checkpoint === checkpoint) {
+      return pausedRun.sink;
+    }
+    const handle = checkpoint.handle;
+    if (!handle) {
+      throw new Error("Das Archiv wurde nur im Speicher gepuffert und ist nach dem Neuladen verloren");
+    }
+    if (await handle.requestPermission({ mode: "readwrite" }) !== "granted") {
+      throw new Error(`Kein Schreibzugriff auf ${handle.name}`);
+    }
+    const offset = checkpoint.writer.offset;
+    if ((await handle.getFile()).size < offset) {
+      throw new Error(`${handle.name} ist kürzer als beim Unterbrechen - bitte ein neues Backup starten`);
+    }
+    const writable = await handle.createWritable({ keepExistingData: true });
+    await writable.truncate(offset);
+    await writable.seek(offset);
+    return createFileSink(handle, writable, offset);
+  }
+
+  async function resumeBackup() {
+    const checkpoint = pausedRun ? pausedRun.checkpoint : await idbGet(CHECKPOINT_KEY);
+    if (!checkpoint) {
+      log("Kein unterbrochenes Backup vorhanden", "warn");
+      renderResumeInfo();
+      return;
+    }
+
+    let encryption = null;
+    if (checkpoint.encryption) {
+      try {
+        encryption = getEncryptionSettings();
+      } catch (e) {
+        log(e.message, "error");
+        return;
+      }
+      if (!encryption) {
+        log("Das unterbrochene Backup ist verschlüsselt - bitte Verschlüsselung aktivieren und dasselbe Passwort eingeben", "error");
+        return;
+      }
+    }
+
+    await runBackup({
+      options: checkpoint.options,
+      selectedBoxes: checkpoint.selectedBoxes,
+      base: checkpoint.base,
+      encryption: encryption,
+      resume: checkpoint,
+      openSink: () => reopenCheckpointSink(checkpoint),
+    });
+  }
+
+  async function discardCheckpoint() {
+    await dropCheckpoint();
+    log("Unterbrochenes Backup verworfen");
+    renderResumeInfo();
+  }
+
+  async function renderResumeInfo() {
+    let checkpoint = pausedRun ? pausedRun.checkpoint : null;
+    if (!checkpoint) {
+      try {
+        checkpoint = await idbGet(CHECKPOINT_KEY);
+      } catch (e) {
+        checkpoint = null;
+      }
+    }
+    resumableCheckpoint = checkpoint || null;
+    el("resumeInfo").classList.toggle("active", !!checkpoint);
+    if (checkpoint) {
+      el("resumeDetails").textContent = `${checkpoint.name}.zip, unterbrochen am ${new Date(checkpoint.time).toLocaleString("de-DE")}: `
+        + `${checkpoint.writer.entries.length} Einträge (${formatBytes(checkpoint.writer.offset)}) bereits gesichert`;
+    }
+  }
+
+  // ============================================================
+  // SCHEDULED BACKUPS
+  // ============================================================
+  const SCHEDULE_HOURS = { daily: 24, weekly: 24 * 7 };
+  const SCHEDULE_CHECK_INTERVAL = 60 * 1000;
+
+  const DEFAULT_SCHEDULE = {
+    enabled: false,
+    interval: "daily",
+    customHours: 12,
+    keepLast: 7,
+    keepWeeks: 4,
+    options: null,
+    boxes: ["__all__"],
+    encrypt: false,
+    encryptMode: "sensitive",
+    lastRun: null,
+  };
+
+  function getSchedule() {
+    return Object.assign({}, DEFAULT_SCHEDULE, loadSetting("schedule", {}));
+  }
+
+  function getScheduleIntervalMs(schedule) {
+    const hours = schedule.interval === "custom"
+      ? Math.max(1, Number(schedule.customHours) || 1)
+      : SCHEDULE_HOURS[schedule.interval];
+    return hours * 60 * 60 * 1000;
+  }
+
+  function recordBackupResult(result) {
+    const status = loadSetting("status", { components: {}, lastRun: null });
+    const now = new Date().toISOString();
+    status.lastRun = { time: now, ok: result.ok, name: result.name };
+    Object.keys(COMPONENT_LABELS).forEach((component) => {
+      if (!result.options[component]) return;
+      const entry = status.components[component] || {};
+      entry.lastAttempt = now;
+      entry.lastOk = result.ok && !result.failed.has(component);
+      if (entry.lastOk) entry.lastSuccess = now;
+      status.components[component] = entry;
+    });
+    saveSetting("status", status);
+    renderBackupStatus();
+  }
+
+  function renderBackupStatus() {
+    const status = loadSetting("status", { components: {}, lastRun: null });
+    const table = el("statusTable");
+    table.innerHTML = "";
+
+    const head = table.insertRow();
+    ["Komponente", "Letzte erfolgreiche Sicherung", "Letzter Versuch"].forEach((text) => {
+      const th = document.createElement("th");
+      th.textContent = text;
+      head.appendChild(th);
+    });
+
+    Object.keys(COMPONENT_LABELS).forEach((component) => {
+      const entry = status.components[component] || {};
+      const row = table.insertRow();
+      row.insertCell().textContent = COMPONENT_LABELS[component];
+      row.insertCell().textContent = entry.lastSuccess
+        ? new Date(entry.lastSuccess).toLocaleString("de-DE")
+        : "–";
+      const attempt = row.insertCell();
+      if (entry.lastAttempt) {
+        attempt.textContent = `${entry.lastOk ? "✅" : "❌"} ${new Date(entry.lastAttempt).toLocaleString("de-DE")}`;
+        attempt.className = entry.lastOk ? "ok" : "err";
+      } else {
+        attempt.textContent = "–";
+      }
+    });
+
+    el("lastRunInfo").textContent = status.lastRun
+      ? `Letzter Lauf: ${new Date(status.lastRun.time).toLocaleString("de-DE")} – ${status.lastRun.ok ? "erfolgreich" : "fehlgeschlagen"} (${status.lastRun.name})`
+      : "Noch kein Backup gelaufen";
+  }
+
+  function renderScheduleInfo() {
+    const schedule = getSchedule();
+    const info = el("scheduleInfo");
+    if (!schedule.enabled) {
+      info.textContent = "Zeitplan deaktiviert";
+      return;
+    }
+    const next = schedule.lastRun
+      ? new Date(new Date(schedule.lastRun).getTime() + getScheduleIntervalMs(schedule))
+      : new Date();
+    info.textContent = `Nächstes Backup: ${next.toLocaleString("de-DE")} (nur solange diese Seite geöffnet ist)`;
+  }
+
+  function fillScheduleForm() {
+    const schedule = getSchedule();
+    el("chkSchedule").checked = schedule.enabled;
+    el("scheduleInterval").value = schedule.interval;
+    el("scheduleHours").value = schedule.customHours;
+    el("scheduleHours").style.display = schedule.interval === "custom" ? "" : "none";
+    el("keepLast").value = schedule.keepLast;
+    el("keepWeeks").value = schedule.keepWeeks;
+    // An encrypting schedule shows the encryption form, so the password can be entered
+    if (schedule.encrypt) {
+      el("chkEncrypt").checked = true;
+      el("encryptMode").value = schedule.encryptMode;
+      el("encryptOptions").classList.add("active");
+    }
+  }
+
+  // Saves the form together with the current component and box selection
+  function saveSchedule() {
+    const schedule = getSchedule();
+    const boxSelect = el("boxSelect");
+    schedule.enabled = el("chkSchedule").checked;
+    schedule.interval = el("scheduleInterval").value;
+    schedule.customHours = Math.max(1, parseInt(el("scheduleHours").value, 10) || 1);
+    schedule.keepLast = Math.max(1, parseInt(el("keepLast").value, 10) || 1);
+    schedule.keepWeeks = Math.max(0, parseInt(el("keepWeeks").value, 10) || 0);
+    schedule.options = getBackupOptions();
+    schedule.boxes = Array.from(boxSelect.selectedOptions).map((o) => o.value);
+    schedule.encrypt = el("chkEncrypt").checked;
+    schedule.encryptMode = el("encryptMode").value;
+    saveSetting("schedule", schedule);
+    fillScheduleForm();
+    renderScheduleInfo();
+    log(`Zeitplan gespeichert (${schedule.enabled ? "aktiv" : "deaktiviert"})`, "success");
+  }
+
+  function resolveScheduledBoxes(boxes) {
+    if (!boxes || boxes.includes("__all__")) {
+      return tonieboxes.map((b) => b.ID || b.id || b.boxId);
+    }
+    if (boxes.includes("__global__")) {
+      return [];
+    }
+    return boxes;
+  }
+
+  async function chooseBackupDirectory() {
+    if (typeof window.showDirectoryPicker !== "function") {
+      log("Ordnerauswahl wird von diesem Browser nicht unterstützt - geplante Backups werden heruntergeladen", "warn");
+      return;
+    }
+    try {
+      const handle = await window.showDirectoryPicker({ mode: "readwrite" });
+      await idbSet("backupDir", handle);
+      el("backupDirInfo").textContent = `Zielordner: ${handle.name}`;
+      el("btnGrantDir").style.display = "none";
+      log(`Zielordner für geplante Backups: ${handle.name}`, "success");
+    } catch (e) {
+      if (e.name !== "AbortError") {
+        log(`Zielordner konnte nicht gesetzt werden: ${e.message}`, "error");
+      }
+    }
+  }
+
+  // Returns the stored directory handle if write permission is (still) granted
+  async function getBackupDirectory(interactive) {
+    let handle = null;
+    try {
+      handle = await idbGet("backupDir");
+    } catch (e) {
+      return null;
+    }
+    if (!handle) return null;
+
+    const permission = { mode: "readwrite" };
+    if ((await handle.queryPermission(permission)) === "granted") return handle;
+    if (interactive && (await handle.requestPermission(permission)) === "granted") return handle;
+    return null;
+  }
+
+  async function openDirectorySink(dirHandle, fileName) {
+    const fileHandle = await dirHandle.getFileHandle(fileName, { create: true });
+    const sink = createFileSink(fileHandle, await fileHandle.createWritable(), 0);
+    const abort = sink.abort;
+    sink.abort = async () => {
+      await abort();
+      await dirHandle.removeEntry(fileName);
+    };
+    return sink;
+  }
+
+  async function applyRetention(dirHandle, schedule) {
+    const backups = [];
+    const deltas = [];
+    for await (const [name, handle] of dirHandle.entries()) {
+      if (handle.kind !== "file") continue;
+      const date = Core.parseScheduledBackupName(name);
+      if (date !== null) {
+        backups.push({ name: name, date: date });
+      }
+      if (name.endsWith("-delta.zip")) {
+        deltas.push({ name: name, data: await handle.getFile() });
+      }
+    }
+
+    let baseIds;
+    try {
+      baseIds = await Core.readDeltaBaseIds(deltas);
+    } catch (e) {
+      log(`Aufbewahrung übersprungen - Basis eines Delta-Backups unbekannt: ${e.message}`, "warn");
+      return;
+    }
+    const keep = Core.selectBackupsToKeep(backups, schedule.keepLast, schedule.keepWeeks, Date.now(), baseIds);
+    for (const backup of backups) {
+      if (keep.has(backup.name)) continue;
+      try {
+        await dirHandle.removeEntry(backup.name);
+        log(`Aufbewahrung: ${backup.name} gelöscht`);
+      } catch (e) {
+        log(`Aufbewahrung: ${backup.name} konnte nicht gelöscht werden: ${e.message}`, "warn");
+      }
+    }
+  }
+
+  // Shown while the timer cannot run the schedule; logged once per reason
+  function setScheduleNotice(text) {
+    const notice = el("scheduleNotice");
+    if (text && notice.textContent !== text) {
+      log(`Geplantes Backup übersprungen: ${text}`, "warn");
+    }
+    notice.textContent = text || "";
+    notice.style.display = text ? "" : "none";
+  }
+
+  // interactive: started by "Jetzt ausführen". The timer has no user gesture,
+  // so it can neither ask nor download; it waits and shows a notice instead.
+  async function runScheduledBackup(schedule, interactive) {
+    if (interactive && !confirmReplaceCheckpoint()) return;
+
+    // The password is never stored: without it in the form, an encrypted
+    // backup is skipped rather than written unencrypted
+    let encryption;
+    try {
+      encryption = Core.getScheduledEncryption(schedule, el("encryptPassword").value, el("encryptPasswordRepeat").value);
+    } catch (e) {
+      if (interactive) {
+        log(`Geplantes Backup übersprungen: ${e.message}`, "error");
+      } else {
+        setScheduleNotice(`${e.message} - Passwort eingeben, dann läuft das Backup beim nächsten Takt`);
+      }
+      return;
+    }
+
+    const dirHandle = await getBackupDirectory(false);
+    if (!interactive) {
+      const reason = !dirHandle
+        ? "kein freigegebener Zielordner - der Browser lässt Downloads nur nach einem Klick zu. Zielordner wählen (bzw. Zugriff erteilen) oder \"Jetzt ausführen\" nutzen"
+        : resumableCheckpoint
+          ? `das unterbrochene Backup ${resumableCheckpoint.name}.zip wartet - bitte fortsetzen oder verwerfen`
+          : null;
+      setScheduleNotice(reason);
+      if (reason) return;
+    }
+
+    log("Geplantes Backup startet...");
+    if (!dirHandle) {
+      log("Kein freigegebener Zielordner - Backup wird heruntergeladen, Aufbewahrungsregeln werden nicht angewendet", "warn");
+    }
+
+    // Stored before the run so a failing backup is not retried every minute
+    schedule.lastRun = new Date().toISOString();
+    saveSetting("schedule", schedule);
+
+    const result = await runBackup({
+      options: schedule.options || getBackupOptions(),
+      selectedBoxes: resolveScheduledBoxes(schedule.boxes),
+      base: null,
+      encryption: encryption,
+      openSink: dirHandle
+        ? (fileName) => openDirectorySink(dirHandle, fileName)
+        : async (fileName) => createChunkedBlobSink(fileName),
+    });
+
+    if (result && result.ok && dirHandle) {
+      await applyRetention(dirHandle, schedule);
+    }
+    renderScheduleInfo();
+  }
+
+  async function checkSchedule() {
+    const schedule = getSchedule();
+    if (!schedule.enabled || backupRunning) return;
+    const due = !schedule.lastRun
+      || Date.now() - new Date(schedule.lastRun).getTime() >= getScheduleIntervalMs(schedule);
+    if (due) {
+      await runScheduledBackup(schedule);
+    }
+  }
+
+  async function initScheduler() {
+    fillScheduleForm();
+    renderScheduleInfo();
+    renderBackupStatus();
+
+    try {
+      const handle = await idbGet("backupDir");
+      if (handle) {
+        const granted = (await handle.queryPermission({ mode: "readwrite" })) === "granted";
+        el("backupDirInfo").textContent = granted
+          ? `Zielordner: ${handle.name}`
+          : `Zielordner: ${handle.name} (Zugriff erneut erteilen)`;
+        el("btnGrantDir").style.display = granted ? "none" : "";
+      }
+    } catch (e) {
+      // No stored directory
+    }
+
+    setInterval(checkSchedule, SCHEDULE_CHECK_INTERVAL);
+    await checkSchedule();
+  }
+
+  // ============================================================
+  // RESTORE - FILE PARSING
+  // ============================================================
+  async function handleRestoreFile(fileList) {
+    const restoreInfo = el("restoreInfo");
+    const restoreDetails = el("restoreDetails");
+    const restoreMapping = el("restoreMapping");
+    const mappingContainer = el("mappingContainer");
+    const btnRestore = el("btnRestore");
+
+    const files = Array.from(fileList);
+    el("selectedFileName").textContent = files.map((f) => f.name).join(", ");
+
+    try {
+      parsedBackup = await Core.openBackup(files.map((f) => ({ name: f.name, data: f })), log);
+      const manifest = parsedBackup.manifest;
+      const chain = parsedBackup.chain;
 
       // Show backup info
       restoreInfo.style.display = "block";
       let detailsHtml = `
         <div>📅 Erstellt: ${new Date(manifest.timestamp).toLocaleString("de-DE")}</div>
         <div>📦 Version: ${manifest.version}</div>
+        <div>🔗 Typ: ${manifest.type === "delta" ? `Delta (${chain.length} Archive: ${chain.map((a) => a.name).join(" → ")})` : "Vollbackup"}</div>
         <div>📋 Komponenten:</div>
         <ul style="margin: 4px 0 0 20px;">
       `;
@@ -736,9 +1358,17 @@ Backup-Datum: ${new Date().toISOString()}
       if (manifest.components.content) detailsHtml += "<li>📁 Content-Metadaten</li>";
       if (manifest.components.audio) detailsHtml += "<li>🎵 Audio-Dateien</li>";
       if (manifest.components.toniesDb) detailsHtml += "<li>📚 Tonies-Datenbank</li>";
+      if (manifest.components.config) detailsHtml += "<li>🗂️ Config-Verzeichnis</li>";
+      if (manifest.components.firmware) detailsHtml += "<li>💿 Firmware</li>";
 
       detailsHtml += "</ul>";
 
+      const encrypted = chain.filter((a) => a.manifest.encryption);
+      if (encrypted.length > 0) {
+        const modes = encrypted.map((a) => a.manifest.encryption.mode === "all" ? "gesamtes Archiv" : "Zertifikate & Config");
+        detailsHtml += `<div style="margin-top: 8px;">🔒 Verschlüsselt (${[...new Set(modes)].join(", ")})</div>`;
+      }
+
       if (manifest.boxes && manifest.boxes.length > 0) {
         detailsHtml += `<div style="margin-top: 8px;">📦 Tonieboxen im Backup:</div><ul style="margin: 4px 0 0 20px;">`;
         manifest.boxes.forEach((box) => {
@@ -786,6 +1416,24 @@ Backup-Datum: ${new Date().toISOString()}
         restoreMapping.classList.remove("active");
       }
 
+      hideRestorePreview();
+      el("verifyResult").classList.remove("active");
+      el("btnVerify").disabled = false;
+
+      // Encrypted archives can be verified, but nothing is shown or restored before unlocking
+      if (parsedBackup.locked) {
+        el("restoreTree").classList.remove("active");
+        el("migrationWizard").classList.remove("active");
+        el("restorePassword").value = "";
+        el("restoreUnlock").classList.add("active");
+        btnRestore.disabled = true;
+        log("Backup ist verschlüsselt - bitte Passwort eingeben", "warn");
+        return;
+      }
+
+      el("restoreUnlock").classList.remove("active");
+      await renderRestoreTree(parsedBackup);
+      await renderMigrationWizard(parsedBackup);
       btnRestore.disabled = false;
       log("Backup-Datei erfolgreich geladen", "success");
 
@@ -793,222 +1441,690 @@ Backup-Datum: ${new Date().toISOString()}
       log(`Fehler beim Laden des Backups: ${error.message}`, "error");
       restoreInfo.style.display = "none";
       restoreMapping.classList.remove("active");
+      el("restoreUnlock").classList.remove("active");
+      el("restoreTree").classList.remove("active");
+      el("migrationWizard").classList.remove("active");
+      el("verifyResult").classList.remove("active");
+      el("btnVerify").disabled = true;
       btnRestore.disabled = true;
     }
   }
 
+  async function unlockBackup() {
+    if (!parsedBackup || !parsedBackup.locked) return;
+    const password = el("restorePassword").value;
+    if (!password) {
+      log("Bitte das Passwort des Backups eingeben", "warn");
+      return;
+    }
+
+    const btnUnlock = el("btnUnlock");
+    btnUnlock.disabled = true;
+    btnUnlock.textContent = "⏳ Entschlüssele...";
+
+    try {
+      const count = await Core.unlockBackup(parsedBackup, password);
+      el("restorePassword").value = "";
+      el("restoreUnlock").classList.remove("active");
+      await renderRestoreTree(parsedBackup);
+      await renderMigrationWizard(parsedBackup);
+      el("btnRestore").disabled = false;
+      log(`Backup entschlüsselt (${count} Dateien)`, "success");
+    } catch (error) {
+      log(`Entschlüsseln fehlgeschlagen: ${error.message}`, "error");
+    } finally {
+      btnUnlock.disabled = false;
+      btnUnlock.textContent = "🔓 Entsperren";
+    }
+  }
+
   // ============================================================
-  // RESTORE - EXECUTION
+  // RESTORE - SELECTION TREE
   // ============================================================
-  async function executeRestore() {
-    if (!parsedBackup) {
-      log("Kein Backup geladen", "error");
+  function buildArchiveTree(paths) {
+    const root = { name: "", path: "", children: new Map(), leaf: false };
+    for (const path of paths) {
+      const parts = path.split("/");
+      let node = root;
+      parts.forEach((part, i) => {
+        if (!node.children.has(part)) {
+          node.children.set(part, {
+            name: part,
+            path: parts.slice(0, i + 1).join("/"),
+            children: new Map(),
+            leaf: i === parts.length - 1,
+          });
+        }
+        node = node.children.get(part);
+      });
+    }
+    return root;
+  }
+
+  function countLeaves(node) {
+    if (node.leaf) return 1;
+    let count = 0;
+    node.children.forEach((child) => {
+      count += countLeaves(child);
+    });
+    return count;
+  }
+
+  function renderTreeNode(node, labels, depth) {
+    const label = labels.get(node.path);
+
+    if (node.leaf) {
+      const item = document.createElement("label");
+      item.className = "tree-leaf";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = true;
+      checkbox.dataset.path = node.path;
+      item.appendChild(checkbox);
+      item.appendChild(document.createTextNode(` ${node.name}`));
+      return item;
+    }
+
+    const details = document.createElement("details");
+    details.open = depth === 0;
+    const summary = document.createElement("summary");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = true;
+    checkbox.className = "tree-folder";
+    summary.appendChild(checkbox);
+    summary.appendChild(document.createTextNode(` 📁 ${node.name}${label ? ` – ${label}` : ""} (${countLeaves(node)})`));
+    details.appendChild(summary);
+
+    const children = document.createElement("div");
+    children.className = "tree-children";
+    const sorted = Array.from(node.children.values()).sort((a, b) => {
+      if (a.leaf !== b.leaf) return a.leaf ? 1 : -1;
+      return a.name.localeCompare(b.name);
+    });
+    sorted.forEach((child) => children.appendChild(renderTreeNode(child, labels, depth + 1)));
+    details.appendChild(children);
+    return details;
+  }
+
+  // Folder checkboxes mirror their leaves: checked, unchecked or indeterminate
+  function updateTreeFolderStates(container) {
+    container.querySelectorAll("input.tree-folder").forEach((folderBox) => {
+      const leaves = folderBox.closest("details").querySelectorAll("input[data-path]");
+      const checked = Array.from(leaves).filter((l) => l.checked).length;
+      folderBox.checked = checked === leaves.length;
+      folderBox.indeterminate = checked > 0 && checked < leaves.length;
+    });
+  }
+
+  // Readable labels for content/<ruid> folders and box folders
+  async function getTreeLabels(backup, entries) {
+    const labels = new Map();
+    (backup.manifest.boxes || []).forEach((box) => {
+      labels.set(`boxes/${box.safeName}`, box.name);
+    });
+
+    const tagIndexFile = entries.get("content/tag-index.json");
+    if (tagIndexFile) {
+      try {
+        const tags = JSON.parse(await tagIndexFile.text());
+        tags.forEach((tag) => {
+          const ruid = tag.ruid || tag.uid;
+          const info = tag.tonieInfo || {};
+          const title = [info.series, info.episode].filter((t) => t).join(" - ");
+          if (ruid && title) labels.set(`content/${ruid}`, title);
+        });
+      } catch (e) {
+        // Labels are optional
+      }
+    }
+    return labels;
+  }
+
+  async function renderRestoreTree(backup) {
+    const container = el("treeContainer");
+    const { entries } = Core.getArchiveEntries(backup);
+    const paths = Core.getRestorablePaths(backup);
+    const labels = await getTreeLabels(backup, entries);
+
+    container.innerHTML = "";
+    const root = buildArchiveTree(paths);
+    root.children.forEach((child) => container.appendChild(renderTreeNode(child, labels, 0)));
+    el("restoreTree").classList.add("active");
+  }
+
+  function onTreeChange(e) {
+    const target = e.target;
+    hideRestorePreview();
+    if (target.classList.contains("tree-folder")) {
+      target.closest("details").querySelectorAll("input[type=checkbox]").forEach((c) => {
+        c.checked = target.checked;
+      });
+    }
+    updateTreeFolderStates(el("treeContainer"));
+  }
+
+  function setAllTreeSelection(checked) {
+    el("treeContainer").querySelectorAll("input[type=checkbox]").forEach((c) => {
+      c.checked = checked;
+      c.indeterminate = false;
+    });
+  }
+
+  function getSelectedRestorePaths() {
+    const selected = new Set();
+    el("treeContainer").querySelectorAll("input[data-path]").forEach((c) => {
+      if (c.checked) selected.add(c.dataset.path);
+    });
+    return selected;
+  }
+
+  // ============================================================
+  // RESTORE - MIGRATION
+  // ============================================================
+  function addPathRuleRow(from, to) {
+    const row = document.createElement("div");
+    row.className = "mapping-item path-rule";
+
+    const fromInput = document.createElement("input");
+    fromInput.type = "text";
+    fromInput.className = "rule-from";
+    fromInput.placeholder = "Alter Pfad";
+    fromInput.value = from;
+
+    const arrow = document.createElement("span");
+    arrow.className = "mapping-arrow";
+    arrow.textContent = "→";
+
+    const toInput = document.createElement("input");
+    toInput.type = "text";
+    toInput.className = "rule-to";
+    toInput.placeholder = "Neuer Pfad";
+    toInput.value = to;
+
+    const remove = document.createElement("button");
+    remove.className = "ant-btn";
+    remove.textContent = "✖️";
+    remove.addEventListener("click", () => row.remove());
+
+    row.appendChild(fromInput);
+    row.appendChild(arrow);
+    row.appendChild(toInput);
+    row.appendChild(remove);
+    el("pathRules").appendChild(row);
+  }
+
+  // Fills the wizard with the library folders and RUIDs found in the backup
+  async function renderMigrationWizard(backup) {
+    const { entries } = Core.getArchiveEntries(backup);
+    const labels = await getTreeLabels(backup, entries);
+    const ruids = Core.getBackupRuids(entries);
+
+    // Top-level library folders referenced by content.json, as rule templates
+    const folders = new Set();
+    for (const ruid of ruids) {
+      const file = entries.get(`content/${ruid}/content.json`);
+      if (!file) continue;
+      try {
+        const source = JSON.parse(await file.text()).source;
+        if (typeof source === "string" && source.startsWith(Core.LIB_PREFIX)) {
+          const path = Core.normalizeLibraryPath(source);
+          if (path.includes("/")) folders.add(path.split("/")[0]);
+        }
+      } catch (e) {
+        // Invalid content.json is reported by the restore itself
+      }
+    }
+
+    el("pathRules").innerHTML = "";
+    folders.forEach((folder) => addPathRuleRow(folder, folder));
+
+    const container = el("ruidMapping");
+    container.innerHTML = "";
+    ruids.forEach((ruid) => {
+      const row = document.createElement("div");
+      row.className = "mapping-item";
+
+      const source = document.createElement("span");
+      source.textContent = labels.has(`content/${ruid}`) ? `${ruid} (${labels.get(`content/${ruid}`)})` : ruid;
+
+      const arrow = document.createElement("span");
+      arrow.className = "mapping-arrow";
+      arrow.textContent = "→";
+
+      const target = document.createElement("input");
+      target.type = "text";
+      target.dataset.ruid = ruid;
+      target.placeholder = "unverändert";
+      target.setAttribute("list", "targetRuids");
+
+      row.appendChild(source);
+      row.appendChild(arrow);
+      row.appendChild(target);
+      container.appendChild(row);
+    });
+
+    // Suggest the tags known to the target server
+    const targetTags = await fetchJsonOrNull("/api/getTagIndex");
+    const tags = targetTags && targetTags.tags ? targetTags.tags : (Array.isArray(targetTags) ? targetTags : []);
+    el("targetRuids").innerHTML = "";
+    tags.forEach((tag) => {
+      const ruid = tag.ruid || tag.uid;
+      if (!ruid) return;
+      const option = document.createElement("option");
+      option.value = ruid;
+      const info = tag.tonieInfo || {};
+      option.label = [info.series, info.episode].filter((t) => t).join(" - ");
+      el("targetRuids").appendChild(option);
+    });
+
+    el("migrationResult").textContent = "";
+    el("migrationWizard").classList.add("active");
+  }
+
+  // Reads the wizard; null when migration is off, throws on invalid input
+  function getMigrationPlan() {
+    if (!el("chkMigration").checked) return null;
+
+    const rules = Array.from(el("pathRules").querySelectorAll(".path-rule"), (row) => ({
+      from: row.querySelector(".rule-from").value,
+      to: row.querySelector(".rule-to").value,
+    }));
+    const ruids = Array.from(el("ruidMapping").querySelectorAll("input[data-ruid]"),
+      (input) => [input.dataset.ruid, input.value]);
+    return Core.createMigrationPlan(rules, ruids, ruids.map(([ruid]) => ruid));
+  }
+
+  function renderMigrationResult(result) {
+    const container = el("migrationResult");
+    container.innerHTML = "";
+    if (result.missing.length === 0) {
+      container.innerHTML = `<span class="ok">✅ Alle ${result.checked} referenzierten Library-Dateien sind auf dem Ziel vorhanden</span>`;
       return;
     }
+    const heading = document.createElement("div");
+    heading.className = "err";
+    heading.textContent = `❌ ${result.missing.length} von ${result.checked} Library-Dateien fehlen auf dem Ziel:`;
+    const list = document.createElement("ul");
+    list.style.margin = "4px 0 0 20px";
+    result.missing.forEach((m) => {
+      const item = document.createElement("li");
+      item.textContent = `lib://${m.path} (${m.ruids.join(", ")})`;
+      list.appendChild(item);
+    });
+    container.appendChild(heading);
+    container.appendChild(list);
+  }
 
-    // Confirmation
-    if (!confirm("⚠️ WARNUNG: Die Wiederherstellung überschreibt vorhandene Daten!\n\nFortfahren?")) {
-      log("Wiederherstellung abgebrochen", "warn");
+  // Validates the wizard and checks the target; returns the plan (or null
+  // without migration) and throws if anything would be restored broken.
+  async function prepareMigration(selected) {
+    const plan = getMigrationPlan();
+    if (!plan) return null;
+    log("Prüfe Library-Dateien auf dem Ziel...");
+    const result = await Core.checkMigration(api, parsedBackup, plan, selected);
+    renderMigrationResult(result);
+    if (result.missing.length > 0) {
+      result.missing.forEach((m) => log(`  Fehlt: lib://${m.path}`, "error"));
+      throw new Error(`${result.missing.length} referenzierte Library-Dateien fehlen auf dem Ziel - es wurde nichts geändert`);
+    }
+    log(`Migration: ${plan.rules.length} Pfadregeln, ${plan.ruids.size} RUID-Zuordnungen, ${result.checked} Library-Dateien vorhanden`, "success");
+    return plan;
+  }
+
+  async function runMigrationCheck() {
+    if (!parsedBackup || parsedBackup.locked) return;
+    const btn = el("btnCheckMigration");
+    btn.disabled = true;
+    try {
+      await prepareMigration(getSelectedRestorePaths());
+    } catch (error) {
+      log(`Migration: ${error.message}`, "error");
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  // ============================================================
+  // RESTORE - VERIFY
+  // ============================================================
+  async function verifyBackup() {
+    if (!parsedBackup) {
+      log("Kein Backup geladen", "error");
       return;
     }
 
+    const btnVerify = el("btnVerify");
     const btnRestore = el("btnRestore");
+    btnVerify.disabled = true;
     btnRestore.disabled = true;
-    btnRestore.textContent = "⏳ Wiederherstellen...";
+    btnVerify.textContent = "⏳ Prüfe...";
 
-    const manifest = parsedBackup.manifest;
-    const zip = parsedBackup.zip;
+    try {
+      const result = await Core.verifyBackup(parsedBackup, log, (checked, total, path) => {
+        setProgress("restoreProgress", "restoreProgressFill", "restoreProgressText",
+          (checked / total) * 100, "restoreStatus", `Prüfe ${checked}/${total}: ${path}`);
+      });
+      parsedBackup.verification = result;
+      renderVerifyResult(result);
+    } catch (error) {
+      log(`Prüfung fehlgeschlagen: ${error.message}`, "error");
+    } finally {
+      btnVerify.disabled = false;
+      btnRestore.disabled = parsedBackup.locked;
+      btnVerify.textContent = "🔍 Backup prüfen";
+      setTimeout(() => hideProgress("restoreProgress"), 3000);
+    }
+  }
 
-    let totalSteps = 0;
-    let currentStep = 0;
+  function renderVerifyResult(result) {
+    const container = el("verifyResult");
+    container.innerHTML = "";
+    container.classList.add("active");
 
-    // Calculate steps
-    if (manifest.components.certs) totalSteps += 3;
-    if (manifest.components.toniesDb) totalSteps += 4;
-    if (manifest.components.settings) totalSteps += 1;
-    if (manifest.boxes) totalSteps += manifest.boxes.length;
+    const problems = result.missing.length + result.corrupted.length;
+    container.classList.toggle("warning", problems > 0 || result.unchecked.length > 0 || result.locked.length > 0);
+
+    const summary = document.createElement("div");
+    summary.className = problems > 0 ? "err" : "ok";
+    summary.textContent = problems > 0
+      ? `❌ ${result.missing.length} fehlende, ${result.corrupted.length} beschädigte Einträge`
+      : `✅ Alle ${result.checked} Einträge intakt`;
+    container.appendChild(summary);
+
+    if (result.unchecked.length > 0) {
+      const note = document.createElement("div");
+      note.className = "warn";
+      note.textContent = `⚠️ Ohne Prüfsummen: ${result.unchecked.join(", ")}`;
+      container.appendChild(note);
+    }
 
-    const updateProgress = (status) => {
-      currentStep++;
-      const percent = (currentStep / totalSteps) * 100;
-      setProgress("restoreProgress", "restoreProgressFill", "restoreProgressText", percent, "restoreStatus", status);
-    };
+    if (result.locked.length > 0) {
+      const note = document.createElement("div");
+      note.className = "warn";
+      note.textContent = `🔒 Passwort nicht geprüft (erst entsperren, dann erneut prüfen): ${result.locked.join(", ")}`;
+      container.appendChild(note);
+    }
+
+    const items = result.missing.map((m) => `Fehlt: ${m.path}`)
+      .concat(result.corrupted.map((c) => `Beschädigt: ${c.path}`));
+    if (items.length > 0) {
+      const list = document.createElement("ul");
+      list.style.margin = "4px 0 0 20px";
+      items.forEach((text) => {
+        const li = document.createElement("li");
+        li.textContent = text;
+        list.appendChild(li);
+      });
+      container.appendChild(list);
+    }
+  }
+
+  // ============================================================
+  // RESTORE - PREVIEW (DRY RUN)
+  // ============================================================
+  function getTargetBoxId(box) {
+    const mappingSelect = el(`mapping_${box.id}`);
+    return mappingSelect ? mappingSelect.value : box.id;
+  }
+
+  // Settings as restored by executeRestore(): ID → value, internal.* excluded
+  function settingsToMap(settingsData, overlayedOnly) {
+    const map = new Map();
+    (settingsData.options || []).forEach((opt) => {
+      if (!opt.ID || opt.ID.startsWith("internal.")) return;
+      if (overlayedOnly && !opt.overlayed) return;
+      map.set(opt.ID, String(opt.value));
+    });
+    return map;
+  }
+
+  function objectToMap(obj) {
+    const map = new Map();
+    Object.keys(obj || {}).forEach((key) => map.set(key, JSON.stringify(obj[key])));
+    return map;
+  }
 
+  function toniesCustomToMap(entries) {
+    const map = new Map();
+    (Array.isArray(entries) ? entries : []).forEach((entry, i) => {
+      const key = Array.isArray(entry.audio_id) && entry.audio_id.length > 0
+        ? `audio_id ${entry.audio_id.join(",")}`
+        : entry.article || entry.model || `#${i}`;
+      map.set(key, JSON.stringify(entry));
+    });
+    return map;
+  }
+
+  // "removed" means present on the server only - restore leaves it untouched
+  function diffMaps(current, archived) {
+    const items = [];
+    archived.forEach((value, key) => {
+      if (!current.has(key)) {
+        items.push({ key: key, status: "added", before: null, after: value });
+      } else if (current.get(key) !== value) {
+        items.push({ key: key, status: "changed", before: current.get(key), after: value });
+      }
+    });
+    current.forEach((value, key) => {
+      if (!archived.has(key)) {
+        items.push({ key: key, status: "removed", before: value, after: null });
+      }
+    });
+    return items;
+  }
+
+  async function fetchJsonOrNull(endpoint) {
     try {
-      log("Starte Wiederherstellung...");
-
-      // ========== CERTIFICATES ==========
-      if (manifest.components.certs) {
-        log("Stelle Zertifikate wieder her...");
-
-        const certFiles = ["ca.der", "client.der", "private.der"];
-        for (const certFile of certFiles) {
-          const file = zip.file(`global/certs/${certFile}`);
-          if (file) {
-            try {
-              const blob = await file.async("blob");
-              const formData = new FormData();
-              formData.append("file", blob, certFile);
-              await fetch("/api/uploadCert", { method: "POST", body: formData });
-              log(`Zertifikat wiederhergestellt: ${certFile}`, "success");
-            } catch (e) {
-              log(`Fehler bei ${certFile}: ${e.message}`, "error");
-            }
-          }
-          updateProgress(`Zertifikat: ${certFile}`);
-        }
+      return await apiJson(endpoint);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async function buildRestorePreview(backup, selected, plan) {
+    const manifest = backup.manifest;
+    const { entries } = Core.getArchiveEntries(backup);
+    const sections = [];
+
+    const readJson = async (path) => JSON.parse(await entries.get(path).text());
+
+    if (manifest.components.settings && entries.has("global/settings.json") && selected.has("global/settings.json")) {
+      const live = await fetchJsonOrNull("/api/settings/getIndex?internal=true");
+      sections.push({
+        title: "⚙️ Globale Einstellungen",
+        items: diffMaps(settingsToMap(live || {}, false), settingsToMap(await readJson("global/settings.json"), false)),
+      });
+    }
+
+    if (manifest.components.settings) {
+      for (const box of manifest.boxes || []) {
+        const path = `boxes/${box.safeName}/settings.json`;
+        const targetBoxId = getTargetBoxId(box);
+        if (targetBoxId === "__skip__" || !entries.has(path) || !selected.has(path)) continue;
+        const live = await fetchJsonOrNull(`/api/settings/getIndex?overlay=${targetBoxId}&internal=true`);
+        sections.push({
+          title: `📦 ${box.name} → ${targetBoxId}`,
+          items: diffMaps(settingsToMap(live || {}, true), settingsToMap(await readJson(path), true)),
+        });
       }
+    }
 
-      // ========== TONIES DATABASE ==========
-      if (manifest.components.toniesDb) {
-        log("Stelle Tonies-Datenbank wieder her...");
-
-        const dbFiles = [
-          { zip: "tonies.json", endpoint: "/api/toniesJson" },
-          { zip: "tonies-custom.json", endpoint: "/api/toniesCustomJson" },
-          { zip: "tonieboxes.json", endpoint: "/api/tonieboxesJson" },
-          { zip: "tonieboxes-custom.json", endpoint: "/api/tonieboxesCustomJson" },
-        ];
-
-        for (const dbFile of dbFiles) {
-          const file = zip.file(`global/${dbFile.zip}`);
-          if (file) {
-            try {
-              const content = await file.async("text");
-              // Note: TeddyCloud may not have POST endpoints for all these
-              // This is a placeholder for when the API supports it
-              log(`DB-Datei gefunden: ${dbFile.zip}`, "info");
-            } catch (e) {
-              log(`Fehler bei ${dbFile.zip}: ${e.message}`, "warn");
-            }
-          }
-          updateProgress(`Datenbank: ${dbFile.zip}`);
-        }
+    if (manifest.components.content) {
+      const contentPaths = Array.from(selected).filter((p) => /^content\/[^/]+\/content\.json$/.test(p));
+      for (const path of contentPaths) {
+        const ruid = path.split("/")[1];
+        const targetRuid = Core.mapRuid(plan, ruid);
+        const live = await fetchJsonOrNull(`/content/json/get/${targetRuid}`);
+        const archived = JSON.parse(Core.migrateContentJson(await entries.get(path).text(), plan));
+        sections.push({
+          title: targetRuid === ruid.toLowerCase() ? `📁 content.json ${ruid}` : `📁 content.json ${ruid} → ${targetRuid}`,
+          items: diffMaps(objectToMap(live), objectToMap(archived)),
+        });
       }
+    }
 
-      // ========== GLOBAL SETTINGS ==========
-      if (manifest.components.settings) {
-        log("Stelle globale Einstellungen wieder her...");
+    if (manifest.components.toniesDb && entries.has("global/tonies-custom.json") && selected.has("global/tonies-custom.json")) {
+      const live = await fetchJsonOrNull("/api/toniesCustomJson");
+      sections.push({
+        title: "📚 tonies-custom.json",
+        note: "Datenbank-Dateien werden derzeit nicht auf den Server geschrieben",
+        items: diffMaps(toniesCustomToMap(live), toniesCustomToMap(await readJson("global/tonies-custom.json"))),
+      });
+    }
 
-        const settingsFile = zip.file("global/settings.json");
-        if (settingsFile) {
-          try {
-            const settingsData = JSON.parse(await settingsFile.async("text"));
-            // Settings are in {options: [{ID, value, ...}]} format
-            const options = settingsData.options || [];
-            for (const opt of options) {
-              if (!opt.ID || opt.ID.startsWith("internal.")) continue;
-              try {
-                const value = String(opt.value);
-                await fetch(`/api/settings/set/${opt.ID}`, {
-                  method: "POST",
-                  headers: { "Content-Type": "text/plain" },
-                  body: value,
-                });
-              } catch (e) {
-                // Individual setting errors are not critical
-              }
-            }
-            log("Globale Einstellungen wiederhergestellt", "success");
-          } catch (e) {
-            log(`Fehler bei Einstellungen: ${e.message}`, "error");
-          }
-        }
-        updateProgress("Globale Einstellungen");
-      }
+    return sections;
+  }
 
-      // ========== BOX-SPECIFIC DATA ==========
-      if (manifest.boxes && manifest.boxes.length > 0) {
-        for (const box of manifest.boxes) {
-          const mappingSelect = el(`mapping_${box.id}`);
-          const targetBoxId = mappingSelect ? mappingSelect.value : box.id;
+  function renderRestorePreview(sections) {
+    const container = el("previewContainer");
+    container.innerHTML = "";
 
-          if (targetBoxId === "__skip__") {
-            log(`Überspringe Box: ${box.name}`, "info");
-            updateProgress(`Übersprungen: ${box.name}`);
-            continue;
-          }
+    const statusLabels = { added: "➕ neu", changed: "✏️ geändert", removed: "➖ nur auf Server" };
+    const totals = { added: 0, changed: 0, removed: 0 };
 
-          log(`Stelle Box wieder her: ${box.name} → ${targetBoxId}`);
+    for (const section of sections) {
+      section.items.forEach((item) => totals[item.status]++);
 
-          // Restore box settings
-          if (manifest.components.settings) {
-            const boxSettingsFile = zip.file(`boxes/${box.safeName}/settings.json`);
-            if (boxSettingsFile) {
-              try {
-                const settingsData = JSON.parse(await boxSettingsFile.async("text"));
-                const options = settingsData.options || [];
-                for (const opt of options) {
-                  if (!opt.ID || opt.ID.startsWith("internal.")) continue;
-                  if (!opt.overlayed) continue; // Only restore overlayed settings
-                  try {
-                    const value = String(opt.value);
-                    await fetch(`/api/settings/set/${opt.ID}?overlay=${targetBoxId}`, {
-                      method: "POST",
-                      headers: { "Content-Type": "text/plain" },
-                      body: value,
-                    });
-                  } catch (e) {
-                    // Individual setting errors
-                  }
-                }
-                log(`Einstellungen für ${box.name} wiederhergestellt`, "success");
-              } catch (e) {
-                log(`Fehler bei Box-Einstellungen: ${e.message}`, "error");
-              }
-            }
-          }
+      const heading = document.createElement("div");
+      heading.className = "preview-heading";
+      heading.textContent = `${section.title} (${section.items.length} Unterschiede)`;
+      container.appendChild(heading);
 
-          updateProgress(`Box: ${box.name}`);
-        }
+      if (section.note) {
+        const note = document.createElement("div");
+        note.className = "muted";
+        note.textContent = section.note;
+        container.appendChild(note);
       }
+      if (section.items.length === 0) continue;
+
+      const table = document.createElement("table");
+      table.className = "diff-table";
+      const head = table.insertRow();
+      ["Schlüssel", "Status", "Server (aktuell)", "Backup"].forEach((text) => {
+        const th = document.createElement("th");
+        th.textContent = text;
+        head.appendChild(th);
+      });
+      section.items.forEach((item) => {
+        const row = table.insertRow();
+        row.className = `diff-${item.status}`;
+        [item.key, statusLabels[item.status], item.before ?? "–", item.after ?? "–"].forEach((text) => {
+          row.insertCell().textContent = text;
+        });
+      });
+      container.appendChild(table);
+    }
 
-      // ========== CONTENT DATA ==========
-      if (manifest.components.content) {
-        log("Stelle Content-Metadaten wieder her...");
+    el("previewSummary").textContent =
+      `${totals.added} neu, ${totals.changed} geändert, ${totals.removed} nur auf dem Server (bleiben erhalten)`;
+
+    const verification = parsedBackup.verification;
+    const verifyNote = el("previewVerifyNote");
+    if (verification && (verification.missing.length > 0 || verification.corrupted.length > 0)) {
+      verifyNote.className = "err";
+      verifyNote.textContent = `❌ Die Prüfung hat ${verification.missing.length} fehlende und ${verification.corrupted.length} beschädigte Einträge gefunden!`;
+    } else if (!verification) {
+      verifyNote.className = "warn";
+      verifyNote.textContent = "⚠️ Das Backup wurde noch nicht geprüft.";
+    } else {
+      verifyNote.className = "ok";
+      verifyNote.textContent = "✅ Backup geprüft";
+    }
 
-        const contentFolder = zip.folder("content");
-        if (contentFolder) {
-          const contentFiles = [];
-          zip.folder("content").forEach((relativePath, file) => {
-            if (relativePath.endsWith("/content.json")) {
-              contentFiles.push({ path: relativePath, file: file });
-            }
-          });
+    el("restorePreview").classList.add("active");
+  }
 
-          for (const cf of contentFiles) {
-            try {
-              const ruid = cf.path.split("/")[0];
-              const content = await cf.file.async("text");
-              await fetch(`/content/json/set/${ruid}`, {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: content,
-              });
-            } catch (e) {
-              // Individual content restore errors
-            }
-          }
+  async function previewRestore() {
+    if (!parsedBackup) {
+      log("Kein Backup geladen", "error");
+      return;
+    }
+    if (parsedBackup.locked) {
+      log("Backup ist verschlüsselt - bitte zuerst mit dem Passwort entsperren", "error");
+      return;
+    }
 
-          log(`${contentFiles.length} Content-Einträge verarbeitet`, "success");
-        }
-      }
+    const selected = getSelectedRestorePaths();
+    if (selected.size === 0) {
+      log("Keine Einträge zur Wiederherstellung ausgewählt", "warn");
+      return;
+    }
 
-      // ========== AUDIO FILES ==========
-      if (manifest.components.audio) {
-        log("Audio-Dateien: Upload muss manuell erfolgen (zu große Datenmenge)", "warn");
-      }
+    const btnRestore = el("btnRestore");
+    btnRestore.disabled = true;
+    btnRestore.textContent = "⏳ Vergleiche mit Server...";
 
-      // Reload config
-      try {
-        await fetch("/api/triggerReloadConfig");
-        log("Konfiguration neu geladen", "success");
-      } catch (e) {
-        log("Konnte Konfiguration nicht neu laden", "warn");
-      }
+    try {
+      const plan = await prepareMigration(selected);
+      log("Vergleiche Backup mit aktuellem Serverstand...");
+      const sections = await buildRestorePreview(parsedBackup, selected, plan);
+      renderRestorePreview(sections);
+      log("Vorschau erstellt - bitte Änderungen prüfen und bestätigen");
+    } catch (error) {
+      log(`Vorschau fehlgeschlagen: ${error.message}`, "error");
+    } finally {
+      btnRestore.disabled = false;
+      btnRestore.textContent = "⚠️ Wiederherstellen";
+    }
+  }
+
+  function hideRestorePreview() {
+    el("restorePreview").classList.remove("active");
+  }
 
-      setProgress("restoreProgress", "restoreProgressFill", "restoreProgressText", 100, "restoreStatus", "Fertig!");
-      log("Wiederherstellung abgeschlossen!", "success");
+  // ============================================================
+  // RESTORE - EXECUTION
+  // ============================================================
+  // Encrypted files are decrypted into a Blob before their upload, since
+  // fetch cannot stream a request body to TeddyCloud; larger ones are left
+  // to tc-backup, so a tablet does not run out of memory.
+  const MAX_DECRYPTED_RESTORE_SIZE = 512 * 1024 * 1024;
+
+  async function executeRestore() {
+    if (!parsedBackup) {
+      log("Kein Backup geladen", "error");
+      return;
+    }
+    if (parsedBackup.locked) {
+      log("Backup ist verschlüsselt - bitte zuerst mit dem Passwort entsperren", "error");
+      return;
+    }
+    if (!confirm("⚠️ WARNUNG: Die Wiederherstellung überschreibt vorhandene Daten!\n\nFortfahren?")) {
+      return;
+    }
+
+    hideRestorePreview();
+
+    const btnRestore = el("btnRestore");
+    btnRestore.disabled = true;
+    btnRestore.textContent = "⏳ Wiederherstellen...";
+
+    const manifest = parsedBackup.manifest;
+    const selected = getSelectedRestorePaths();
+
+    // Checked again right before writing, the wizard may have changed since the preview
+    let plan;
+    try {
+      plan = await prepareMigration(selected);
+    } catch (error) {
+      log(`Wiederherstellung abgebrochen: ${error.message}`, "error");
+      btnRestore.disabled = false;
+      btnRestore.textContent = "⚠️ Wiederherstellen";
+      return;
+    }
+
+    try {
+      await Core.restoreBackup(api, parsedBackup, {
+        selected: selected,
+        boxTargets: new Map((manifest.boxes || []).map((box) => [box.id, getTargetBoxId(box)])),
+        overwrite: el("chkRestoreOverwrite").checked,
+        plan: plan,
+        maxDecryptedSize: MAX_DECRYPTED_RESTORE_SIZE,
+      }, (percent, status) => {
+        setProgress("restoreProgress", "restoreProgressFill", "restoreProgressText", percent, "restoreStatus", status);
+      });
 
     } catch (error) {
       log(`Wiederherstellung fehlgeschlagen: ${error.message}`, "error");
@@ -1019,6 +2135,135 @@ Backup-Datum: ${new Date().toISOString()}
     }
   }
 
+  // ============================================================
+  // TAG ASSIGNMENTS
+  // ============================================================
+  // Import checked against the server, waiting for confirmation
+  let pendingTagImport = null;
+
+  function setTagsProgress(done, total, status) {
+    setProgress("tagsProgress", "tagsProgressFill", "tagsProgressText", total > 0 ? (done / total) * 100 : 100, "tagsStatus", status);
+  }
+
+  async function exportTags(format) {
+    const buttons = [el("btnExportTagsCsv"), el("btnExportTagsJson")];
+    buttons.forEach((b) => (b.disabled = true));
+    try {
+      log("Exportiere Tag-Zuweisungen...");
+      const rows = await Core.exportTagAssignments(api, (done, total, ruid) => {
+        setTagsProgress(done, total, `content.json ${ruid}`);
+      });
+      const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+      if (format === "csv") {
+        triggerDownload(new Blob([Core.tagAssignmentsToCsv(rows)], { type: "text/csv" }), `teddycloud-tags-${stamp}.csv`);
+      } else {
+        triggerDownload(new Blob([Core.tagAssignmentsToJson(rows)], { type: "application/json" }), `teddycloud-tags-${stamp}.json`);
+      }
+      log(`${rows.length} Tag-Zuweisungen exportiert`, "success");
+    } catch (error) {
+      log(`Export fehlgeschlagen: ${error.message}`, "error");
+    } finally {
+      buttons.forEach((b) => (b.disabled = false));
+      setTimeout(() => hideProgress("tagsProgress"), 3000);
+    }
+  }
+
+  async function handleTagImportFile(file) {
+    hideTagImportPreview();
+    el("tagImportFileName").textContent = file.name;
+    try {
+      const parsed = Core.parseTagAssignments(await file.text(), file.name);
+      log(`${file.name}: ${parsed.rows.length} gültige Zeilen, ${parsed.errors.length} fehlerhaft`);
+      log("Vergleiche Tag-Zuweisungen mit dem Server...");
+      const plan = await Core.planTagImport(api, parsed.rows, (done, total, ruid) => {
+        setTagsProgress(done, total, `content.json ${ruid}`);
+      });
+      const errors = parsed.errors.concat(plan.errors).sort((a, b) => a.line - b.line);
+      errors.forEach((e) => log(`  Zeile ${e.line}: ${e.message}`, "warn"));
+      pendingTagImport = plan.changes;
+      renderTagImportPreview(plan.changes, errors);
+    } catch (error) {
+      log(`Import fehlgeschlagen: ${error.message}`, "error");
+    } finally {
+      setTimeout(() => hideProgress("tagsProgress"), 3000);
+    }
+  }
+
+  function renderTagImportPreview(changes, errors) {
+    const container = el("tagImportContainer");
+    container.innerHTML = "";
+
+    const formatValue = (value) => (typeof value === "boolean" ? (value ? "ja" : "nein") : value || "–");
+
+    if (changes.length > 0) {
+      const table = document.createElement("table");
+      table.className = "diff-table";
+      const head = table.insertRow();
+      ["RUID", "Feld", "Server (aktuell)", "Import"].forEach((text) => {
+        const th = document.createElement("th");
+        th.textContent = text;
+        head.appendChild(th);
+      });
+      changes.forEach((change) => {
+        change.fields.forEach((field) => {
+          const row = table.insertRow();
+          row.className = "diff-changed";
+          [change.ruid, field.field, formatValue(field.before), formatValue(field.after)].forEach((text) => {
+            row.insertCell().textContent = text;
+          });
+        });
+      });
+      container.appendChild(table);
+    }
+
+    if (errors.length > 0) {
+      const heading = document.createElement("div");
+      heading.className = "preview-heading";
+      heading.textContent = `❌ ${errors.length} Zeilen werden nicht übernommen`;
+      container.appendChild(heading);
+      const table = document.createElement("table");
+      table.className = "diff-table";
+      errors.forEach((e) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = `Zeile ${e.line}`;
+        row.insertCell().textContent = e.message;
+      });
+      container.appendChild(table);
+    }
+
+    el("tagImportSummary").textContent = changes.length > 0
+      ? `${changes.length} Tags werden geändert`
+      : "Keine Änderungen gegenüber dem Server";
+    el("btnTagImportConfirm").disabled = changes.length === 0;
+    el("tagImportPreview").classList.add("active");
+  }
+
+  function hideTagImportPreview() {
+    pendingTagImport = null;
+    el("tagImportPreview").classList.remove("active");
+  }
+
+  async function applyTagImport() {
+    const changes = pendingTagImport;
+    if (!changes || changes.length === 0) return;
+    hideTagImportPreview();
+    log(`Übernehme ${changes.length} Tag-Zuweisungen...`);
+    try {
+      const result = await Core.applyTagImport(api, changes, (done, total, ruid) => {
+        setTagsProgress(done, total, `Tag ${ruid}`);
+      });
+      result.failed.forEach((f) => log(`  Fehlgeschlagen: ${f.ruid} (${f.error})`, "error"));
+      log(`Tag-Zuweisungen: ${result.applied} übernommen, ${result.failed.length} fehlgeschlagen`,
+        result.failed.length > 0 ? "warn" : "success");
+    } catch (error) {
+      log(`Import fehlgeschlagen: ${error.message}`, "error");
+    } finally {
+      el("tagImportFile").value = "";
+      el("tagImportFileName").textContent = "";
+      setTimeout(() => hideProgress("tagsProgress"), 3000);
+    }
+  }
+
   // ============================================================
   // INITIALIZATION
   // ============================================================
@@ -1034,14 +2279,80 @@ Backup-Datum: ${new Date().toISOString()}
     // Backup events
     el("btnEstimate").addEventListener("click", estimateBackupSize);
     el("btnBackup").addEventListener("click", createBackup);
+    el("baseBackupFile").addEventListener("change", (e) => {
+      if (e.target.files && e.target.files[0]) {
+        handleBaseBackupFile(e.target.files[0]);
+      }
+    });
+    el("btnClearBase").addEventListener("click", clearBaseBackup);
+    el("btnResume").addEventListener("click", resumeBackup);
+    el("btnDiscardResume").addEventListener("click", discardCheckpoint);
+    el("auditContainer").addEventListener("change", updateAuditCleanupButton);
+    el("btnAuditCleanup").addEventListener("click", cleanupAudit);
+    el("btnAuditClose").addEventListener("click", () => el("auditInfo").classList.remove("active"));
+    el("chkEncrypt").addEventListener("change", (e) => {
+      el("encryptOptions").classList.toggle("active", e.target.checked);
+    });
 
     // Restore events
     el("restoreFile").addEventListener("change", (e) => {
+      if (e.target.files && e.target.files.length > 0) {
+        handleRestoreFile(e.target.files);
+      }
+    });
+    el("treeContainer").addEventListener("change", onTreeChange);
+    // A preview only approves the settings it was made with
+    el("mappingContainer").addEventListener("change", hideRestorePreview);
+    el("migrationWizard").addEventListener("input", hideRestorePreview);
+    el("migrationWizard").addEventListener("change", hideRestorePreview);
+    el("chkRestoreOverwrite").addEventListener("change", hideRestorePreview);
+    el("btnTreeAll").addEventListener("click", () => setAllTreeSelection(true));
+    el("btnTreeNone").addEventListener("click", () => setAllTreeSelection(false));
+    el("btnUnlock").addEventListener("click", unlockBackup);
+    el("restorePassword").addEventListener("keydown", (e) => {
+      if (e.key === "Enter") unlockBackup();
+    });
+    el("chkMigration").addEventListener("change", (e) => {
+      el("migrationPanel").classList.toggle("active", e.target.checked);
+    });
+    el("btnAddPathRule").addEventListener("click", () => addPathRuleRow("", ""));
+    el("btnCheckMigration").addEventListener("click", runMigrationCheck);
+    el("btnVerify").addEventListener("click", verifyBackup);
+    el("btnRestore").addEventListener("click", previewRestore);
+    el("btnPreviewConfirm").addEventListener("click", executeRestore);
+    el("btnPreviewCancel").addEventListener("click", () => {
+      hideRestorePreview();
+      log("Wiederherstellung abgebrochen", "warn");
+    });
+
+    // Schedule events
+    el("scheduleInterval").addEventListener("change", () => {
+      el("scheduleHours").style.display = el("scheduleInterval").value === "custom" ? "" : "none";
+    });
+    el("btnSaveSchedule").addEventListener("click", saveSchedule);
+    el("btnChooseDir").addEventListener("click", chooseBackupDirectory);
+    el("btnGrantDir").addEventListener("click", async () => {
+      const handle = await getBackupDirectory(true);
+      if (handle) {
+        el("backupDirInfo").textContent = `Zielordner: ${handle.name}`;
+        el("btnGrantDir").style.display = "none";
+      }
+    });
+    el("btnRunScheduled").addEventListener("click", () => runScheduledBackup(getSchedule(), true));
+
+    // Tag assignment events
+    el("btnExportTagsCsv").addEventListener("click", () => exportTags("csv"));
+    el("btnExportTagsJson").addEventListener("click", () => exportTags("json"));
+    el("tagImportFile").addEventListener("change", (e) => {
       if (e.target.files && e.target.files[0]) {
-        handleRestoreFile(e.target.files[0]);
+        handleTagImportFile(e.target.files[0]);
       }
     });
-    el("btnRestore").addEventListener("click", executeRestore);
+    el("btnTagImportConfirm").addEventListener("click", applyTagImport);
+    el("btnTagImportCancel").addEventListener("click", () => {
+      hideTagImportPreview();
+      log("Import abgebrochen", "warn");
+    });
 
     // Log events
     el("btnClearLog").addEventListener("click", () => {
@@ -1054,6 +2365,9 @@ Backup-Datum: ${new Date().toISOString()}
     bindEvents();
     log(`${PLUGIN_NAME} v${PLUGIN_VERSION} gestartet`);
     await loadTonieboxes();
+    // Before the scheduler's first check, which must see an interrupted run
+    await renderResumeInfo();
+    await initScheduler();
   }
 
   if (document.readyState !== "loading") {
@@ -0,0 +1,251 @@
+// Unit tests for backup-core.js that need no server.
+// Run: node --test plugins/Teddycloud_Backup/test/
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("node:path");
+const zlib = require("node:zlib");
+
+const Core = require(path.join(__dirname, "..", "backup-core.js"));
+
+// ============================================================
+// ZIP READER
+// ============================================================
+// Builds an archive like other ZIP tools do. entries: [{ path, data, deflate }];
+// zip64 stores sizes and offsets in ZIP64 fields, descriptor moves the sizes
+// of the local headers into data descriptors.
+function buildZip(entries, { zip64 = false, descriptor = false } = {}) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  const push = (buf) => {
+    parts.push(buf);
+    offset += buf.length;
+  };
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.path);
+    const data = Buffer.from(entry.data);
+    const stored = entry.deflate ? zlib.deflateRawSync(data) : data;
+    // The reader does not check CRCs; zlib.crc32 needs Node.js 20.15
+    const crc = zlib.crc32 ? zlib.crc32(data) : 0;
+    const localOffset = offset;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(zip64 ? 45 : 20, 4);
+    local.writeUInt16LE(descriptor ? 0x0008 : 0, 6);
+    local.writeUInt16LE(entry.deflate ? 8 : 0, 8);
+    if (!descriptor) {
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(stored.length, 18);
+      local.writeUInt32LE(data.length, 22);
+    }
+    local.writeUInt16LE(name.length, 26);
+    push(Buffer.concat([local, name, stored]));
+    if (descriptor) {
+      const desc = Buffer.alloc(16);
+      desc.writeUInt32LE(0x08074b50, 0);
+      desc.writeUInt32LE(crc, 4);
+      desc.writeUInt32LE(stored.length, 8);
+      desc.writeUInt32LE(data.length, 12);
+      push(desc);
+    }
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(zip64 ? 45 : 20, 4);
+    header.writeUInt16LE(zip64 ? 45 : 20, 6);
+    header.writeUInt16LE(descriptor ? 0x0008 : 0, 8);
+    header.writeUInt16LE(entry.deflate ? 8 : 0, 10);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(zip64 ? 0xffffffff : stored.length, 20);
+    header.writeUInt32LE(zip64 ? 0xffffffff : data.length, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE(zip64 ? 0xffffffff : localOffset, 42);
+    let extra = Buffer.alloc(0);
+    if (zip64) {
+      extra = Buffer.alloc(28);
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(24, 2);
+      extra.writeBigUInt64LE(BigInt(data.length), 4);
+      extra.writeBigUInt64LE(BigInt(stored.length), 12);
+      extra.writeBigUInt64LE(BigInt(localOffset), 20);
+    }
+    header.writeUInt16LE(extra.length, 30);
+    central.push(Buffer.concat([header, name, extra]));
+  }
+
+  const directory = Buffer.concat(central);
+  const directoryOffset = offset;
+  push(directory);
+  if (zip64) {
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4);
+    record.writeBigUInt64LE(BigInt(entries.length), 24);
+    record.writeBigUInt64LE(BigInt(entries.length), 32);
+    record.writeBigUInt64LE(BigInt(directory.length), 40);
+    record.writeBigUInt64LE(BigInt(directoryOffset), 48);
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(offset), 8);
+    locator.writeUInt32LE(1, 16);
+    push(Buffer.concat([record, locator]));
+  }
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(zip64 ? 0xffff : entries.length, 8);
+  end.writeUInt16LE(zip64 ? 0xffff : entries.length, 10);
+  end.writeUInt32LE(zip64 ? 0xffffffff : directory.length, 12);
+  end.writeUInt32LE(zip64 ? 0xffffffff : directoryOffset, 16);
+  push(end);
+  return Buffer.concat(parts);
+}
+
+const SAMPLE = [
+  { path: "manifest.json", data: "{\"version\":\"1\"}" },
+  { path: "content/a/b.taf", data: Buffer.alloc(200000, "ab"), deflate: true },
+  { path: "global/ü.txt", data: "umlaut" },
+];
+
+async function readAll(entries) {
+  const result = {};
+  for (const [name, entry] of entries) {
+    result[name] = Buffer.from(await (await entry.blob()).arrayBuffer());
+  }
+  return result;
+}
+
+async function assertSample(zip) {
+  const entries = await Core.readZipEntries(new Blob([zip]));
+  assert.deepStrictEqual(Array.from(entries.keys()), SAMPLE.map((e) => e.path));
+  const files = await readAll(entries);
+  SAMPLE.forEach((e) => assert.ok(files[e.path].equals(Buffer.from(e.data)), e.path));
+  assert.strictEqual(entries.get("content/a/b.taf").size, 200000);
+}
+
+test("zip reader: plain archive with stored and deflated entries", async () => {
+  await assertSample(buildZip(SAMPLE));
+});
+
+test("zip reader: ZIP64 records and extra fields", async () => {
+  await assertSample(buildZip(SAMPLE, { zip64: true }));
+});
+
+test("zip reader: data descriptors", async () => {
+  await assertSample(buildZip(SAMPLE, { descriptor: true }));
+  await assertSample(buildZip(SAMPLE, { zip64: true, descriptor: true }));
+});
+
+test("zip reader: archives of the stream writer", async () => {
+  const parts = [];
+  const writer = Core.createZipStreamWriter({ write: async (chunk) => parts.push(chunk), close: async () => {} });
+  await writer.add("a.txt", "hallo");
+  await writer.add("b.bin", new Blob([Buffer.alloc(3 * 1024 * 1024, 7)]));
+  await writer.finish();
+  const files = await readAll(await Core.readZipEntries(new Blob(parts)));
+  assert.strictEqual(files["a.txt"].toString(), "hallo");
+  assert.ok(files["b.bin"].equals(Buffer.alloc(3 * 1024 * 1024, 7)));
+});
+
+test("zip reader: truncated archives are rejected", async () => {
+  const zip = buildZip(SAMPLE, { zip64: true });
+  for (const length of [0, 10, zip.length - 30, Math.floor(zip.length / 2)]) {
+    await assert.rejects(Core.readZipEntries(new Blob([zip.subarray(0, length)])), /ZIP/, `${length} Bytes`);
+  }
+});
+
+test("zip reader: corrupt input is reported, not returned", async () => {
+  const zip = buildZip(SAMPLE);
+  const directoryOffset = zip.readUInt32LE(zip.length - 6);
+
+  // Central directory signature
+  const badDirectory = Buffer.from(zip);
+  badDirectory.writeUInt32LE(0, directoryOffset);
+  await assert.rejects(Core.readZipEntries(new Blob([badDirectory])), /Beschädigtes ZIP-Verzeichnis/);
+
+  // Local header of the first entry
+  const badHeader = Buffer.from(zip);
+  badHeader.writeUInt32LE(0, 0);
+  const entries = await Core.readZipEntries(new Blob([badHeader]));
+  await assert.rejects(entries.get("manifest.json").text(), /beschädigter ZIP-Eintrag/);
+
+  // Deflated data
+  const badData = Buffer.from(zip);
+  const start = zip.indexOf("content/a/b.taf") + "content/a/b.taf".length;
+  badData.fill(0xff, start, start + 40);
+  const deflated = (await Core.readZipEntries(new Blob([badData]))).get("content/a/b.taf");
+  await assert.rejects(deflated.blob(), /beschädigter ZIP-Eintrag/);
+
+  // Entry running past the end of the archive
+  const badSize = Buffer.from(zip);
+  const sizeField = directoryOffset + 20;
+  badSize.writeUInt32LE(zip.length, sizeField);
+  badSize.writeUInt32LE(zip.length, sizeField + 4);
+  await assert.rejects((await Core.readZipEntries(new Blob([badSize]))).get("manifest.json").blob(), /beschädigter ZIP-Eintrag/);
+});
+
+// ============================================================
+// SCHEDULE
+// ============================================================
+test("scheduled encryption: plain schedule needs no password", () => {
+  assert.strictEqual(Core.getScheduledEncryption({ encrypt: false }, "", ""), null);
+});
+
+test("scheduled encryption: encrypting schedule without password is not run unencrypted", () => {
+  const schedule = { encrypt: true, encryptMode: "all" };
+  assert.throws(() => Core.getScheduledEncryption(schedule, "", ""), /kein Passwort/);
+  assert.throws(() => Core.getScheduledEncryption(schedule, "kurz", "kurz"), /mindestens 8 Zeichen/);
+  assert.throws(() => Core.getScheduledEncryption(schedule, "geheim123", "geheim124"), /stimmen nicht überein/);
+});
+
+test("scheduled encryption: password from the page, mode from the schedule", () => {
+  assert.deepStrictEqual(
+    Core.getScheduledEncryption({ encrypt: true, encryptMode: "all" }, "geheim123", "geheim123"),
+    { password: "geheim123", mode: "all" });
+});
+
+// ============================================================
+// BACKUP RUN
+// ============================================================
+// Backup of the tonies database against a fake server; missing names the
+// endpoints that answer 404, failWrites the sink writes that fail.
+async function runTonieDbBackup({ missing = [], failWrites = 0 } = {}) {
+  const messages = [];
+  const client = Core.createClient({
+    baseUrl: "http://teddycloud",
+    fetch: async (url) => missing.some((endpoint) => url.endsWith(endpoint))
+      ? new Response("not found", { status: 404 })
+      : new Response("[]"),
+    log: (message) => messages.push(message),
+  });
+  const ctx = Core.createBackupContext(client, {
+    options: { toniesDb: true },
+    selectedBoxes: [],
+    boxes: [],
+    base: null,
+    encryption: null,
+  });
+  const sink = {
+    async write() {
+      if (failWrites-- > 0) throw new Error("Datenträger voll");
+    },
+    async truncate() {},
+    async close() {},
+  };
+  await Core.writeBackup(ctx, sink);
+  return { ctx, messages };
+}
+
+test("backup run: a missing part is logged and the run goes on", async () => {
+  const { ctx, messages } = await runTonieDbBackup({ missing: ["/api/toniesJson"] });
+  assert.ok(messages.includes("tonies.json nicht verfügbar"), messages.join("\n"));
+  assert.deepStrictEqual([...ctx.failed], ["toniesDb"]);
+});
+
+test("backup run: a failed archive write aborts the run", async () => {
+  await assert.rejects(runTonieDbBackup({ failWrites: 1 }), /Datenträger voll/);
+});
@@ -0,0 +1,319 @@
+// Runs tc-backup against a local mock TeddyCloud: backup, verify and restore
+// of plain, encrypted and delta archives.
+// Run: node --test plugins/Teddycloud_Backup/test/
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("node:http");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { spawn } = require("node:child_process");
+
+const CLI = path.join(__dirname, "..", "cli", "tc-backup.js");
+const RUID = "0a0b0c0d500304e0";
+const PASSWORD = "geheim123";
+
+// ============================================================
+// MOCK TEDDYCLOUD
+// ============================================================
+function createServerFiles() {
+  return {
+    config: { "config.ini": "core.a=1" },
+    library: { "a/x.taf": "LIBRARY-X" },
+    cache: { "c1.jpg": "CACHE-1" },
+    www: { "custom_img/p.png": "PNG-1" },
+    // Larger than one encryption chunk, so decryption runs over several chunks
+    content: { "0A0B0C0D/500304E0": Buffer.alloc(2.5 * 1024 * 1024, "taf") },
+  };
+}
+
+function createMockServer() {
+  const state = {
+    files: createServerFiles(),
+    settings: { options: [{ ID: "core.a", value: 1 }, { ID: "internal.x", value: 2 }] },
+    uploads: new Map(),
+    // "<special>:<path>" of uploads and settings IDs the server rejects
+    failing: new Set(),
+    certs: new Map(),
+    settingsSet: [],
+    contentSet: new Map(),
+  };
+
+  // Files and folders directly below a path of a special directory
+  function list(special, dir) {
+    const prefix = dir.replace(/^\/+|\/+$/g, "");
+    const entries = new Map();
+    for (const [file, data] of Object.entries(state.files[special] || {})) {
+      if (prefix && !file.startsWith(`${prefix}/`)) continue;
+      const [name, ...rest] = (prefix ? file.slice(prefix.length + 1) : file).split("/");
+      entries.set(name, rest.length > 0
+        ? { name: name, isDir: true }
+        : { name: name, isDir: false, size: Buffer.byteLength(data), date: 1000 });
+    }
+    return [{ name: "..", isDir: true }, ...entries.values()];
+  }
+
+  async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+
+  async function readUpload(req, body) {
+    const form = await new Response(body, { headers: { "Content-Type": req.headers["content-type"] } }).formData();
+    const file = form.get("file");
+    return { name: file.name, data: Buffer.from(await file.arrayBuffer()) };
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const query = url.searchParams;
+    const send = (data, status = 200) => {
+      res.writeHead(status);
+      res.end(typeof data === "string" || Buffer.isBuffer(data) ? data : JSON.stringify(data));
+    };
+    let match;
+
+    if (req.method === "POST") {
+      const body = await readBody(req);
+      if (url.pathname === "/api/fileUpload") {
+        const file = await readUpload(req, body);
+        const dir = query.get("path").replace(/^\/+/, "");
+        const target = `${query.get("special")}:${dir ? `${dir}/` : ""}${file.name}`;
+        if (state.failing.has(target)) return send("disk full", 500);
+        state.uploads.set(target, file.data);
+      } else if (url.pathname === "/api/uploadCert") {
+        const file = await readUpload(req, body);
+        state.certs.set(file.name, file.data.toString());
+      } else if ((match = url.pathname.match(/^\/api\/settings\/set\/(.+)$/))) {
+        if (state.failing.has(match[1])) return send("unknown setting", 400);
+        state.settingsSet.push(`${match[1]}${url.search}=${body}`);
+      } else if ((match = url.pathname.match(/^\/content\/json\/set\/(\w+)$/))) {
+        state.contentSet.set(match[1], JSON.parse(body));
+      }
+      return send("OK");
+    }
+
+    switch (url.pathname) {
+      case "/api/getBoxes":
+        return send({ boxes: [{ ID: "box1", boxName: "Box Eins" }] });
+      case "/api/getTagIndex":
+        return send({ tags: [{ ruid: RUID, exists: true, tonieInfo: { series: "Serie", episode: "Folge" } }] });
+      case "/api/fileIndexV2":
+        return send({ files: list(query.get("special"), query.get("path") || "") });
+      case "/api/fileIndex":
+        return send({ files: [] });
+      case "/api/settings/getIndex":
+        return send(state.settings);
+      case "/api/toniesJson":
+      case "/api/toniesCustomJson":
+      case "/api/tonieboxesJson":
+      case "/api/tonieboxesCustomJson":
+        return send("[]");
+      case "/api/getFile/ca.der":
+        return send("CA-CERT");
+      case "/api/triggerReloadConfig":
+        return send("OK");
+    }
+    if ((match = url.pathname.match(/^\/api\/getFile\/(\w+)\/(.+)$/))) {
+      const data = (state.files[match[1]] || {})[decodeURIComponent(match[2])];
+      return data == null ? send("not found", 404) : send(data);
+    }
+    if ((match = url.pathname.match(/^\/content\/json\/get\/(\w+)$/))) {
+      return send({ source: "lib://a/x.taf" });
+    }
+    if ((match = url.pathname.match(/^\/content\/(\w+)\/(\w+)$/))) {
+      const data = state.files.content[`${match[1]}/${match[2]}`];
+      return data == null ? send("not found", 404) : send(data);
+    }
+    return send("not found", 404);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((e) => send500(res, e));
+  });
+  const send500 = (res, e) => {
+    res.writeHead(500);
+    res.end(e.message);
+  };
+
+  return {
+    state: state,
+    async start() {
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+    stop: () => new Promise((resolve) => server.close(resolve)),
+    // Empties the server before a restore
+    reset() {
+      state.files = { config: {}, library: {}, cache: {}, www: {}, content: {} };
+      state.uploads.clear();
+      state.certs.clear();
+      state.settingsSet.length = 0;
+      state.contentSet.clear();
+      state.failing.clear();
+    },
+  };
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+function runCli(args, env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, ...args], {
+      env: Object.assign({}, process.env, { [PASSWORD_ENV]: "" }, env),
+    });
+    let output = "";
+    child.stdout.on("data", (data) => { output += data; });
+    child.stderr.on("data", (data) => { output += data; });
+    child.on("error", reject);
+    child.on("close", (code) => resolve({ code: code, output: output }));
+  });
+}
+
+const PASSWORD_ENV = "TC_BACKUP_PASSWORD";
+
+function assertRestored(state, files) {
+  assert.strictEqual(state.uploads.get("content:0A0B0C0D/500304E0").equals(files.content["0A0B0C0D/500304E0"]), true);
+  assert.strictEqual(state.uploads.get("cache:c1.jpg").toString(), files.cache["c1.jpg"]);
+  assert.strictEqual(state.uploads.get("www:custom_img/p.png").toString(), files.www["custom_img/p.png"]);
+  assert.strictEqual(state.certs.get("ca.der"), "CA-CERT");
+  assert.ok(state.settingsSet.includes("core.a=1"));
+  assert.deepStrictEqual(state.contentSet.get(RUID), { source: "lib://a/x.taf" });
+}
+
+let mock;
+let url;
+let dir;
+
+test.before(async () => {
+  mock = createMockServer();
+  url = await mock.start();
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "tc-backup-test-"));
+});
+
+test.after(async () => {
+  await mock.stop();
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  mock.reset();
+  mock.state.files = createServerFiles();
+});
+
+// ============================================================
+// TESTS
+// ============================================================
+test("plain backup: verify and restore", async () => {
+  const archive = path.join(dir, "plain.zip");
+  const backup = await runCli(["backup", "--url", url, "--out", archive]);
+  assert.strictEqual(backup.code, 0, backup.output);
+  assert.match(backup.output, /Backup erstellt: plain\.zip/);
+
+  const verify = await runCli(["verify", archive]);
+  assert.strictEqual(verify.code, 0, verify.output);
+  assert.match(verify.output, /0 fehlend, 0 beschädigt/);
+
+  const files = mock.state.files;
+  mock.reset();
+  const restore = await runCli(["restore", "--url", url, archive]);
+  assert.strictEqual(restore.code, 0, restore.output);
+  assertRestored(mock.state, files);
+});
+
+test("encrypted backup: wrong password is reported, restore decrypts", async () => {
+  const archive = path.join(dir, "enc.zip");
+  const backup = await runCli(["backup", "--url", url, "--out", archive, "--encrypt", "all"], { [PASSWORD_ENV]: PASSWORD });
+  assert.strictEqual(backup.code, 0, backup.output);
+  assert.match(backup.output, /Backup erstellt: enc\.zip/);
+
+  const wrong = await runCli(["verify", archive], { [PASSWORD_ENV]: "falsch123" });
+  assert.strictEqual(wrong.code, 1, wrong.output);
+  assert.match(wrong.output, /Falsches Passwort/);
+
+  const verify = await runCli(["verify", archive], { [PASSWORD_ENV]: PASSWORD });
+  assert.strictEqual(verify.code, 0, verify.output);
+
+  const files = mock.state.files;
+  mock.reset();
+  const locked = await runCli(["restore", "--url", url, archive]);
+  assert.strictEqual(locked.code, 1, locked.output);
+  assert.strictEqual(mock.state.uploads.size, 0);
+
+  const restore = await runCli(["restore", "--url", url, archive], { [PASSWORD_ENV]: PASSWORD });
+  assert.strictEqual(restore.code, 0, restore.output);
+  assertRestored(mock.state, files);
+});
+
+test("delta backup: restore combines the chain", async () => {
+  const baseDir = path.join(dir, "delta") + path.sep;
+  const full = await runCli(["backup", "--url", url, "--out", baseDir]);
+  assert.strictEqual(full.code, 0, full.output);
+  const [baseName] = await fs.promises.readdir(baseDir);
+
+  mock.state.files.cache["c1.jpg"] = "CACHE-NEU";
+  const delta = await runCli(["backup", "--url", url, "--out", baseDir, "--base", path.join(baseDir, baseName)]);
+  assert.strictEqual(delta.code, 0, delta.output);
+  assert.match(delta.output, /Delta: 1 Dateien geladen/);
+  const deltaName = (await fs.promises.readdir(baseDir)).find((name) => name.endsWith("-delta.zip"));
+  assert.ok(deltaName, "delta archive written");
+
+  const archives = [path.join(baseDir, deltaName), path.join(baseDir, baseName)];
+  const verify = await runCli(["verify", ...archives]);
+  assert.strictEqual(verify.code, 0, verify.output);
+
+  const missingBase = await runCli(["verify", archives[0]]);
+  assert.strictEqual(missingBase.code, 1, missingBase.output);
+
+  const files = mock.state.files;
+  mock.reset();
+  const restore = await runCli(["restore", "--url", url, ...archives]);
+  assert.strictEqual(restore.code, 0, restore.output);
+  assertRestored(mock.state, files);
+});
+
+test("retention keeps the base of a delta backup", async () => {
+  const backupDir = path.join(dir, "retention") + path.sep;
+  const list = async () => (await fs.promises.readdir(backupDir)).sort();
+  // Archive names carry the time to the second
+  const nextSecond = () => new Promise((resolve) => setTimeout(resolve, 1100));
+
+  assert.strictEqual((await runCli(["backup", "--url", url, "--out", backupDir])).code, 0);
+  const [baseName] = await list();
+  mock.state.files.cache["c1.jpg"] = "CACHE-NEU";
+  assert.strictEqual((await runCli(["backup", "--url", url, "--out", backupDir, "--base", path.join(backupDir, baseName)])).code, 0);
+
+  await nextSecond();
+  const second = await runCli(["backup", "--url", url, "--out", backupDir, "--keep-last", "1"]);
+  assert.strictEqual(second.code, 0, second.output);
+  const [, secondName] = (await list()).filter((name) => !name.endsWith("-delta.zip"));
+
+  await nextSecond();
+  const third = await runCli(["backup", "--url", url, "--out", backupDir, "--keep-last", "1"]);
+  assert.strictEqual(third.code, 0, third.output);
+  const names = await list();
+  assert.ok(names.includes(baseName), "delta base kept");
+  assert.ok(!names.includes(secondName), "older full backup removed");
+  assert.strictEqual(names.length, 3, names.join(", "));
+});
+
+test("restore exits 1 and reports entries the server rejects", async () => {
+  const archive = path.join(dir, "failing.zip");
+  assert.strictEqual((await runCli(["backup", "--url", url, "--out", archive])).code, 0);
+
+  mock.reset();
+  mock.state.failing.add("cache:c1.jpg");
+  mock.state.failing.add("core.a");
+  const restore = await runCli(["restore", "--url", url, archive]);
+  assert.strictEqual(restore.code, 1, restore.output);
+  assert.match(restore.output, /Fehlgeschlagen: cache\/c1\.jpg/);
+  assert.match(restore.output, /Fehlgeschlagen: global\/settings\.json \(1 Einstellungen nicht gesetzt: core\.a\)/);
+  assert.match(restore.output, /2 fehlgeschlagen/);
+  // The other entries are still restored
+  assert.strictEqual(mock.state.uploads.get("www:custom_img/p.png").toString(), "PNG-1");
+});